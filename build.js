@@ -12,7 +12,7 @@ if (!fs.existsSync('node_modules')) {
 }
 
 // Check directory structure
-const requiredDirs = ['src', 'src/diagnostics', 'src/config', 'src/test'];
+const requiredDirs = ['src', 'src/diagnostics', 'src/config', 'src/symbols', 'src/test'];
 requiredDirs.forEach(dir => {
   if (!fs.existsSync(dir)) {
     console.log(`📁 Creating directory ${dir}...`);
@@ -64,9 +64,33 @@ try {
   const fs = require('fs');
   const files = [
     'src/extension.js',
+    'src/diagnostics/nxc-lexer.js',
+    'src/diagnostics/nxc-preprocessor.js',
+    'src/diagnostics/api-signatures.js',
+    'src/diagnostics/api-docs.js',
+    'src/diagnostics/header-importer.js',
     'src/diagnostics/nxc-parser.js',
     'src/diagnostics/semantic-analyzer.js',
-    'src/diagnostics/diagnostic-manager.js'
+    'src/diagnostics/type-checker.js',
+    'src/diagnostics/task-graph.js',
+    'src/diagnostics/race-detector.js',
+    'src/diagnostics/path-walker.js',
+    'src/diagnostics/mutex-checker.js',
+    'src/diagnostics/task-checker.js',
+    'src/diagnostics/control-flow-graph.js',
+    'src/diagnostics/control-flow-checker.js',
+    'src/diagnostics/unused-symbol-checker.js',
+    'src/diagnostics/rule-engine.js',
+    'src/diagnostics/quick-fixes.js',
+    'src/diagnostics/sensor-checker.js',
+    'src/diagnostics/constant-evaluator.js',
+    'src/diagnostics/argument-checker.js',
+    'src/diagnostics/diagnostic-manager.js',
+    'src/symbols/symbol-collector.js',
+    'src/symbols/workspace-index.js',
+    'src/symbols/reference-finder.js',
+    'src/cli/nxc-cli.js',
+    'src/test/run-tests.js'
   ];
 
   files.forEach(file => {
@@ -101,7 +125,10 @@ if (process.argv.includes('--package')) {
 if (process.argv.includes('--test')) {
   console.log('🧪 Running tests...');
   try {
-    // Here you can add your tests
+    const failed = require('./src/test/run-tests').run();
+    if (failed > 0) {
+      throw new Error(`${failed} test(s) failed`);
+    }
     console.log('✅ All tests passed');
   } catch (error) {
     console.error('❌ Tests failed:', error.message);
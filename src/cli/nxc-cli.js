@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const { DiagnosticManager } = require('../diagnostics/diagnostic-manager');
+const { RuleEngine } = require('../diagnostics/rule-engine');
+const { NXCFormatter } = require('../formatter/nxc-formatter');
+const { NXCConfig } = require('../config/nxc-config');
+const packageJson = require('../../package.json');
+
+// `nxc lint` and `nxc format` for plain Node: the same analysis and formatting as the
+// extension, for checking many programs at once or before they are handed in. Exit
+// codes are 0 when all is well, 1 for errors or unformatted files, 2 for bad usage.
+const USAGE = `Usage: nxc <command> [options] <files or directories...>
+
+Commands:
+  lint      Report problems in NXC programs
+  format    Format NXC programs
+
+Lint options:
+  --format <text|json|sarif>   Output format (default: text)
+  --max-warnings <n>           Also fail when there are more than n warnings
+  -I, --include <directory>    Add an include directory; can be repeated
+  -D, --define <NAME[=value]>  Define a macro; can be repeated
+
+Format options:
+  --check                      List files that are not formatted and fail if there are any
+  --write                      Format files in place
+  --indent-size <n>            Spaces per level (default: 4)
+  --use-tabs                   Indent with tabs
+  --brace-style <kr|allman>    Where opening braces go (default: kr)
+  --wrap-column <n>            Wrap lines longer than n columns (default: off)
+
+Without --check or --write the formatted code is printed.
+Directories are searched for .nxc files. Lint settings come from the nearest .nxclintrc.
+`;
+
+const SOURCE_EXTENSIONS = ['.nxc'];
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note', hint: 'note' };
+
+class NXCCli {
+  constructor(stdout = process.stdout, stderr = process.stderr) {
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+
+  // Returns the exit code
+  run(argv) {
+    // The analyzers report progress through console.log; stdout is for results
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const [command, ...rest] = argv;
+      if (!command) {
+        this.stderr.write(USAGE);
+        return 2;
+      }
+      if (command === '-h' || command === '--help' || rest.includes('-h') || rest.includes('--help')) {
+        this.stdout.write(USAGE);
+        return 0;
+      }
+      if (command === '-v' || command === '--version') {
+        this.stdout.write(`${packageJson.version}\n`);
+        return 0;
+      }
+      if (command === 'lint') return this.lint(this.parseArguments(rest, ['format', 'max-warnings', 'include', 'define'], []));
+      if (command === 'format') {
+        return this.format(this.parseArguments(rest, ['indent-size', 'brace-style', 'wrap-column'], ['check', 'write', 'use-tabs']));
+      }
+      throw new Error(`Unknown command '${command}'`);
+    } catch (error) {
+      // Bad options and files that cannot be read
+      this.stderr.write(`nxc: ${error.message}\nRun 'nxc --help' for usage.\n`);
+      return 2;
+    } finally {
+      console.log = log;
+    }
+  }
+
+  // { files, options } where options map names to values; -I and -D collect into lists
+  parseArguments(argv, valueOptions, flags) {
+    const aliases = { '-I': 'include', '-D': 'define' };
+    const options = { include: [], define: [] };
+    const files = [];
+
+    for (let i = 0; i < argv.length; i++) {
+      const argument = argv[i];
+      if (!argument.startsWith('-')) {
+        files.push(argument);
+        continue;
+      }
+
+      // --name=value, --name value, -Ivalue or -I value
+      const short = argument.match(/^(-[ID])(.*)$/);
+      const long = argument.match(/^--([\w-]+)(?:=(.*))?$/);
+      const name = short ? aliases[short[1]] : long && long[1];
+      let value = short ? short[2] || undefined : long && long[2];
+      if (flags.includes(name) && value === undefined) {
+        options[name] = true;
+        continue;
+      }
+      if (!valueOptions.includes(name)) throw new Error(`Unknown option '${argument}'`);
+      if (value === undefined) {
+        if (i + 1 >= argv.length) throw new Error(`Option '${argument}' needs a value`);
+        value = argv[++i];
+      }
+      if (Array.isArray(options[name])) options[name].push(value);
+      else options[name] = value;
+    }
+
+    if (files.length === 0) throw new Error('No files given');
+    return { files: this.expandFiles(files), options };
+  }
+
+  expandFiles(paths) {
+    const files = [];
+    paths.forEach(entry => {
+      if (!fs.existsSync(entry)) throw new Error(`No such file or directory: ${entry}`);
+      if (fs.statSync(entry).isDirectory()) files.push(...this.sourceFiles(entry));
+      else files.push(entry);
+    });
+    return files;
+  }
+
+  sourceFiles(directory) {
+    return fs.readdirSync(directory, { withFileTypes: true })
+      .filter(entry => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .flatMap(entry => {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) return this.sourceFiles(entryPath);
+        return SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [entryPath] : [];
+      });
+  }
+
+  lint({ files, options }) {
+    const outputFormat = options.format || 'text';
+    if (!['text', 'json', 'sarif'].includes(outputFormat)) throw new Error(`Unknown output format '${outputFormat}'`);
+    const maxWarnings = options['max-warnings'] === undefined ? Infinity : Number(options['max-warnings']);
+    if (!Number.isInteger(maxWarnings) && maxWarnings !== Infinity) throw new Error('--max-warnings needs a whole number');
+
+    const manager = new DiagnosticManager(new NXCConfig(this.configOverrides(options)));
+    const results = files.map(file => {
+      const sourceCode = fs.readFileSync(file, 'utf8');
+      const diagnostics = manager.collectDiagnostics(sourceCode, path.resolve(file))
+        .map(diagnostic => this.location(diagnostic))
+        .sort((a, b) => a.line - b.line || a.column - b.column);
+      return { file, diagnostics };
+    });
+
+    if (outputFormat === 'json') this.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+    else if (outputFormat === 'sarif') this.stdout.write(`${JSON.stringify(this.sarif(results), null, 2)}\n`);
+    else this.stdout.write(this.text(results));
+
+    const all = results.flatMap(result => result.diagnostics);
+    const errors = all.filter(diagnostic => diagnostic.severity === 'error').length;
+    const warnings = all.filter(diagnostic => diagnostic.severity === 'warning').length;
+    return errors > 0 || warnings > maxWarnings ? 1 : 0;
+  }
+
+  // -I and -D take the place of nxc.preprocessor.includePaths and nxc.preprocessor.defines
+  configOverrides(options) {
+    const overrides = {};
+    if (options.include.length > 0) overrides['preprocessor.includePaths'] = options.include.map(directory => path.resolve(directory));
+    if (options.define.length > 0) {
+      overrides['preprocessor.defines'] = Object.fromEntries(options.define.map(define => {
+        const separator = define.indexOf('=');
+        return separator === -1 ? [define, '1'] : [define.slice(0, separator), define.slice(separator + 1)];
+      }));
+    }
+    return overrides;
+  }
+
+  // 1-based line and column of the start and end, as editors and SARIF count them
+  location(diagnostic) {
+    const start = diagnostic.range ? diagnostic.range.start : { line: diagnostic.line || 0, character: diagnostic.column || 0 };
+    const end = diagnostic.range ? diagnostic.range.end : { line: start.line, character: start.character + 1 };
+    return {
+      rule: diagnostic.rule || null,
+      severity: diagnostic.severity || 'error',
+      message: diagnostic.message,
+      source: diagnostic.source,
+      line: start.line + 1,
+      column: start.character + 1,
+      endLine: end.line + 1,
+      endColumn: end.character + 1
+    };
+  }
+
+  // file:line:column: severity: message [rule], then a count
+  text(results) {
+    const lines = results.flatMap(({ file, diagnostics }) => diagnostics.map(diagnostic =>
+      `${file}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.severity}: ${diagnostic.message}${diagnostic.rule ? ` [${diagnostic.rule}]` : ''}`));
+    if (lines.length === 0) return '';
+
+    const count = severity => results.reduce((total, result) => total + result.diagnostics.filter(diagnostic => diagnostic.severity === severity).length, 0);
+    const plural = (number, word) => `${number} ${word}${number === 1 ? '' : 's'}`;
+    lines.push('', `${plural(lines.length, 'problem')} (${plural(count('error'), 'error')}, ${plural(count('warning'), 'warning')})`);
+    return `${lines.join('\n')}\n`;
+  }
+
+  // SARIF 2.1.0, read by GitHub code scanning and most CI dashboards
+  sarif(results) {
+    const rules = RuleEngine.rules;
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'nxc',
+            version: packageJson.version,
+            informationUri: packageJson.repository.url.replace(/\.git$/, ''),
+            rules: rules.map(rule => ({ id: rule.id, shortDescription: { text: rule.description } }))
+          }
+        },
+        results: results.flatMap(({ file, diagnostics }) => diagnostics.map(diagnostic => {
+          const index = rules.findIndex(rule => rule.id === diagnostic.rule);
+          return {
+            ...(index === -1 ? {} : { ruleId: diagnostic.rule, ruleIndex: index }),
+            level: SARIF_LEVELS[diagnostic.severity] || 'error',
+            message: { text: diagnostic.message },
+            locations: [{
+              physicalLocation: {
+                artifactLocation: { uri: path.relative(process.cwd(), path.resolve(file)).split(path.sep).join('/') },
+                region: {
+                  startLine: diagnostic.line,
+                  startColumn: diagnostic.column,
+                  endLine: diagnostic.endLine,
+                  endColumn: diagnostic.endColumn
+                }
+              }
+            }]
+          };
+        }))
+      }]
+    };
+  }
+
+  format({ files, options }) {
+    if (options.check && options.write) throw new Error('--check and --write cannot be used together');
+    const formatter = new NXCFormatter();
+    const style = this.formatOptions(options);
+    let unformatted = 0;
+
+    files.forEach(file => {
+      const code = fs.readFileSync(file, 'utf8');
+      const formatted = formatter.formatCode(code, style);
+      if (options.check) {
+        if (formatted !== code) {
+          unformatted++;
+          this.stdout.write(`${file}\n`);
+        }
+      } else if (options.write) {
+        if (formatted !== code) fs.writeFileSync(file, formatted);
+      } else {
+        this.stdout.write(formatted);
+      }
+    });
+
+    if (options.check && unformatted > 0) {
+      this.stderr.write(`${unformatted} of ${files.length} ${files.length === 1 ? 'file is' : 'files are'} not formatted\n`);
+      return 1;
+    }
+    return 0;
+  }
+
+  // Command-line options in the shape formatCode takes them
+  formatOptions(options) {
+    const style = {};
+    const number = (name, minimum) => {
+      const value = Number(options[name]);
+      if (!Number.isInteger(value) || value < minimum) {
+        throw new Error(`--${name} needs a ${minimum > 0 ? 'positive' : 'whole'} number`);
+      }
+      return value;
+    };
+    if (options['indent-size'] !== undefined) style.tabSize = number('indent-size', 1);
+    if (options['use-tabs']) style.insertSpaces = false;
+    if (options['wrap-column'] !== undefined) style.wrapColumn = number('wrap-column', 0);
+    if (options['brace-style'] !== undefined) {
+      if (!['kr', 'allman'].includes(options['brace-style'])) throw new Error(`Unknown brace style '${options['brace-style']}'`);
+      style.braceStyle = options['brace-style'];
+    }
+    return style;
+  }
+}
+
+module.exports = { NXCCli };
@@ -1,8 +1,24 @@
-const vscode = require('vscode');
+// VS Code module - only require when running in VS Code context
+let vscode;
+try {
+  vscode = require('vscode');
+} catch (e) {
+  // Running outside VS Code context, as in the command-line tool
+  vscode = null;
+}
+
+const fs = require('fs');
+const path = require('path');
+
+const LINT_FILE = '.nxclintrc';
 
 class NXCConfig {
-  constructor() {
+  // `overrides` maps setting keys such as 'preprocessor.includePaths' to values that win
+  // over the VS Code settings; outside VS Code they are the only settings
+  constructor(overrides = {}) {
     this.configSection = 'nxc';
+    this.overrides = overrides;
+    this.lintFileCache = new Map(); // path -> { mtimeMs, config }
   }
 
   get diagnosticsEnabled() {
@@ -17,6 +33,56 @@ class NXCConfig {
     return this.getConfig('diagnostics.checkUnusedVariables', true);
   }
 
+  get checkTypeCompatibility() {
+    return this.getConfig('diagnostics.checkTypeCompatibility', true);
+  }
+
+  // Rule ID -> 'error' | 'warning' | 'info' | 'hint' | 'off'
+  get ruleSeverities() {
+    return this.getConfig('diagnostics.rules', {});
+  }
+
+  get checkArgumentRanges() {
+    return this.getConfig('diagnostics.checkArgumentRanges', true);
+  }
+
+  get checkControlFlow() {
+    return this.getConfig('diagnostics.checkControlFlow', true);
+  }
+
+  get checkRaceConditions() {
+    return this.getConfig('diagnostics.checkRaceConditions', true);
+  }
+
+  get checkMutexUsage() {
+    return this.getConfig('diagnostics.checkMutexUsage', true);
+  }
+
+  get checkSensorUsage() {
+    return this.getConfig('diagnostics.checkSensorUsage', true);
+  }
+
+  get checkTaskLifecycle() {
+    return this.getConfig('diagnostics.checkTaskLifecycle', true);
+  }
+
+  get taskGraphFormat() {
+    return this.getConfig('taskGraph.format', 'mermaid');
+  }
+
+  get includePaths() {
+    return this.getConfig('preprocessor.includePaths', []);
+  }
+
+  get defines() {
+    return this.getConfig('preprocessor.defines', {});
+  }
+
+  // Directory with NXCDefs.h and NBCCommon.h of the installed compiler
+  get apiHeaderPath() {
+    return this.getConfig('api.headerPath', '');
+  }
+
   get suggestBuiltins() {
     return this.getConfig('completion.suggestBuiltins', true);
   }
@@ -26,6 +92,8 @@ class NXCConfig {
   }
 
   getConfig(key, defaultValue) {
+    if (this.overrides[key] !== undefined) return this.overrides[key];
+    if (!vscode) return defaultValue;
     const config = vscode.workspace.getConfiguration(this.configSection);
     return config.get(key, defaultValue);
   }
@@ -38,20 +106,61 @@ class NXCConfig {
     });
   }
 
-  getSyntaxRules() {
+  getSyntaxRules(filePath = null) {
+    const lint = this.getLintConfig(filePath);
     return {
-      maxLineLength: this.maxLineLength,
-      allowMixedIndentation: false,
-      requireSemicolons: true,
-      allowEmptyBlocks: false
+      maxLineLength: lint.maxLineLength || this.maxLineLength
     };
   }
 
+  // Lint settings for a document: `nxc.diagnostics.rules` overlaid with the nearest
+  // .nxclintrc between the document and its workspace folder, which takes precedence.
+  // `error` is set when that file exists but cannot be used.
+  getLintConfig(filePath = null) {
+    const lintFile = filePath ? this.findLintFile(filePath) : null;
+    const fileConfig = lintFile ? this.readLintFile(lintFile) : {};
+    return {
+      rules: { ...this.ruleSeverities, ...(fileConfig.rules || {}) },
+      maxLineLength: fileConfig.maxLineLength,
+      lintFile,
+      error: fileConfig.error
+    };
+  }
+
+  findLintFile(filePath) {
+    const roots = vscode ? (vscode.workspace.workspaceFolders || []).map(folder => folder.uri.fsPath) : [];
+    let directory = path.dirname(filePath);
+    for (;;) {
+      const candidate = path.join(directory, LINT_FILE);
+      if (fs.existsSync(candidate)) return candidate;
+      const parent = path.dirname(directory);
+      if (roots.includes(directory) || parent === directory) return null;
+      directory = parent;
+    }
+  }
+
+  readLintFile(lintFile) {
+    try {
+      const { mtimeMs } = fs.statSync(lintFile);
+      const cached = this.lintFileCache.get(lintFile);
+      if (cached && cached.mtimeMs === mtimeMs) return cached.config;
+
+      const parsed = JSON.parse(fs.readFileSync(lintFile, 'utf8'));
+      const config = parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+        ? { rules: parsed.rules || {}, maxLineLength: parsed.maxLineLength }
+        : { error: 'expected a JSON object' };
+      this.lintFileCache.set(lintFile, { mtimeMs, config });
+      return config;
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
   getSemanticRules() {
     return {
       checkUnusedVariables: this.checkUnusedVariables,
       checkUndefinedFunctions: true,
-      checkTypeCompatibility: true,
+      checkTypeCompatibility: this.checkTypeCompatibility,
       warnOnShadowing: true
     };
   }
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+
+// Documentation of the NXC API from utils/nxc_docs.json: functions with a description,
+// return type, parameter descriptions, example and firmware requirement; constants with
+// their group and, where known, value; and keywords. Missing entries return null.
+class ApiDocs {
+  constructor(filePath = path.join(__dirname, '../../utils/nxc_docs.json')) {
+    this.functions = new Map();
+    this.constants = new Map();
+    this.keywords = new Map();
+    this.load(filePath);
+  }
+
+  load(filePath) {
+    try {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      Object.entries(data.functions || {}).forEach(([name, entry]) => this.functions.set(name, entry));
+      Object.entries(data.constants || {}).forEach(([name, entry]) => this.constants.set(name, entry));
+      Object.entries(data.keywords || {}).forEach(([name, entry]) => this.keywords.set(name, entry));
+    } catch (error) {
+      console.warn('Could not load NXC API documentation:', error.message);
+    }
+  }
+
+  // Entries read elsewhere, such as the compiler headers, replace the bundled ones field by field
+  addFunction(name, entry) {
+    const existing = this.functions.get(name) || {};
+    const parameters = { ...(existing.parameters || {}), ...(entry.parameters || {}) };
+    this.functions.set(name, { ...existing, ...this.defined(entry), parameters });
+  }
+
+  addConstant(name, entry) {
+    this.constants.set(name, { ...(this.constants.get(name) || {}), ...this.defined(entry) });
+  }
+
+  defined(entry) {
+    return Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+  }
+
+  getFunction(name) {
+    return this.functions.get(name) || null;
+  }
+
+  getConstant(name) {
+    return this.constants.get(name) || null;
+  }
+
+  getKeyword(name) {
+    return this.keywords.get(name) || null;
+  }
+
+  // Function names to their return types; void functions are left out
+  returnTypes() {
+    const types = new Map();
+    this.functions.forEach((entry, name) => {
+      if (entry.returns && entry.returns !== 'void') types.set(name, entry.returns);
+    });
+    return types;
+  }
+
+  // Constant names to their numeric values; SENSOR_1 and the like stand for expressions
+  constantValues() {
+    const values = new Map();
+    this.constants.forEach((entry, name) => {
+      if (typeof entry.value === 'number') values.set(name, entry.value);
+    });
+    return values;
+  }
+}
+
+module.exports = { ApiDocs };
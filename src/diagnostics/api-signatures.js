@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+// Signatures of the NXC API functions listed in utils/nxc_api.txt, for example
+// ArrayInit(variant & aout[], variant value, unsigned int count)
+class ApiSignatures {
+  constructor(filePath = path.join(__dirname, '../../utils/nxc_api.txt')) {
+    this.signatures = new Map();
+    this.load(filePath);
+  }
+
+  load(filePath) {
+    try {
+      fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach(line => {
+        const signature = ApiSignatures.parse(line);
+        if (signature && !this.signatures.has(signature.name)) {
+          this.signatures.set(signature.name, signature);
+        }
+      });
+    } catch (error) {
+      console.warn('Could not load NXC API signatures:', error.message);
+    }
+  }
+
+  has(name) {
+    return this.signatures.has(name);
+  }
+
+  get(name) {
+    return this.signatures.get(name) || null;
+  }
+
+  names() {
+    return [...this.signatures.keys()];
+  }
+
+  static parse(line) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('//')) return null;
+
+    const match = trimmed.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*\(([^)]*)\)$/);
+    if (!match) return null;
+
+    const texts = match[2].split(',').map(text => text.trim()).filter(text => text && text !== 'void');
+    const hasEllipsis = texts.includes('...');
+    const parameters = texts.filter(text => text !== '...').map(text => ApiSignatures.parseParameter(text)).filter(Boolean);
+
+    // Repeating arguments are written as `src1, src2,..., srcN` (or `str1, str2, strN` for StrCat);
+    // the `1` parameters form the group that repeats
+    const repeated = parameters.filter(parameter => {
+      const stem = parameter.name.endsWith('1') ? parameter.name.slice(0, -1) : null;
+      return stem && parameters.some(other => other.name === `${stem}N`);
+    });
+    const firstRepeated = repeated.length > 0 ? parameters.indexOf(repeated[0]) : -1;
+    const variadic = firstRepeated !== -1 && (hasEllipsis || repeated.length > 0);
+
+    const fixed = variadic ? parameters.slice(0, firstRepeated) : parameters;
+    const firstDefault = fixed.findIndex(parameter => parameter.defaultValue !== null);
+
+    return {
+      name: match[1],
+      text: trimmed,
+      parameters: variadic ? [...fixed, ...repeated] : parameters,
+      repeated: variadic ? repeated : [],
+      variadic,
+      minArgs: variadic ? fixed.length + repeated.length : (firstDefault === -1 ? fixed.length : firstDefault),
+      maxArgs: variadic ? Infinity : fixed.length
+    };
+  }
+
+  // `const byte & port`, `variant & aout[]`, `unsigned long options=DRAW_OPT_NORMAL`
+  static parseParameter(text) {
+    const [declaration, defaultValue] = text.split('=').map(part => part.trim());
+    const match = declaration.match(/^(.*?)\s*(&)?\s*([A-Za-z_][A-Za-z0-9_]*)((?:\s*\[\s*\])*)$/);
+    if (!match) return null;
+
+    const words = match[1].trim().split(/\s+/).filter(Boolean);
+    const isConst = ['const', 'constant'].includes(words[0]);
+    if (isConst) words.shift();
+    const type = words.join(' ');
+
+    return {
+      name: match[3],
+      type: !type || type === 'void' ? 'variant' : type,
+      isConst,
+      isReference: Boolean(match[2]),
+      dimensions: (match[4].match(/\[/g) || []).length,
+      defaultValue: defaultValue || null
+    };
+  }
+
+  // The parameter an argument at `index` binds to, following the repeating group of variadic functions
+  static parameterAt(signature, index) {
+    if (index < signature.parameters.length) return signature.parameters[index];
+    if (!signature.variadic) return null;
+    const fixedCount = signature.parameters.length - signature.repeated.length;
+    return signature.repeated[(index - fixedCount) % signature.repeated.length];
+  }
+}
+
+module.exports = { ApiSignatures };
@@ -0,0 +1,110 @@
+const { ApiSignatures } = require('./api-signatures');
+const { ConstantEvaluator } = require('./constant-evaluator');
+
+// Checks constant arguments of API calls against what the parameter accepts, going by
+// the parameter names in utils/nxc_api.txt: motor power and turn percentage, screen
+// coordinates, input ports, wait times, and input constants passed as outputs (or the
+// reverse). RCX and Scout functions use other ranges and are left alone.
+const PARAMETER_RANGES = {
+  pwr: { what: 'Motor power', min: -100, max: 100 },
+  turnpct: { what: 'Turn percentage', min: -100, max: 100 },
+  port: { what: 'Input port', min: 0, max: 3 },
+  x: { what: 'X coordinate', min: 0, max: 99, screen: true },
+  x1: { what: 'X coordinate', min: 0, max: 99, screen: true },
+  x2: { what: 'X coordinate', min: 0, max: 99, screen: true },
+  y: { what: 'Y coordinate', min: 0, max: 63, screen: true },
+  y1: { what: 'Y coordinate', min: 0, max: 63, screen: true },
+  y2: { what: 'Y coordinate', min: 0, max: 63, screen: true },
+  ms: { what: 'Time', min: 0, max: Infinity }
+};
+
+const INPUTS = ['IN_1', 'IN_2', 'IN_3', 'IN_4', 'S1', 'S2', 'S3', 'S4'];
+const OUTPUTS = ['OUT_A', 'OUT_B', 'OUT_C', 'OUT_AB', 'OUT_AC', 'OUT_BC', 'OUT_ABC'];
+const OUTPUT_PARAMETERS = ['output', 'outputs'];
+const OTHER_BRICKS = /RCX|Scout/;
+// RemoteSetOutputState(conn, port, ...) and friends call an output `port`
+const OUTPUT_PORT_FUNCTIONS = /Motor|Output|Tacho/;
+
+class ArgumentChecker {
+  constructor() {
+    this.apiSignatures = new ApiSignatures();
+    this.evaluator = new ConstantEvaluator();
+  }
+
+  analyze(ast, options = {}) {
+    this.warnings = [];
+
+    try {
+      const programs = [...(options.includedPrograms || []), ast];
+      this.evaluator.declare(programs);
+      // A sub of your own with an API name replaces the API function
+      this.userFunctions = new Set(programs.flatMap(program => (program && program.body ? program.body : []))
+        .filter(item => item.ctorName === 'FunctionDefinition')
+        .map(item => item.name));
+      this.walk(ast);
+    } catch (error) {
+      console.error('Error during argument checking:', error);
+    }
+
+    return { errors: [], warnings: this.warnings };
+  }
+
+  walk(node) {
+    if (!node || typeof node !== 'object') return;
+    if (node.ctorName === 'CallExpression' && node.callee && node.callee.ctorName === 'Identifier') this.checkCall(node);
+    (node.children || []).forEach(child => this.walk(child));
+  }
+
+  checkCall(node) {
+    const name = node.callee.name;
+    const signature = this.apiSignatures.get(name);
+    if (!signature || this.userFunctions.has(name) || OTHER_BRICKS.test(name)) return;
+
+    (node.arguments || []).forEach((argument, index) => {
+      const parameter = ApiSignatures.parameterAt(signature, index);
+      // `const byte & port` takes constants too; a plain reference is an output variable
+      if (parameter && (!parameter.isReference || parameter.isConst)) this.checkArgument(name, parameter, argument);
+    });
+  }
+
+  checkArgument(name, parameter, argument) {
+    const constant = argument.ctorName === 'Identifier' ? argument.name : null;
+    const parameterName = parameter.name === 'port' && OUTPUT_PORT_FUNCTIONS.test(name) ? 'output' : parameter.name;
+    if (OUTPUT_PARAMETERS.includes(parameterName) && INPUTS.includes(constant)) {
+      this.report(`'${constant}' is an input port, but '${name}' expects an output such as OUT_A`, argument);
+      return;
+    }
+    if (parameterName === 'port' && OUTPUTS.includes(constant)) {
+      this.report(`'${constant}' is an output, but '${name}' expects an input port such as IN_1`, argument);
+      return;
+    }
+
+    const range = PARAMETER_RANGES[parameterName];
+    const value = range ? this.evaluator.evaluate(argument) : null;
+    if (value === null || (value >= range.min && value <= range.max)) return;
+
+    if (range.max === Infinity) {
+      this.report(`${range.what} ${value} passed to '${name}' cannot be negative`, argument);
+    } else if (range.screen) {
+      this.report(`${range.what} ${value} is off the 100x64 screen in '${name}': must be between ${range.min} and ${range.max}`, argument);
+    } else {
+      this.report(`${range.what} ${value} is out of range for '${name}': must be between ${range.min} and ${range.max}`, argument);
+    }
+  }
+
+  report(message, node) {
+    this.warnings.push({
+      message,
+      line: node.line || 0,
+      column: node.column || 0,
+      severity: 'warning',
+      source: 'argument-checker',
+      range: node.endLine === undefined ? undefined : {
+        start: { line: node.line, character: node.column },
+        end: { line: node.endLine, character: node.endColumn }
+      }
+    });
+  }
+}
+
+module.exports = { ArgumentChecker };
@@ -0,0 +1,120 @@
+const { ApiDocs } = require('./api-docs');
+
+// Folds constant expressions to numbers. `#define` values are already expanded by the
+// preprocessor, so this covers literals, operators, casts, enum members, scalar `const`
+// globals and the API constants with a value in utils/nxc_docs.json. Anything else
+// evaluates to null.
+const INTEGER_TYPES = ['bool', 'char', 'byte', 'int', 'short', 'long', 'unsigned', 'unsigned char', 'unsigned int', 'unsigned long'];
+const ESCAPES = { n: 10, t: 9, r: 13, 0: 0, '\\': 92, "'": 39, '"': 34 };
+
+class ConstantEvaluator {
+  constructor() {
+    this.apiValues = new ApiDocs().constantValues();
+    this.apiValues.set('true', 1);
+    this.apiValues.set('false', 0);
+    this.values = new Map(this.apiValues);
+  }
+
+  // Enum members and scalar `const` globals of `programs`, in declaration order
+  declare(programs) {
+    this.values = new Map(this.apiValues);
+    programs.forEach(program => {
+      (program && program.body ? program.body : []).forEach(item => {
+        if (item.ctorName === 'EnumDeclaration') {
+          let next = 0;
+          (item.members || []).forEach(member => {
+            const value = member.value ? this.evaluate(member.value) : next;
+            if (value === null) return;
+            this.values.set(member.name, value);
+            next = value + 1;
+          });
+        } else if (item.ctorName === 'Declaration' && item.isConst) {
+          (item.declarators || []).forEach(declarator => {
+            const value = (declarator.dimensions || []).length === 0 ? this.evaluate(declarator.init) : null;
+            if (value !== null) this.values.set(declarator.name, value);
+          });
+        }
+      });
+    });
+    return this;
+  }
+
+  evaluate(node) {
+    if (!node || typeof node !== 'object') return null;
+
+    switch (node.ctorName) {
+      case 'NumberLiteral':
+        return typeof node.value === 'number' && !Number.isNaN(node.value) ? node.value : null;
+      case 'BooleanLiteral':
+        return node.value ? 1 : 0;
+      case 'CharLiteral': {
+        const text = node.raw.slice(1, -1);
+        if (text.startsWith('\\')) return ESCAPES[text[1]] === undefined ? null : ESCAPES[text[1]];
+        return text.length === 1 ? text.charCodeAt(0) : null;
+      }
+      case 'Identifier':
+        return this.values.has(node.name) ? this.values.get(node.name) : null;
+      case 'UnaryExpression':
+        return this.unary(node.operator, this.evaluate(node.argument));
+      case 'BinaryExpression':
+        return this.binary(node.operator, this.evaluate(node.left), this.evaluate(node.right));
+      case 'ConditionalExpression': {
+        const test = this.evaluate(node.test);
+        if (test === null) return null;
+        return this.evaluate(test !== 0 ? node.consequent : node.alternate);
+      }
+      case 'CastExpression': {
+        const value = this.evaluate(node.argument);
+        const type = typeof node.type === 'string' ? node.type : node.type && node.type.name;
+        return value !== null && INTEGER_TYPES.includes(type) ? Math.trunc(value) : value;
+      }
+      default:
+        return null;
+    }
+  }
+
+  unary(operator, value) {
+    if (value === null) return null;
+    switch (operator) {
+      case '-': return -value;
+      case '+': return value;
+      case '!': return value === 0 ? 1 : 0;
+      case '~': return ~value;
+      default: return null;
+    }
+  }
+
+  binary(operator, left, right) {
+    // && and || still fold when the side that decides is constant
+    if (operator === '&&' && (left === 0 || right === 0)) return 0;
+    if (operator === '||' && ((left !== null && left !== 0) || (right !== null && right !== 0))) return 1;
+    if (left === null || right === null) return null;
+
+    const integers = Number.isInteger(left) && Number.isInteger(right);
+    switch (operator) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/':
+        if (right === 0) return null;
+        return integers ? Math.trunc(left / right) : left / right;
+      case '%': return right === 0 || !integers ? null : left % right;
+      case '<<': return left << right;
+      case '>>': return left >> right;
+      case '&': return left & right;
+      case '|': return left | right;
+      case '^': return left ^ right;
+      case '<': return left < right ? 1 : 0;
+      case '<=': return left <= right ? 1 : 0;
+      case '>': return left > right ? 1 : 0;
+      case '>=': return left >= right ? 1 : 0;
+      case '==': return left === right ? 1 : 0;
+      case '!=': return left !== right ? 1 : 0;
+      case '&&': return 1;
+      case '||': return 0;
+      default: return null;
+    }
+  }
+}
+
+module.exports = { ConstantEvaluator };
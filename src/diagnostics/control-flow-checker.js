@@ -0,0 +1,92 @@
+const { ControlFlowGraph } = require('./control-flow-graph');
+
+// Builds a control-flow graph for every task, sub and function in the file and
+// reports code that can never run, functions that can end without returning a
+// value, break and continue outside a loop, and loops whose body never runs.
+const JUMP_NAMES = {
+  ReturnStatement: 'return',
+  BreakStatement: 'break',
+  ContinueStatement: 'continue',
+  GotoStatement: 'goto',
+  StopStatement: 'stop'
+};
+
+class ControlFlowChecker {
+  analyze(ast) {
+    this.errors = [];
+    this.warnings = [];
+
+    try {
+      (ast && ast.body ? ast.body : []).forEach(item => {
+        if ((item.ctorName === 'TaskDefinition' || item.ctorName === 'FunctionDefinition') && item.body) {
+          this.checkDefinition(item);
+        }
+      });
+    } catch (error) {
+      console.error('Error during control-flow analysis:', error);
+    }
+
+    return { errors: this.errors, warnings: this.warnings };
+  }
+
+  checkDefinition(node) {
+    const graph = new ControlFlowGraph(node);
+
+    graph.misplaced.forEach(({ node: statement, kind }) => {
+      this.addError(kind === 'break'
+        ? "'break' is not inside a loop or switch"
+        : "'continue' is not inside a loop", statement);
+    });
+
+    graph.deadLoops.forEach(({ node: loop, block }) => {
+      if (!graph.isReachable(block)) return;
+      const reason = loop.ctorName === 'RepeatStatement' ? 'the repeat count is not positive' : 'the loop condition is always false';
+      this.addWarning(`Loop body never runs: ${reason}`, loop.test || loop.count || loop);
+    });
+
+    graph.unreachableStatements().forEach(block => {
+      const after = this.describeJump(block.anchor.statement);
+      this.addWarning(after ? `Unreachable code after '${after}'` : 'Unreachable code', block.statement);
+    });
+
+    const returnsValue = node.ctorName === 'FunctionDefinition' && !['sub', 'void'].includes(node.returnType);
+    if (returnsValue && graph.fallsOffEnd()) {
+      this.addWarning(`Function '${node.name}' can reach the end without returning a value`, node.nameRange || node);
+    }
+  }
+
+  // The statement that ends the path, when the previous one does
+  describeJump(statement) {
+    if (!statement) return null;
+    if (JUMP_NAMES[statement.ctorName]) return JUMP_NAMES[statement.ctorName];
+    const call = statement.ctorName === 'ExpressionStatement' ? statement.expression : null;
+    if (call && call.ctorName === 'CallExpression' && call.callee && call.callee.ctorName === 'Identifier') {
+      return `${call.callee.name}()`;
+    }
+    return null;
+  }
+
+  addError(message, node) {
+    this.errors.push(this.createDiagnostic(message, node, 'error'));
+  }
+
+  addWarning(message, node) {
+    this.warnings.push(this.createDiagnostic(message, node, 'warning'));
+  }
+
+  createDiagnostic(message, node, severity) {
+    return {
+      message,
+      line: node.line || 0,
+      column: node.column || 0,
+      severity,
+      source: 'control-flow',
+      range: node.endLine === undefined ? undefined : {
+        start: { line: node.line, character: node.column },
+        end: { line: node.endLine, character: node.endColumn }
+      }
+    };
+  }
+}
+
+module.exports = { ControlFlowChecker };
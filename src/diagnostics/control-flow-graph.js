@@ -0,0 +1,220 @@
+const { ConstantEvaluator } = require('./constant-evaluator');
+
+const constants = new ConstantEvaluator();
+
+// Control-flow graph of one task, sub or function. Every statement gets a block
+// whose successors are the blocks control can reach next; `return` and calls
+// that end the task lead nowhere, and falling off the end of the body leads to
+// the exit block. Loops whose condition is a constant are wired accordingly, so
+// `until (true)` never enters its body and `while (true)` never leaves.
+class ControlFlowGraph {
+  constructor(definition) {
+    this.definition = definition;
+    this.blocks = [];
+    this.blockOf = new Map(); // statement -> block
+    this.labels = new Map(); // name -> block
+    this.gotos = []; // { block, label }
+    this.misplaced = []; // break or continue outside a loop: { node, kind }
+    this.deadLoops = []; // loops whose body can never run: { node, block }
+    this.loops = []; // { breaks, continues, isSwitch, switchHead }
+
+    this.entry = this.createBlock(null);
+    this.exit = this.createBlock(null);
+    const ends = this.visit(definition.body, [this.entry], this.entry);
+    ends.forEach(block => this.connect(block, this.exit));
+    this.fallThroughBlocks = ends;
+
+    this.gotos.forEach(({ block, label }) => {
+      if (this.labels.has(label)) this.connect(block, this.labels.get(label));
+    });
+    this.reached = this.computeReachable();
+  }
+
+  createBlock(statement, anchor = null) {
+    const block = { id: this.blocks.length, statement, anchor, successors: [] };
+    this.blocks.push(block);
+    if (statement) this.blockOf.set(statement, block);
+    return block;
+  }
+
+  connect(from, to) {
+    if (!from.successors.includes(to)) from.successors.push(to);
+  }
+
+  // Adds `statement` after `predecessors`; returns the blocks that fall through it.
+  // `anchor` is the block just before it in the source, used to report only the
+  // first statement of an unreachable run.
+  visit(statement, predecessors, anchor) {
+    if (!statement || typeof statement !== 'object') return predecessors;
+
+    const block = this.createBlock(statement, anchor);
+    predecessors.forEach(predecessor => this.connect(predecessor, block));
+
+    switch (statement.ctorName) {
+      case 'CompoundStatement':
+        return this.sequence(statement.statements || [], [block], block);
+      case 'IfStatement': {
+        const consequent = this.visit(statement.consequent, [block], block);
+        const alternate = statement.alternate ? this.visit(statement.alternate, [block], block) : [block];
+        return [...consequent, ...alternate];
+      }
+      case 'WhileStatement':
+      case 'UntilStatement':
+      case 'RepeatStatement':
+        return this.loop(statement, block, null);
+      case 'ForStatement':
+        return this.loop(statement, block, statement.update);
+      case 'DoWhileStatement': {
+        const frame = this.enterLoop();
+        const bodyEnds = this.visit(statement.body, [block], block);
+        const test = this.createBlock(null, block);
+        [...bodyEnds, ...frame.continues].forEach(end => this.connect(end, test));
+        this.loops.pop();
+        if (ControlFlowGraph.condition(statement) !== false) this.connect(test, block);
+        return ControlFlowGraph.condition(statement) === true ? frame.breaks : [test, ...frame.breaks];
+      }
+      case 'SwitchStatement': {
+        const frame = { breaks: [], continues: null, isSwitch: true, switchHead: block };
+        this.loops.push(frame);
+        const statements = statement.body && statement.body.ctorName === 'CompoundStatement'
+          ? statement.body.statements || []
+          : [statement.body];
+        const ends = this.sequence(statements, [], block);
+        this.loops.pop();
+        const hasDefault = statements.some(item => item && item.ctorName === 'DefaultLabel');
+        return [...ends, ...frame.breaks, ...(hasDefault ? [] : [block])];
+      }
+      case 'CaseLabel':
+      case 'DefaultLabel': {
+        const frame = [...this.loops].reverse().find(loop => loop.isSwitch);
+        if (frame) this.connect(frame.switchHead, block);
+        return [block];
+      }
+      case 'Label':
+        this.labels.set(statement.name, block);
+        return [block];
+      case 'GotoStatement':
+        this.gotos.push({ block, label: statement.label });
+        return [];
+      case 'BreakStatement': {
+        const frame = this.loops[this.loops.length - 1];
+        if (frame) frame.breaks.push(block);
+        else this.misplaced.push({ node: statement, kind: 'break' });
+        return [];
+      }
+      case 'ContinueStatement': {
+        const frame = [...this.loops].reverse().find(loop => !loop.isSwitch);
+        if (frame) frame.continues.push(block);
+        else this.misplaced.push({ node: statement, kind: 'continue' });
+        return [];
+      }
+      case 'ReturnStatement':
+        this.connect(block, this.exit);
+        return [];
+      case 'StopStatement':
+        return statement.task === this.definition.name ? [] : [block];
+      case 'ExpressionStatement':
+        return this.endsTask(statement.expression) ? [] : [block];
+      default:
+        return [block];
+    }
+  }
+
+  sequence(statements, predecessors, anchor) {
+    let current = predecessors;
+    let previous = anchor;
+    statements.forEach(statement => {
+      if (!statement) return;
+      current = this.visit(statement, current, previous);
+      previous = this.blockOf.get(statement);
+    });
+    return current;
+  }
+
+  loop(statement, head, update) {
+    const frame = this.enterLoop();
+    const condition = ControlFlowGraph.condition(statement);
+    const bodyEnds = this.visit(statement.body, condition === false ? [] : [head], head);
+    if (condition === false) this.deadLoops.push({ node: statement, block: head });
+
+    const continueTarget = update ? this.createBlock(null, head) : head;
+    [...bodyEnds, ...frame.continues].forEach(end => this.connect(end, continueTarget));
+    if (update) this.connect(continueTarget, head);
+    this.loops.pop();
+
+    return condition === true ? frame.breaks : [head, ...frame.breaks];
+  }
+
+  enterLoop() {
+    const frame = { breaks: [], continues: [], isSwitch: false, switchHead: null };
+    this.loops.push(frame);
+    return frame;
+  }
+
+  // true when the loop body always runs again, false when it never runs, null otherwise
+  static condition(statement) {
+    if (statement.ctorName === 'ForStatement' && !statement.test) return true;
+    if (statement.ctorName === 'RepeatStatement') {
+      const count = ControlFlowGraph.constantValue(statement.count);
+      return count !== null && count <= 0 ? false : null;
+    }
+    const value = ControlFlowGraph.constantValue(statement.test);
+    if (value === null) return null;
+    return statement.ctorName === 'UntilStatement' ? value === 0 : value !== 0;
+  }
+
+  // Stop(true), StopAllTasks(), ExitTo(), abort() and StopTask() on itself end the running task
+  endsTask(expression) {
+    if (!expression || expression.ctorName !== 'CallExpression' || !expression.callee || expression.callee.ctorName !== 'Identifier') {
+      return false;
+    }
+    const name = expression.callee.name;
+    if (name === 'Stop') {
+      const value = ControlFlowGraph.constantValue((expression.arguments || [])[0]);
+      return value !== null && value !== 0;
+    }
+    if (name === 'StopTask') {
+      const task = (expression.arguments || [])[0];
+      return Boolean(task && task.ctorName === 'Identifier' && task.name === this.definition.name);
+    }
+    return ['StopAllTasks', 'ExitTo', 'abort'].includes(name);
+  }
+
+  computeReachable() {
+    const reached = new Set();
+    const pending = [this.entry];
+    while (pending.length > 0) {
+      const block = pending.pop();
+      if (reached.has(block)) continue;
+      reached.add(block);
+      pending.push(...block.successors);
+    }
+    return reached;
+  }
+
+  isReachable(block) {
+    return this.reached.has(block);
+  }
+
+  // Whether control can fall off the end of the body without a return
+  fallsOffEnd() {
+    return this.fallThroughBlocks.some(block => this.reached.has(block));
+  }
+
+  // Statements that cannot run although the code just before them can
+  unreachableStatements() {
+    const deadLoopHeads = new Set(this.deadLoops.map(loop => loop.block));
+    return this.blocks.filter(block => block.statement &&
+      !this.reached.has(block) &&
+      block.anchor && this.reached.has(block.anchor) &&
+      !deadLoopHeads.has(block.anchor) &&
+      !['CaseLabel', 'DefaultLabel'].includes(block.statement.ctorName));
+  }
+
+  // Numeric value of a constant condition such as `true`, `0` or `1 - 1`, or null
+  static constantValue(node) {
+    return constants.evaluate(node);
+  }
+}
+
+module.exports = { ControlFlowGraph };
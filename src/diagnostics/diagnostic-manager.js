@@ -1,12 +1,46 @@
-const vscode = require('vscode');
+// VS Code module - only require when running in VS Code context
+let vscode;
+try {
+  vscode = require('vscode');
+} catch (e) {
+  // Running outside VS Code context, as in the command-line tool
+  vscode = null;
+}
+
 const { SimpleNXCParser } = require('./simple-parser');
+const { NXCParser } = require('./nxc-parser');
+const { NXCPreprocessor } = require('./nxc-preprocessor');
 const { SemanticAnalyzer } = require('./semantic-analyzer');
+const { TypeChecker } = require('./type-checker');
+const { TaskGraph } = require('./task-graph');
+const { RaceDetector } = require('./race-detector');
+const { MutexChecker } = require('./mutex-checker');
+const { TaskChecker } = require('./task-checker');
+const { ControlFlowChecker } = require('./control-flow-checker');
+const { UnusedSymbolChecker } = require('./unused-symbol-checker');
+const { SensorChecker } = require('./sensor-checker');
+const { ArgumentChecker } = require('./argument-checker');
+const { RuleEngine } = require('./rule-engine');
+const { NXCConfig } = require('../config/nxc-config');
 
 class DiagnosticManager {
-  constructor() {
+  constructor(config = new NXCConfig()) {
     this.parser = new SimpleNXCParser();
+    this.astParser = new NXCParser();
+    this.preprocessor = new NXCPreprocessor();
+    this.config = config;
+    this.includeCache = new Map(); // path -> { code, ast }
     this.semanticAnalyzer = new SemanticAnalyzer();
-    this.diagnosticCollection = vscode.languages.createDiagnosticCollection('nxc');
+    this.typeChecker = new TypeChecker();
+    this.raceDetector = new RaceDetector();
+    this.mutexChecker = new MutexChecker();
+    this.taskChecker = new TaskChecker();
+    this.controlFlowChecker = new ControlFlowChecker();
+    this.unusedSymbolChecker = new UnusedSymbolChecker();
+    this.sensorChecker = new SensorChecker();
+    this.argumentChecker = new ArgumentChecker();
+    this.ruleEngine = new RuleEngine();
+    this.diagnosticCollection = vscode ? vscode.languages.createDiagnosticCollection('nxc') : null;
     this.documentCache = new Map();
     this.analysisQueue = new Set();
     this.isAnalyzing = false;
@@ -16,6 +50,14 @@ class DiagnosticManager {
     this.diagnosticCollection.dispose();
   }
 
+  // Settings or .nxclintrc changed: every open document has to be checked again
+  reanalyzeAll() {
+    this.documentCache.clear();
+    return Promise.all(vscode.workspace.textDocuments
+      .filter(document => document.languageId === 'nxc')
+      .map(document => this.analyzeDocument(document)));
+  }
+
   async analyzeDocument(document) {
     if (document.languageId !== 'nxc') {
       console.log(`Ignoring non-NXC document: ${document.languageId}`);
@@ -56,41 +98,186 @@ class DiagnosticManager {
       return;
     }
 
+    const filePath = uri.scheme === 'file' ? uri.fsPath : null;
+    const allDiagnostics = this.convertToDiagnostics(this.collectDiagnostics(sourceCode, filePath), document);
+
+    console.log(`Total diagnostics: ${allDiagnostics.length}`);
+    this.diagnosticCollection.set(uri, allDiagnostics);
+    this.documentCache.set(cacheKey, { version: document.version, diagnostics: allDiagnostics });
+  }
+
+  // Runs every check on one file and returns plain diagnostics ({ message, line, column,
+  // range, severity, source, rule }) with rule severities and suppressions applied.
+  // Needs no editor: the command-line tool calls it directly.
+  collectDiagnostics(sourceCode, filePath = null) {
+    console.log('Preprocessing...');
+    const preprocessed = this.preprocess(sourceCode, filePath);
+    const effectiveCode = preprocessed.code;
+    const mapToSource = diagnostics => diagnostics.map(diagnostic => preprocessed.mapDiagnostic(diagnostic));
+    console.log(`Preprocessor: ${preprocessed.macros.size} macros, ${preprocessed.includes.length} includes, ${preprocessed.errors.length} errors`);
+
     const cleanedCode = this.removeCommentsAndStrings(sourceCode);
+    const cleanedEffectiveCode = this.removeCommentsAndStrings(effectiveCode);
+
+    console.log('Building syntax tree...');
+    const parseResult = this.astParser.parse(effectiveCode, { recover: true });
+    console.log(`Syntax tree: ${parseResult.errors.length} syntax errors`);
 
     console.log('Executing syntactic analysis...');
-    const syntaxResult = this.parser.validateSyntax(sourceCode);
+    // With a syntax tree the semantic analyzer resolves names; the line-based check is only a fallback
+    const syntaxResult = this.parser.validateSyntax(sourceCode, preprocessed, { semantic: !parseResult.ast });
     console.log(`Syntactic analysis: ${syntaxResult.errors.length} errors, ${syntaxResult.warnings.length} warnings`);
 
-    const bracketCheckResult = this.checkBalancedBrackets(cleanedCode);
+    const bracketCheckResult = this.checkBalancedBrackets(cleanedEffectiveCode);
     console.log(`Bracket balance check: ${bracketCheckResult.errors.length} errors`);
 
     console.log('Executing semantic analysis...');
+    const includedPrograms = this.parseIncludedFiles(preprocessed);
     let semanticResult = { errors: [], warnings: [] };
     try {
-      semanticResult = this.performBasicSemanticAnalysis(sourceCode, cleanedCode, document);
+      // The AST-based analyzer is precise; the line-based fallback covers files the grammar rejects
+      semanticResult = parseResult.ast
+        ? this.semanticAnalyzer.analyze(parseResult.ast, effectiveCode, {
+          partial: !parseResult.success,
+          macros: preprocessed.macros,
+          includedPrograms,
+          unresolvedIncludes: preprocessed.hasUnresolvedIncludes
+        })
+        : this.performBasicSemanticAnalysis(effectiveCode, cleanedEffectiveCode);
       console.log(`Semantic analysis: ${semanticResult.errors.length} errors, ${semanticResult.warnings.length} warnings`);
     } catch (error) {
       console.warn('Error in semantic analysis:', error);
     }
 
-    const allDiagnostics = [
-      ...this.convertToDiagnostics(syntaxResult.errors, document),
-      ...this.convertToDiagnostics(syntaxResult.warnings, document),
-      ...this.convertToDiagnostics(bracketCheckResult.errors, document),
-      ...this.convertToDiagnostics(semanticResult.errors, document),
-      ...this.convertToDiagnostics(semanticResult.warnings, document)
+    let typeResult = { errors: [], warnings: [] };
+    if (parseResult.ast && this.config.getSemanticRules().checkTypeCompatibility) {
+      typeResult = this.typeChecker.check(parseResult.ast, { includedPrograms });
+      console.log(`Type check: ${typeResult.errors.length} errors, ${typeResult.warnings.length} warnings`);
+    }
+
+    let argumentResult = { errors: [], warnings: [] };
+    if (parseResult.ast && this.config.checkArgumentRanges) {
+      argumentResult = this.argumentChecker.analyze(parseResult.ast, { includedPrograms });
+      console.log(`Argument check: ${argumentResult.warnings.length} warnings`);
+    }
+
+    let controlFlowResult = { errors: [], warnings: [] };
+    // A recovered AST is missing the statements around each syntax error
+    if (parseResult.ast && parseResult.success && this.config.checkControlFlow) {
+      controlFlowResult = this.controlFlowChecker.analyze(parseResult.ast);
+      console.log(`Control flow: ${controlFlowResult.errors.length} errors, ${controlFlowResult.warnings.length} warnings`);
+    }
+
+    const taskGraph = parseResult.ast ? new TaskGraph().build(parseResult.ast, includedPrograms) : null;
+    let taskResult = { errors: [], warnings: [] };
+    if (taskGraph && this.config.checkTaskLifecycle) {
+      taskResult = this.taskChecker.analyze(parseResult.ast, taskGraph, {
+        partial: !parseResult.success,
+        unresolvedIncludes: preprocessed.hasUnresolvedIncludes
+      });
+      console.log(`Task check: ${taskResult.errors.length} errors, ${taskResult.warnings.length} warnings`);
+    }
+
+    // Which tasks run together, and which mutexes they hold, needs every start and Acquire
+    let raceResult = { errors: [], warnings: [] };
+    if (taskGraph && parseResult.success && this.config.checkRaceConditions) {
+      raceResult = this.raceDetector.analyze(parseResult.ast, taskGraph, { includedPrograms });
+      console.log(`Race detection: ${raceResult.warnings.length} warnings`);
+    }
+
+    // Like control flow, usage is only trustworthy when the whole file parsed
+    let unusedResult = { errors: [], warnings: [] };
+    let unusedMacros = [];
+    if (taskGraph && parseResult.success && this.config.getSemanticRules().checkUnusedVariables) {
+      unusedResult = this.unusedSymbolChecker.analyze(parseResult.ast, taskGraph);
+      unusedMacros = this.unusedSymbolChecker.checkMacros(parseResult.ast, preprocessed);
+      console.log(`Unused symbols: ${unusedResult.warnings.length + unusedMacros.length} warnings`);
+    }
+
+    let mutexResult = { errors: [], warnings: [] };
+    if (taskGraph && parseResult.success && this.config.checkMutexUsage) {
+      mutexResult = this.mutexChecker.analyze(parseResult.ast, taskGraph);
+      console.log(`Mutex check: ${mutexResult.warnings.length} warnings`);
+    }
+
+    // Paths through a recovered AST would skip the SetSensor calls lost to syntax errors
+    let sensorResult = { errors: [], warnings: [] };
+    if (taskGraph && parseResult.success && this.config.checkSensorUsage) {
+      sensorResult = this.sensorChecker.analyze(parseResult.ast, taskGraph);
+      console.log(`Sensor check: ${sensorResult.warnings.length} warnings`);
+    }
+
+    const lint = this.config.getLintConfig(filePath);
+    const lineCheckResult = this.performLineChecks(sourceCode, cleanedCode, this.config.getSyntaxRules(filePath));
+    const lintFileErrors = lint.error
+      ? [{ message: `Could not read ${lint.lintFile}: ${lint.error}`, line: 0, column: 0, severity: 'warning', source: 'nxc-lint' }]
+      : [];
+
+    const rawDiagnostics = [
+      ...lintFileErrors,
+      ...syntaxResult.errors,
+      ...syntaxResult.warnings,
+      ...preprocessed.errors,
+      ...mapToSource(bracketCheckResult.errors),
+      ...mapToSource(parseResult.errors),
+      ...mapToSource(semanticResult.errors),
+      ...mapToSource(semanticResult.warnings),
+      ...mapToSource(typeResult.errors),
+      ...mapToSource(typeResult.warnings),
+      ...mapToSource(argumentResult.warnings),
+      ...mapToSource(controlFlowResult.errors),
+      ...mapToSource(controlFlowResult.warnings),
+      ...mapToSource(taskResult.errors),
+      ...mapToSource(taskResult.warnings),
+      ...mapToSource(raceResult.warnings),
+      ...mapToSource(mutexResult.warnings),
+      ...mapToSource(sensorResult.warnings),
+      ...mapToSource(unusedResult.warnings),
+      ...unusedMacros,
+      ...lineCheckResult.warnings
     ];
+    return this.ruleEngine.apply(rawDiagnostics, sourceCode, lint.rules);
+  }
 
-    console.log(`Total diagnostics: ${allDiagnostics.length}`);
-    this.diagnosticCollection.set(uri, allDiagnostics);
-    this.documentCache.set(cacheKey, { version: document.version, diagnostics: allDiagnostics });
+  preprocess(sourceCode, filePath) {
+    return this.preprocessor.process(sourceCode, {
+      filePath,
+      includePaths: this.config.includePaths,
+      defines: this.config.defines
+    });
+  }
+
+  // Start relationships between the tasks of a document and the files it includes
+  buildTaskGraph(document) {
+    const filePath = document.uri.scheme === 'file' ? document.uri.fsPath : null;
+    const preprocessed = this.preprocess(document.getText(), filePath);
+    const { ast } = this.astParser.parse(preprocessed.code, { recover: true });
+    return new TaskGraph().build(ast, this.parseIncludedFiles(preprocessed));
+  }
+
+  // Included files are parsed on their own so the analyzer knows what they declare
+  parseIncludedFiles(preprocessed) {
+    return preprocessed.includedFiles.map(included => {
+      const cached = this.includeCache.get(included.filePath);
+      if (cached && cached.code === included.code) {
+        return cached.ast;
+      }
+      const result = this.astParser.parse(included.code, { recover: true });
+      this.includeCache.set(included.filePath, { code: included.code, ast: result.ast });
+      return result.ast;
+    }).filter(Boolean);
   }
 
   checkBalancedBrackets(cleanedCode) {
     const errors = [];
     const stack = [];
     const lines = cleanedCode.split(/\r?\n/);
+    const pairs = { ')': '(', '}': '{', ']': '[' };
+    const names = { ')': 'parenthesis', '}': 'brace', ']': 'bracket' };
+
+    const reportUnclosed = entry => {
+      errors.push({ message: `Unclosed '${entry.char}'`, line: entry.line, column: entry.column, severity: 'error', source: 'syntax-checker' });
+    };
 
     for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
       const line = lines[lineIndex];
@@ -98,37 +285,30 @@ class DiagnosticManager {
         const char = line[columnIndex];
         if (['(', '{', '['].includes(char)) {
           stack.push({ char, line: lineIndex, column: columnIndex });
-        } else if (char === ')') {
-          if (stack.length === 0 || stack[stack.length - 1].char !== '(') {
-            errors.push({ message: "Unexpected closing parenthesis ')'", line: lineIndex, column: columnIndex, severity: 'error', source: 'syntax-checker' });
-            return { errors };
-          }
-          stack.pop();
-        } else if (char === '}') {
-          if (stack.length === 0 || stack[stack.length - 1].char !== '{') {
-            errors.push({ message: "Unexpected closing brace '}'", line: lineIndex, column: columnIndex, severity: 'error', source: 'syntax-checker' });
-            return { errors };
+        } else if (pairs[char]) {
+          const opener = pairs[char];
+          if (stack.length > 0 && stack[stack.length - 1].char === opener) {
+            stack.pop();
+            continue;
           }
-          stack.pop();
-        } else if (char === ']') {
-          if (stack.length === 0 || stack[stack.length - 1].char !== '[') {
-            errors.push({ message: "Unexpected closing bracket ']'", line: lineIndex, column: columnIndex, severity: 'error', source: 'syntax-checker' });
-            return { errors };
+
+          // Keep going after a mismatch: close the nearest matching opener if there is one
+          const matchIndex = stack.map(entry => entry.char).lastIndexOf(opener);
+          if (matchIndex === -1) {
+            errors.push({ message: `Unexpected closing ${names[char]} '${char}'`, line: lineIndex, column: columnIndex, severity: 'error', source: 'syntax-checker' });
+          } else {
+            stack.splice(matchIndex).slice(1).forEach(reportUnclosed);
           }
-          stack.pop();
         }
       }
     }
 
-    if (stack.length > 0) {
-      const unclosed = stack.pop();
-      errors.push({ message: `Unclosed '${unclosed.char}'`, line: unclosed.line, column: unclosed.column, severity: 'error', source: 'syntax-checker' });
-    }
+    stack.forEach(reportUnclosed);
 
     return { errors };
   }
 
-  performBasicSemanticAnalysis(sourceCode, cleanedCode, document) {
+  performBasicSemanticAnalysis(sourceCode, cleanedCode) {
     const errors = [];
     const warnings = [];
     
@@ -235,8 +415,6 @@ class DiagnosticManager {
           }
         }
       }
-
-      this.checkLinePatterns(originalLine, cleanedLine, lineIndex, warnings);
     });
 
     // FIX: When checking for undefined functions, also check if the name is a known macro
@@ -252,6 +430,20 @@ class DiagnosticManager {
     return { errors, warnings };
   }
 
+  performLineChecks(sourceCode, cleanedCode, syntaxRules) {
+    const warnings = [];
+    const lines = sourceCode.split(/\r?\n/);
+    const cleanedLines = cleanedCode.split(/\r?\n/);
+
+    cleanedLines.forEach((cleanedLine, lineIndex) => {
+      if (cleanedLine.trim()) {
+        this.checkLinePatterns(lines[lineIndex], cleanedLine, lineIndex, warnings, syntaxRules);
+      }
+    });
+
+    return { warnings };
+  }
+
   removeCommentsAndStrings(sourceCode) {
     let result = '';
     let inSingleLineComment = false;
@@ -395,7 +587,7 @@ class DiagnosticManager {
     return builtInFunctions;
   }
 
-  checkLinePatterns(originalLine, cleanedLine, lineIndex, warnings) {
+  checkLinePatterns(originalLine, cleanedLine, lineIndex, warnings, syntaxRules) {
     if (!originalLine.trim()) {
       return;
     }
@@ -403,17 +595,19 @@ class DiagnosticManager {
     this.checkInvalidSyntax(originalLine, cleanedLine, lineIndex, warnings);
     this.checkUnterminatedStrings(originalLine, lineIndex, warnings);
 
-    if (originalLine.length > 120) {
+    const { maxLineLength } = syntaxRules;
+    if (originalLine.length > maxLineLength) {
       warnings.push({
-        message: 'Line too long (>120 characters)',
+        message: `Line too long (${originalLine.length} > ${maxLineLength} characters)`,
         line: lineIndex,
-        column: 120,
+        column: maxLineLength,
         severity: 'warning',
         source: 'style-checker'
       });
     }
 
-    if (originalLine.includes('\t') && originalLine.includes('  ')) {
+    const indentation = originalLine.match(/^[\t ]+/);
+    if (indentation && indentation[0].includes('\t') && indentation[0].includes(' ')) {
       warnings.push({
         message: 'Mixed tabs and spaces for indentation',
         line: lineIndex,
@@ -422,8 +616,6 @@ class DiagnosticManager {
         source: 'style-checker'
       });
     }
-
-
   }
 
   checkInvalidSyntax(originalLine, cleanedLine, lineIndex, warnings) {
@@ -563,6 +755,8 @@ class DiagnosticManager {
       
       const diagnostic = new vscode.Diagnostic(range, diag.message, severity);
       diagnostic.source = diag.source || 'nxc';
+      if (diag.rule) diagnostic.code = diag.rule;
+      if (diag.unnecessary) diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
       
       return diagnostic;
     });
@@ -0,0 +1,296 @@
+const fs = require('fs');
+const path = require('path');
+const { NXCLexer } = require('./nxc-lexer');
+const { NXCPreprocessor, ConditionEvaluator } = require('./nxc-preprocessor');
+
+// Reads the API from the headers installed with the NXC compiler (NBCCommon.h, NXCDefs.h
+// and the other headers next to them): functions from prototypes and function-like
+// macros, constants from object-like macros, each with its Doxygen comment. Constants
+// are grouped by the title of the enclosing @defgroup. Names starting with '_' are
+// internal to the headers and left out.
+const MAIN_HEADERS = ['NBCCommon.h', 'NXCDefs.h'];
+const MODIFIERS = new Set(['inline', 'safecall', 'static']);
+const TYPE_WORDS = new Set(['bool', 'byte', 'char', 'const', 'float', 'int', 'long', 'mutex', 'short', 'signed', 'string',
+  'struct', 'unsigned', 'variant', 'void']);
+const IGNORED_COMMANDS = /^[@\\](sa|see|ingroup|defgroup|addtogroup|example|todo|deprecated|file|author|version|date|copyright|[{}])\b/;
+
+class HeaderImporter {
+  constructor() {
+    this.lexer = new NXCLexer();
+    this.preprocessor = new NXCPreprocessor();
+  }
+
+  // NBCCommon.h and NXCDefs.h first, then the other headers in name order
+  static headerFiles(directory) {
+    const names = fs.readdirSync(directory).filter(name => /\.h$/i.test(name));
+    const first = MAIN_HEADERS.filter(name => names.includes(name));
+    return [...first, ...names.filter(name => !first.includes(name)).sort()].map(name => path.join(directory, name));
+  }
+
+  importDirectory(directory) {
+    const result = { functions: new Map(), constants: new Map(), files: [] };
+    HeaderImporter.headerFiles(directory).forEach(filePath => {
+      try {
+        this.importText(fs.readFileSync(filePath, 'utf8'), result);
+        result.files.push(filePath);
+      } catch (error) {
+        console.warn(`Could not read NXC header ${filePath}:`, error.message);
+      }
+    });
+    return result;
+  }
+
+  // Functions are { returns, parameters: [text], isMacro, doc: { description, parameters,
+  // returnDescription, example, firmware } }; constants are { group, value, description }
+  importText(sourceCode, result = { functions: new Map(), constants: new Map(), files: [] }) {
+    const groups = [];
+    const titles = new Map();
+    let pendingGroup = null;
+    let doc = null;
+    let lineDoc = false;
+    let statement = [];
+    let depth = 0;
+
+    this.lexer.tokenize(sourceCode).forEach(token => {
+      if (token.type === 'whitespace' || token.type === 'newline') return;
+
+      if (token.type === 'comment') {
+        const comment = this.commentText(token.value);
+        // ///< after a #define is part of the directive; elsewhere it is not used
+        if (!comment || comment.trailing) return;
+
+        const group = comment.text.match(/[@\\](defgroup|addtogroup)\s+(\w+)[ \t]*([^\n]*)/);
+        if (group) {
+          if (group[1] === 'defgroup' && group[3].trim()) titles.set(group[2], group[3].trim());
+          pendingGroup = titles.get(group[2]) || group[2];
+        }
+        if (/[@\\]\{/.test(comment.text)) {
+          groups.push(pendingGroup || groups[groups.length - 1] || null);
+          pendingGroup = null;
+        }
+        if (/[@\\]\}/.test(comment.text)) groups.pop();
+        if (group || /^\s*[@\\][{}]\s*$/.test(comment.text)) {
+          doc = null;
+          return;
+        }
+
+        doc = lineDoc && !token.block && doc !== null ? `${doc}\n${comment.text}` : comment.text;
+        lineDoc = !token.block;
+        return;
+      }
+      lineDoc = false;
+
+      if (token.type === 'directive') {
+        const { directive, rest } = this.preprocessor.parseDirective(token.value);
+        if (directive !== 'define') return;
+        const trailing = token.value.match(/(?:\/\/[/!]<|\/\*[*!]<)([\s\S]*?)(?:\*\/)?\s*$/);
+        this.define(rest, trailing ? trailing[1] : doc, groups[groups.length - 1] || null, result);
+        doc = null;
+        return;
+      }
+
+      // Bodies of inline functions, structs and enums
+      if (depth > 0) {
+        if (token.value === '{') depth++;
+        if (token.value === '}') depth--;
+        return;
+      }
+      statement.push(token);
+      if (token.value === ';' || token.value === '{') {
+        this.declare(statement, doc, sourceCode, result);
+        if (token.value === '{') depth = 1;
+        statement = [];
+        doc = null;
+      }
+    });
+
+    return result;
+  }
+
+  define(rest, doc, group, result) {
+    const match = rest.match(/^([A-Za-z_]\w*)(\(([^)]*)\))?\s*([\s\S]*)$/);
+    if (!match || match[1].startsWith('_')) return;
+    const name = match[1];
+    const parsed = doc ? this.parseDoc(doc) : {};
+
+    if (match[2]) {
+      if (!result.functions.has(name)) {
+        const parameters = match[3].split(',').map(parameter => parameter.trim()).filter(Boolean);
+        result.functions.set(name, { returns: null, parameters, isMacro: true, doc: parsed });
+      }
+      return;
+    }
+
+    // Include guards and flags have no value
+    const body = match[4].trim();
+    if (!body) return;
+    // #ifdef branches define some constants twice; the first definition wins
+    const existing = result.constants.get(name);
+    if (existing) {
+      if (!existing.description && parsed.description) existing.description = parsed.description;
+      return;
+    }
+
+    const constant = { group: group || undefined, value: this.valueOf(body, result.constants) };
+    if (parsed.description) constant.description = parsed.description;
+    result.constants.set(name, constant);
+  }
+
+  // `[inline] type name(parameters);` or the same followed by a body
+  declare(statement, doc, sourceCode, result) {
+    const open = statement.findIndex(token => token.value === '(');
+    if (open < 2 || statement[open - 1].type !== 'identifier') return;
+    const close = this.matchingParen(statement, open);
+    if (close !== statement.length - 2) return;
+
+    const typeTokens = statement.slice(0, open - 1).filter(token => !MODIFIERS.has(token.value));
+    if (typeTokens.length === 0 || typeTokens.some(token => !TYPE_WORDS.has(token.value) && token.type !== 'identifier' && token.value !== '&')) return;
+    const name = statement[open - 1].value;
+    if (name.startsWith('_')) return;
+
+    const parsed = doc ? this.parseDoc(doc) : {};
+    const existing = result.functions.get(name);
+    // The first documented prototype wins over later ones and over macros
+    if (existing && !existing.isMacro && existing.doc.description) return;
+
+    const text = sourceCode.slice(statement[open].end, statement[close].start).replace(/\/\/.*$|\/\*[\s\S]*?\*\//gm, ' ');
+    const parameters = this.splitParameters(text).filter(parameter => parameter !== 'void');
+    const returns = typeTokens.map(token => token.value).join(' ').replace(/ &/g, '&');
+    const keptDoc = parsed.description || !existing ? parsed : existing.doc;
+    result.functions.set(name, { returns, parameters, isMacro: false, doc: keptDoc });
+  }
+
+  matchingParen(tokens, open) {
+    let depth = 0;
+    for (let i = open; i < tokens.length; i++) {
+      if (tokens[i].value === '(') depth++;
+      if (tokens[i].value === ')' && --depth === 0) return i;
+    }
+    return -1;
+  }
+
+  splitParameters(text) {
+    const parameters = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+      if (char === '(' || char === '{' || char === '[') depth++;
+      if (char === ')' || char === '}' || char === ']') depth--;
+      if (char === ',' && depth === 0) {
+        parameters.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parameters.push(current);
+    return parameters.map(parameter => parameter.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  }
+
+  // Numbers, and expressions of numbers and constants already read; anything else stays text
+  valueOf(body, constants) {
+    if (/^[-+]?\d*\.\d+(e[-+]?\d+)?f?$/i.test(body)) return parseFloat(body);
+
+    const tokens = this.preprocessor.tokenizeFragment(body).filter(token => this.lexer.isSignificant(token));
+    const numeric = tokens.map(token => {
+      if (token.type !== 'identifier') return token;
+      const constant = constants.get(token.value);
+      return constant && Number.isInteger(constant.value) ? { ...token, type: 'number', value: String(constant.value) } : null;
+    });
+    if (numeric.some(token => token === null || token.type === 'string' || (token.type === 'number' && token.value.includes('.')))) return body;
+
+    try {
+      return new ConditionEvaluator(numeric).evaluate();
+    } catch (error) {
+      return body;
+    }
+  }
+
+  // Text of a Doxygen comment (/** */, /*! */, /// or //!), or null for plain comments
+  commentText(value) {
+    const block = value.match(/^\/\*[*!](<?)([\s\S]*?)\*?\*\/$/);
+    if (block && !value.startsWith('/**/')) {
+      const text = block[2].split('\n').map(line => line.replace(/^\s*\*(?!\/)\s?/, '')).join('\n');
+      return { trailing: block[1] === '<', text };
+    }
+    const line = value.match(/^\/\/[/!](<?)(.*)$/);
+    if (line && !value.startsWith('////')) return { trailing: line[1] === '<', text: line[2].replace(/^ /, '') };
+    return null;
+  }
+
+  parseDoc(text) {
+    const doc = { parameters: {} };
+    const sections = { description: [], returns: [], firmware: [] };
+    let current = sections.description;
+    let example = null;
+
+    // Commands written mid-line, as in /** Short description. \param x The value */
+    const commands = text.replace(/([^\n\s])[ \t]+(?=[@\\](param|returns?|retval|warning|note|attention|brief|details|sa|see)\b)/g, '$1\n');
+    commands.split('\n').forEach(raw => {
+      if (example !== null && !/[@\\]endcode\b/.test(raw)) {
+        example.push(raw);
+        return;
+      }
+      const line = raw.trim();
+      let match;
+      if (/^[@\\]endcode\b/.test(line)) {
+        doc.example = this.dedent(example);
+        example = null;
+        current = sections.description;
+      } else if (/^[@\\]code\b/.test(line)) {
+        example = [];
+      } else if ((match = line.match(/^[@\\]param(?:\[[\w,]+\])?\s+(\w+)\s*(.*)$/))) {
+        current = [match[2]];
+        doc.parameters[match[1]] = current;
+      } else if ((match = line.match(/^[@\\](?:returns?|retval)\s*(.*)$/))) {
+        current = sections.returns;
+        current.push(match[1]);
+      } else if ((match = line.match(/^[@\\](?:warning|note|attention)\s*(.*)$/))) {
+        // Only firmware requirements are kept from warnings and notes
+        current = /firmware/i.test(match[1]) ? sections.firmware : [];
+        current.push(match[1]);
+      } else if ((match = line.match(/^[@\\](?:brief|details)\s*(.*)$/))) {
+        current = sections.description;
+        current.push(match[1]);
+      } else if (IGNORED_COMMANDS.test(line)) {
+        current = [];
+      } else if (!line) {
+        current.push('');
+      } else {
+        current.push(line);
+      }
+    });
+
+    const description = this.paragraphs(sections.description);
+    if (description) doc.description = description;
+    Object.keys(doc.parameters).forEach(name => {
+      doc.parameters[name] = this.paragraphs(doc.parameters[name]);
+    });
+    const returns = this.paragraphs(sections.returns);
+    if (returns) doc.returnDescription = returns;
+    const firmware = this.paragraphs(sections.firmware);
+    if (firmware) doc.firmware = firmware;
+    return doc;
+  }
+
+  // Lines joined into paragraphs, with Doxygen inline commands turned into plain text or code
+  paragraphs(lines) {
+    return lines.join('\n').split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .map(paragraph => paragraph
+        .replace(/[@\\]c\s+([\w.()]+)/g, '`$1`')
+        .replace(/[@\\](ref|a|p|e|b|em)\s+/g, '')
+        .replace(/<\/?(b|i|em|code|tt)>/g, ''))
+      .join('\n\n');
+  }
+
+  dedent(lines) {
+    while (lines.length > 0 && !lines[0].trim()) lines.shift();
+    while (lines.length > 0 && !lines[lines.length - 1].trim()) lines.pop();
+    const indent = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length));
+    return lines.map(line => line.slice(Number.isFinite(indent) ? indent : 0)).join('\n');
+  }
+}
+
+module.exports = { HeaderImporter };
@@ -0,0 +1,187 @@
+const { PathWalker } = require('./path-walker');
+
+// Checks how Acquire and Release are used. Every task and sub is walked path by path,
+// with a state per distinct set of held mutexes, to find mutexes still held when a
+// path ends and mutexes acquired twice. Subs that consistently return holding a
+// mutex are lock helpers: calling one acquires it. Lock order is compared across
+// tasks that run at the same time to find pairs of mutexes taken in opposite orders.
+class MutexChecker extends PathWalker {
+  analyze(ast, graph) {
+    this.warnings = [];
+    this.reported = new Set();
+    this.graph = graph;
+    this.summaries = new Map(); // sub name -> { acquires, releases, acquiredAnywhere, edges }
+
+    try {
+      graph.functions.forEach((definition, name) => this.summaryOf(name));
+      const edges = new Map();
+      graph.reachableTasks().forEach(task => {
+        edges.set(task, this.checkDefinition(graph.tasks.get(task)).edges);
+      });
+      graph.concurrentPairs().forEach(([a, b]) => this.compareLockOrder(a, edges.get(a), b, edges.get(b)));
+    } catch (error) {
+      console.error('Error during mutex checking:', error);
+    }
+
+    return { errors: [], warnings: this.warnings };
+  }
+
+  summaryOf(name) {
+    if (!this.summaries.has(name)) {
+      // Recursive calls see an empty summary
+      this.summaries.set(name, { acquires: new Set(), releases: new Set(), acquiredAnywhere: new Set(), edges: [] });
+      this.summaries.set(name, this.checkDefinition(this.graph.functions.get(name)));
+    }
+    return this.summaries.get(name);
+  }
+
+  checkDefinition(definition) {
+    const context = this.walk(definition, [this.createState()], {
+      releases: new Set(),
+      acquiredAnywhere: new Set(),
+      edges: [] // { from, to, node, included }
+    });
+
+    const acquires = this.reportLeaks(context);
+    return { acquires, releases: context.releases, acquiredAnywhere: context.acquiredAnywhere, edges: context.edges };
+  }
+
+  // Applies the Acquire, Release and sub calls inside an expression, in evaluation order
+  expression(node, states, context) {
+    if (!node || typeof node !== 'object' || states.length === 0) return states;
+
+    const after = (node.children || []).reduce((current, child) => this.expression(child, current, context), states);
+    const name = this.calleeOf(node);
+    if (!name) return after;
+
+    const mutex = node.arguments[0] && node.arguments[0].ctorName === 'Identifier' ? node.arguments[0].name : null;
+    if (name === 'Acquire' && mutex) {
+      return after.map(state => this.acquire(state, mutex, node, context));
+    }
+    if (name === 'Release' && mutex) {
+      return this.dedupe(after.map(state => {
+        if (!state.held.has(mutex)) context.releases.add(mutex);
+        const held = new Map(state.held);
+        held.delete(mutex);
+        return { ...state, held };
+      }));
+    }
+    if (this.graph.functions.has(name)) {
+      const summary = this.summaryOf(name);
+      context.edges.push(...summary.edges);
+      return this.dedupe(after.map(state => {
+        summary.acquiredAnywhere.forEach(inner => {
+          context.acquiredAnywhere.add(inner);
+          state.held.forEach((heldNode, outer) => {
+            if (outer !== inner) context.edges.push(this.createEdge(outer, inner, node, context));
+          });
+        });
+
+        const held = new Map(state.held);
+        summary.releases.forEach(released => held.delete(released));
+        let result = { ...state, held };
+        summary.acquires.forEach(acquired => {
+          result = this.acquire(result, acquired, node, context);
+        });
+        return result;
+      }));
+    }
+    return after;
+  }
+
+  acquire(state, mutex, node, context) {
+    context.acquiredAnywhere.add(mutex);
+    if (state.held.has(mutex)) {
+      const first = state.held.get(mutex);
+      if (!context.definition.included) {
+        this.report(`Mutex '${mutex}' is acquired again while already held (acquired on line ${first.line + 1})`, node);
+      }
+      return state;
+    }
+    state.held.forEach((heldNode, outer) => context.edges.push(this.createEdge(outer, mutex, node, context)));
+    const held = new Map(state.held);
+    held.set(mutex, node);
+    return { ...state, held };
+  }
+
+  // Tasks must release everything; a sub only leaks a mutex it holds on some exits but not others.
+  // Returns the mutexes a sub holds on every exit.
+  reportLeaks(context) {
+    const { definition, exits } = context;
+    if (definition.included) return new Set(exits.length > 0 ? [...exits[0].state.held.keys()].filter(mutex => exits.every(exit => exit.state.held.has(mutex))) : []);
+    const heldAnywhere = new Set(exits.flatMap(exit => [...exit.state.held.keys()]));
+    const acquires = new Set();
+
+    heldAnywhere.forEach(mutex => {
+      const leaking = exits.filter(exit => exit.state.held.has(mutex));
+      if (!definition.isTask && leaking.length === exits.length) {
+        acquires.add(mutex);
+        return;
+      }
+      leaking.forEach(exit => {
+        const acquiredAt = exit.state.held.get(mutex);
+        this.report(`Mutex '${mutex}' acquired here is not released ${this.describeExit(exit, definition)}`, acquiredAt);
+      });
+    });
+    return acquires;
+  }
+
+  describeExit(exit, definition) {
+    const through = exit.state.jump ? ` after the break on line ${exit.state.jump.line + 1}` : '';
+    switch (exit.kind) {
+      case 'end':
+        return `by the end of ${definition.isTask ? 'task' : 'sub'} '${definition.name}'${through}`;
+      case 'return':
+        return `before the return on line ${exit.node.line + 1}${through}`;
+      case 'stop':
+        return `before 'stop' on line ${exit.node.line + 1}${through}`;
+      default:
+        return `before ${exit.kind}() on line ${exit.node.line + 1}${through}`;
+    }
+  }
+
+  compareLockOrder(a, edgesA, b, edgesB) {
+    edgesA.forEach(first => {
+      const second = edgesB.find(edge => edge.from === first.to && edge.to === first.from);
+      if (!second || (first.included && second.included)) return;
+      const [edgeTask, edge, otherTask, other] = first.included ? [b, second, a, first] : [a, first, b, second];
+      this.report(
+        `Potential deadlock: task '${edgeTask}' acquires '${edge.to}' while holding '${edge.from}' (line ${edge.node.line + 1}), ` +
+        `but task '${otherTask}' acquires '${other.to}' while holding '${other.from}' (line ${other.node.line + 1})`,
+        edge.node,
+        `deadlock:${[edge.from, edge.to].sort().join('|')}`
+      );
+    });
+  }
+
+  createEdge(from, to, node, context) {
+    return { from, to, node, included: context.definition.included };
+  }
+
+  createState() {
+    return { held: new Map(), jump: null };
+  }
+
+  // States are told apart by the mutexes they hold
+  keyOf(state) {
+    return [...state.held.keys()].sort().join('|');
+  }
+
+  report(message, node, key = `${message}@${node.line}:${node.column}`) {
+    if (this.reported.has(key)) return;
+    this.reported.add(key);
+    this.warnings.push({
+      message,
+      line: node.line || 0,
+      column: node.column || 0,
+      severity: 'warning',
+      source: 'mutex-checker',
+      range: node.endLine === undefined ? undefined : {
+        start: { line: node.line, character: node.column },
+        end: { line: node.endLine, character: node.endColumn }
+      }
+    });
+  }
+}
+
+module.exports = { MutexChecker };
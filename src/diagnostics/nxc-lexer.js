@@ -0,0 +1,165 @@
+const KEYWORDS = new Set([
+  'asm', 'bool', 'break', 'byte', 'case', 'char', 'const', 'continue', 'default', 'do',
+  'else', 'enum', 'false', 'float', 'for', 'goto', 'if', 'inline', 'int', 'long', 'mutex',
+  'priority', 'repeat', 'return', 'safecall', 'short', 'signed', 'start', 'static', 'stop',
+  'string', 'struct', 'sub', 'switch', 'task', 'true', 'typedef', 'unsigned', 'until',
+  'variant', 'void', 'while'
+]);
+
+// Longest operators first so that '<<=' wins over '<<' and '<'
+const OPERATORS = [
+  '<<=', '>>=', '...',
+  '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+  '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '##',
+  '+', '-', '*', '/', '%', '=', '<', '>', '!', '&', '|', '^', '~', '?', ':',
+  ';', ',', '.', '(', ')', '{', '}', '[', ']', '#', '\\'
+];
+
+class NXCLexer {
+  // Splits source code into tokens without dropping anything: concatenating
+  // the values of all tokens gives back the original text.
+  tokenize(sourceCode) {
+    const tokens = [];
+    let index = 0;
+    let line = 0;
+    let column = 0;
+    let atLineStart = true;
+
+    const push = (type, value, extra = {}) => {
+      tokens.push({ type, value, start: index, end: index + value.length, line, column, ...extra });
+      for (const char of value) {
+        if (char === '\n') {
+          line++;
+          column = 0;
+        } else {
+          column++;
+        }
+      }
+      index += value.length;
+    };
+
+    while (index < sourceCode.length) {
+      const rest = sourceCode.slice(index, index + 3);
+      const char = sourceCode[index];
+
+      if (char === '\n' || (char === '\r' && sourceCode[index + 1] === '\n')) {
+        push('newline', char === '\r' ? '\r\n' : '\n');
+        atLineStart = true;
+        continue;
+      }
+
+      if (char === ' ' || char === '\t' || char === '\r' || char === '\f' || char === '\v') {
+        push('whitespace', this.readWhile(sourceCode, index, c => c === ' ' || c === '\t' || c === '\r' || c === '\f' || c === '\v'));
+        continue;
+      }
+
+      if (atLineStart && char === '#') {
+        push('directive', this.readDirective(sourceCode, index));
+        atLineStart = false;
+        continue;
+      }
+      atLineStart = false;
+
+      if (rest.startsWith('//')) {
+        push('comment', this.readUntilLineEnd(sourceCode, index), { block: false });
+        continue;
+      }
+
+      if (rest.startsWith('/*')) {
+        const close = sourceCode.indexOf('*/', index + 2);
+        const end = close === -1 ? sourceCode.length : close + 2;
+        push('comment', sourceCode.slice(index, end), { block: true, unterminated: close === -1 });
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        const literal = this.readQuoted(sourceCode, index, char);
+        push(char === '"' ? 'string' : 'char', literal.value, { unterminated: literal.unterminated });
+        continue;
+      }
+
+      if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(sourceCode[index + 1] || ''))) {
+        push('number', this.readNumber(sourceCode, index));
+        continue;
+      }
+
+      if (/[A-Za-z_]/.test(char)) {
+        const word = this.readWhile(sourceCode, index, c => /[A-Za-z0-9_]/.test(c));
+        push(KEYWORDS.has(word) ? 'keyword' : 'identifier', word);
+        continue;
+      }
+
+      const operator = OPERATORS.find(op => sourceCode.startsWith(op, index));
+      push(operator ? 'operator' : 'unknown', operator || char);
+    }
+
+    return tokens;
+  }
+
+  // Tokens that matter to a parser: no whitespace, newlines or comments
+  significantTokens(sourceCode) {
+    return this.tokenize(sourceCode).filter(token => this.isSignificant(token));
+  }
+
+  isSignificant(token) {
+    return token.type !== 'whitespace' && token.type !== 'newline' && token.type !== 'comment';
+  }
+
+  isKeyword(word) {
+    return KEYWORDS.has(word);
+  }
+
+  readWhile(sourceCode, start, predicate) {
+    let end = start;
+    while (end < sourceCode.length && predicate(sourceCode[end])) end++;
+    return sourceCode.slice(start, end);
+  }
+
+  readUntilLineEnd(sourceCode, start) {
+    let end = start;
+    while (end < sourceCode.length && sourceCode[end] !== '\n' && !(sourceCode[end] === '\r' && sourceCode[end + 1] === '\n')) end++;
+    return sourceCode.slice(start, end);
+  }
+
+  // A directive runs to the end of the line, following '\' continuations
+  readDirective(sourceCode, start) {
+    let end = start;
+    while (end < sourceCode.length) {
+      const char = sourceCode[end];
+      if (char === '\\' && sourceCode[end + 1] === '\n') {
+        end += 2;
+      } else if (char === '\\' && sourceCode[end + 1] === '\r' && sourceCode[end + 2] === '\n') {
+        end += 3;
+      } else if (char === '\n' || (char === '\r' && sourceCode[end + 1] === '\n')) {
+        break;
+      } else {
+        end++;
+      }
+    }
+    return sourceCode.slice(start, end);
+  }
+
+  readQuoted(sourceCode, start, quote) {
+    let end = start + 1;
+    while (end < sourceCode.length) {
+      const char = sourceCode[end];
+      if (char === '\\' && end + 1 < sourceCode.length && sourceCode[end + 1] !== '\n') {
+        end += 2;
+        continue;
+      }
+      if (char === quote) {
+        return { value: sourceCode.slice(start, end + 1), unterminated: false };
+      }
+      if (char === '\n' || (char === '\r' && sourceCode[end + 1] === '\n')) break;
+      end++;
+    }
+    return { value: sourceCode.slice(start, end), unterminated: true };
+  }
+
+  readNumber(sourceCode, start) {
+    const match = /^(0[xX][0-9A-Fa-f]+|0[bB][01]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)[uUlLfF]*/.exec(sourceCode.slice(start));
+    return match ? match[0] : sourceCode[start];
+  }
+}
+
+module.exports = { NXCLexer };
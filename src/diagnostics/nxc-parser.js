@@ -1,215 +1,1091 @@
 const ohm = require('ohm-js');
+const { NXCLexer } = require('./nxc-lexer');
+
+// What kind of name is missing after each token, for "expected struct name" and the like
+const NAME_CONTEXTS = {
+  struct: 'struct name',
+  enum: 'enum name',
+  task: 'task name',
+  start: 'task name',
+  stop: 'task name',
+  priority: 'task name',
+  goto: 'label name',
+  '.': 'field name'
+};
 
 class NXCParser {
   constructor() {
     this.grammar = null;
+    this.lexer = new NXCLexer();
+    this.offset = 0;
+    // The last text matched as a whole, and the segments matched while recovering from its
+    // errors: an edit only rematches what it changed
+    this.matcher = null;
+    this.segmentMatches = new Map();
     this.initializeGrammar();
   }
 
   initializeGrammar() {
-    // Use the original grammar that worked
-    const grammarText = `
+    const grammarText = String.raw`
 NXC {
-  Program = ListOf<TopLevelItem, "">
+  Program = TopLevelItem*
 
-  TopLevelItem = PreprocessorDirective | Declaration | FunctionDefinition | TaskDefinition
+  TopLevelItem = directive
+    | TaskDefinition
+    | FunctionDefinition
+    | FunctionPrototype
+    | StructDefinition
+    | TypedefDeclaration
+    | EnumDeclaration
+    | Declaration
 
-  PreprocessorDirective = "#" (IncludeDirective | DefineDirective | ImportDirective | DownloadDirective | ConditionalDirective | PragmaDirective)
+  TaskDefinition = kw<"task"> ident "(" ")" CompoundStatement
 
-  IncludeDirective = "include" stringLiteral
+  FunctionDefinition = FunctionSpecifier* ReturnType ident "(" ListOf<Parameter, ","> ")" CompoundStatement
 
-  DefineDirective = "define" ident ( "(" ParameterList? ")" )? ( ~
- any )*
-  ImportDirective = "import" stringLiteral
+  FunctionPrototype = FunctionSpecifier* ReturnType ident "(" ListOf<Parameter, ","> ")" ";"
 
-  DownloadDirective = "download" stringLiteral
+  FunctionSpecifier = kw<"safecall"> | kw<"inline">
 
-  ConditionalDirective = ("if" | "ifdef" | "ifndef") Expression ("else" Expression)? "endif"
+  ReturnType = kw<"sub"> | kw<"void"> | TypeSpecifier
 
-  PragmaDirective = "pragma" ( ~
- any )*
+  Parameter = TypeSpecifier "&"? ident ArrayDimension* ("=" AssignmentExpression)?
 
-  FunctionDefinition = FunctionSpecifier* ("sub" | "void" | TypeSpecifier) ident "(" ParameterList? ")" CompoundStatement
+  Declaration = TypeSpecifier NonemptyListOf<Declarator, ","> ";"
 
-  FunctionSpecifier = "safecall" | "inline"
+  Declarator = ident ArrayDimension* ("=" Initializer)?
 
-  TaskDefinition = "task" ident "(" ")" CompoundStatement
+  ArrayDimension = "[" Expression? "]"
 
-  ParameterList = Parameter ("," Parameter)*
+  Initializer = "{" ListOf<Initializer, ","> ","? "}"  -- list
+    | AssignmentExpression
 
-  Parameter = ("const" ws)? TypeSpecifier ("&" ws)? ident ("=" Expression)?
+  StructDefinition = kw<"struct"> ident? "{" Declaration* "}" ListOf<Declarator, ","> ";"
 
-  Declaration = TypeSpecifier Declarator ("," Declarator)* ";"
-    | "enum" ident? "{" EnumList? "}" ";"
+  TypedefDeclaration = kw<"typedef"> TypeSpecifier ident ";"
 
-  EnumList = EnumItem ("," EnumItem)* ","?
+  EnumDeclaration = kw<"enum"> ident? "{" ListOf<EnumMember, ","> ","? "}" ListOf<Declarator, ","> ";"
 
-  EnumItem = ident ("=" Expression)?
+  EnumMember = ident ("=" ConditionalExpression)?
 
-  Declarator = ident ArraySpecifier? ("=" Initializer)?
+  TypeSpecifier = typeQualifier* BaseType
 
-  ArraySpecifier = "[" Expression? "]" // up to 4 dimensions
+  BaseType = kw<"unsigned"> integerType?  -- unsigned
+    | kw<"signed"> integerType?  -- signed
+    | kw<"struct"> ident  -- struct
+    | kw<"enum"> ident  -- enum
+    | builtinType
+    | ident  -- named
 
-  Initializer = Expression | "{" InitializerList "}"
+  CastType = kw<"unsigned"> integerType?  -- unsigned
+    | builtinType
 
-  InitializerList = Initializer ("," Initializer)* ","?
+  CompoundStatement = "{" BlockItem* "}"
 
-  TypeSpecifier = ("unsigned" | "signed" ws)? BasicType | StructType | EnumType
+  BlockItem = directive
+    | StructDefinition
+    | Declaration
+    | Statement
+
+  Statement = CompoundStatement
+    | IfStatement
+    | SwitchStatement
+    | WhileStatement
+    | UntilStatement
+    | DoWhileStatement
+    | ForStatement
+    | RepeatStatement
+    | GotoStatement
+    | ContinueStatement
+    | BreakStatement
+    | ReturnStatement
+    | AsmStatement
+    | StartStatement
+    | StopStatement
+    | PriorityStatement
+    | CaseLabel
+    | DefaultLabel
+    | Label
+    | ExpressionStatement
 
-  BasicType = "bool" | "byte" | "char" | "int" | "short" | "long" | "float" | "mutex" | "string" | "variant" | "void" | ident
+  IfStatement = kw<"if"> "(" Expression ")" Statement (kw<"else"> Statement)?
 
-  StructType = "struct" ident "{" FieldDeclaration* "}"
+  SwitchStatement = kw<"switch"> "(" Expression ")" Statement
 
-  EnumType = "enum" ident
+  WhileStatement = kw<"while"> "(" Expression ")" Statement
 
-  FieldDeclaration = TypeSpecifier ident ";"
+  UntilStatement = kw<"until"> "(" Expression ")" Statement
 
-  CompoundStatement = "{" BlockItem* "}"
+  DoWhileStatement = kw<"do"> Statement kw<"while"> "(" Expression ")" ";"
 
-  BlockItem = Declaration | Statement
+  ForStatement = kw<"for"> "(" ForInit Expression? ";" Expression? ")" Statement
 
-  Statement = LabeledStatement
-    | CompoundStatement
-    | ExpressionStatement
-    | SelectionStatement
-    | IterationStatement
-    | JumpStatement
-    | AsmStatement
-    | TaskControlStatement
+  ForInit = Declaration
+    | Expression? ";"  -- expression
 
-  LabeledStatement = ident ":" Statement
-    | "case" Expression ":" Statement
-    | "default" ":" Statement
+  RepeatStatement = kw<"repeat"> "(" Expression ")" Statement
 
-  ExpressionStatement = Expression? ";"
+  GotoStatement = kw<"goto"> ident ";"
 
-  SelectionStatement = "if" "(" Expression ")" Statement ("else" Statement)?
-    | "switch" "(" Expression ")" Statement
+  ContinueStatement = kw<"continue"> ";"
 
-  IterationStatement = "while" "(" Expression ")" Statement
-    | "until" "(" Expression ")" Statement
-    | "do" Statement "while" "(" Expression ")" ";"
-    | "for" "(" Expression? ";" Expression? ";" Expression? ")" Statement
-    | "repeat" "(" Expression ")" Statement
+  BreakStatement = kw<"break"> ";"
 
-  JumpStatement = "goto" ident ";"
-    | "continue" ";"
-    | "break" ";"
-    | "return" Expression? ";"
+  ReturnStatement = kw<"return"> Expression? ";"
 
-  AsmStatement = "asm" "{" ( ~"}" any )* "}"
+  AsmStatement = kw<"asm"> asmBlock
 
-  TaskControlStatement = "start" ident ";"
-    | "stop" ident ";"
-    | "priority" ident "," Expression ";"
+  StartStatement = kw<"start"> ident ";"
 
-  Expression = AssignmentExpression ( "," AssignmentExpression )*
+  StopStatement = kw<"stop"> ident ";"
 
-  AssignmentExpression = ConditionalExpression (AssignmentOperator AssignmentExpression)?
+  PriorityStatement = kw<"priority"> ident "," AssignmentExpression ";"
 
-  AssignmentOperator = "=" | "*=" | "/=" | "%=" | "+=" | "-=" | "<<=" | ">>=" | "&=" | "^=" | "|="
+  CaseLabel = kw<"case"> ConditionalExpression ":"
 
-  ConditionalExpression = LogicalOrExpression ("?" Expression ":" ConditionalExpression)?
+  DefaultLabel = kw<"default"> ":"
 
-  LogicalOrExpression = LogicalAndExpression ("||" LogicalAndExpression)*
+  Label = ident ":" ~":"
 
-  LogicalAndExpression = BitwiseOrExpression ("&&" BitwiseOrExpression)*
+  ExpressionStatement = Expression? ";"
+
+  Expression = NonemptyListOf<AssignmentExpression, ",">
 
-  BitwiseOrExpression = BitwiseXorExpression ("|" BitwiseXorExpression)*
+  AssignmentExpression = UnaryExpression assignmentOperator AssignmentExpression  -- assign
+    | ConditionalExpression
 
-  BitwiseXorExpression = BitwiseAndExpression ("^" BitwiseAndExpression)*
+  ConditionalExpression = LogicalOrExpression "?" Expression ":" ConditionalExpression  -- ternary
+    | LogicalOrExpression
 
-  BitwiseAndExpression = EqualityExpression ("&" EqualityExpression)*
+  LogicalOrExpression = LogicalOrExpression "||" LogicalAndExpression  -- binary
+    | LogicalAndExpression
 
-  EqualityExpression = RelationalExpression (("==" | "!=") RelationalExpression)*
+  LogicalAndExpression = LogicalAndExpression "&&" BitwiseOrExpression  -- binary
+    | BitwiseOrExpression
 
-  RelationalExpression = ShiftExpression (("<" | ">" | "<=" | ">=") ShiftExpression)*
+  BitwiseOrExpression = BitwiseOrExpression bitwiseOrOperator BitwiseXorExpression  -- binary
+    | BitwiseXorExpression
 
-  ShiftExpression = AdditiveExpression (("<<" | ">>") AdditiveExpression)*
+  BitwiseXorExpression = BitwiseXorExpression bitwiseXorOperator BitwiseAndExpression  -- binary
+    | BitwiseAndExpression
 
-  AdditiveExpression = MultiplicativeExpression (("+" | "-") MultiplicativeExpression)*
+  BitwiseAndExpression = BitwiseAndExpression bitwiseAndOperator EqualityExpression  -- binary
+    | EqualityExpression
 
-  MultiplicativeExpression = UnaryExpression (("*" | "/" | "%") UnaryExpression)*
+  EqualityExpression = EqualityExpression equalityOperator RelationalExpression  -- binary
+    | RelationalExpression
 
-  UnaryExpression = PostfixExpression
-    | ("++" | "--") UnaryExpression
-    | UnaryOperator CastExpression
+  RelationalExpression = RelationalExpression relationalOperator ShiftExpression  -- binary
+    | ShiftExpression
 
-  UnaryOperator = "&" | "*" | "+" | "-" | "~" | "!"
+  ShiftExpression = ShiftExpression shiftOperator AdditiveExpression  -- binary
+    | AdditiveExpression
 
-  CastExpression = "(" TypeSpecifier ")" UnaryExpression
+  AdditiveExpression = AdditiveExpression additiveOperator MultiplicativeExpression  -- binary
+    | MultiplicativeExpression
 
-  PostfixExpression = PrimaryExpression PostfixOperator*
+  MultiplicativeExpression = MultiplicativeExpression multiplicativeOperator UnaryExpression  -- binary
+    | UnaryExpression
 
-  PostfixOperator = "[" Expression "]"
-    | "(" ArgumentList? ")"
-    | "." ident
-    | "++"
-    | "--"
+  UnaryExpression = updateOperator UnaryExpression  -- update
+    | unaryOperator UnaryExpression  -- unary
+    | "(" CastType ")" UnaryExpression  -- cast
+    | PostfixExpression
 
-  ArgumentList = AssignmentExpression ("," AssignmentExpression)*
+  PostfixExpression = PostfixExpression "[" Expression "]"  -- index
+    | PostfixExpression "(" ListOf<AssignmentExpression, ","> ")"  -- call
+    | PostfixExpression "." ident  -- member
+    | PostfixExpression updateOperator  -- update
+    | PrimaryExpression
 
-  PrimaryExpression = ident
-    | Constant
+  PrimaryExpression = "(" Expression ")"  -- paren
+    | number
+    | charLiteral
     | stringLiteral
-    | "(" Expression ")"
+    | booleanLiteral
+    | ident
+
+  assignmentOperator = "<<=" | ">>=" | "+=" | "-=" | "*=" | "/=" | "%=" | "&=" | "^=" | "|=" | "=" ~"="
+
+  bitwiseOrOperator = "|" ~("|" | "=")
+
+  bitwiseXorOperator = "^" ~"="
+
+  bitwiseAndOperator = "&" ~("&" | "=")
+
+  equalityOperator = "==" | "!="
 
-  Constant = IntegerConstant | FloatConstant | CharConstant
+  relationalOperator = "<=" | ">=" | "<" ~("<" | "=") | ">" ~(">" | "=")
 
-  IntegerConstant = HexConstant | BinaryConstant | OctalConstant | DecimalConstant
+  shiftOperator = ("<<" | ">>") ~"="
 
-  HexConstant = "0x" hexDigit+
+  additiveOperator = "+" ~("+" | "=") | "-" ~("-" | "=")
 
-  BinaryConstant = "0b" ("0" | "1")+
+  multiplicativeOperator = ("*" | "/" | "%") ~"="
 
-  OctalConstant = "0" digit+
+  updateOperator = "++" | "--"
 
-  DecimalConstant = digit+ 
+  unaryOperator = "-" ~("-" | "=") | "+" ~("+" | "=") | "!" ~"=" | "~"
 
-  FloatConstant = digit* "." digit+ ("e" ("+" | "-")? digit+)?
+  typeQualifier = kw<"const"> | kw<"static">
 
-  CharConstant = "'" (escapeSeq | ~["'\\\\"]) "'"
+  integerType = kw<"char"> | kw<"byte"> | kw<"short"> | kw<"int"> | kw<"long">
 
-  stringLiteral = "\\"" (escapeSeq | ~["\\\\\\"" ])* "\\""
+  builtinType = kw<"bool"> | kw<"byte"> | kw<"char"> | kw<"int"> | kw<"short"> | kw<"long">
+    | kw<"float"> | kw<"mutex"> | kw<"string"> | kw<"variant">
 
-  escapeSeq = "\\\\" (["'\\"nr t] | "x" hexDigit hexDigit)
+  number = hexNumber | binaryNumber | floatNumber | decimalNumber
 
-  ident = letter (letter | digit | "_")*
+  hexNumber = "0" ("x" | "X") hexDigit+ ~identPart
 
-  hexDigit = digit | [a-f] | [A-F]
+  binaryNumber = "0" ("b" | "B") ("0" | "1")+ ~identPart
 
-  digit = [0-9]
+  floatNumber = digit+ "." digit* exponent? ~identPart  -- whole
+    | "." digit+ exponent? ~identPart  -- fraction
+    | digit+ exponent ~identPart  -- exponent
 
-  letter = [a-z] | [A-Z]
+  exponent = ("e" | "E") ("+" | "-")? digit+
 
-  space += " " | "\\t" | "\\r" | "\\n" | Comment
+  decimalNumber = digit+ ("u" | "U" | "l" | "L")* ~identPart
 
-  Comment = "//" (~"\\n" any)*
-    | "/*" (~"*/" any)* "*/"
+  charLiteral = "'" (escapeSequence | ~("'" | "\\" | "\n") any) "'"
 
-  ws = space*
+  stringLiteral = "\"" (escapeSequence | ~("\"" | "\\" | "\n") any)* "\""
+
+  escapeSequence = "\\" any
+
+  booleanLiteral = kw<"true"> | kw<"false">
+
+  asmBlock = "{" (~"}" any)* "}"
+
+  directive = "#" (lineContinuation | ~"\n" any)*
+
+  lineContinuation = "\\" "\r"? "\n"
+
+  ident = ~keyword identStart identPart*
+
+  identStart = "a".."z" | "A".."Z" | "_"
+
+  identPart = identStart | digit
+
+  keyword = ("asm" | "bool" | "break" | "byte" | "case" | "char" | "const" | "continue" | "default" | "do"
+    | "else" | "enum" | "false" | "float" | "for" | "goto" | "if" | "inline" | "int" | "long" | "mutex"
+    | "priority" | "repeat" | "return" | "safecall" | "short" | "signed" | "start" | "static" | "stop"
+    | "string" | "struct" | "sub" | "switch" | "task" | "true" | "typedef" | "unsigned" | "until"
+    | "variant" | "void" | "while") ~identPart
+
+  kw<word> = word ~identPart
+
+  space += lineComment | blockComment
+
+  lineComment = "//" (~"\n" any)*
+
+  blockComment = "/*" (~"*/" any)* "*/"
 }
 `;
 
     try {
       this.grammar = ohm.grammar(grammarText);
+      this.semantics = this.createSemantics();
     } catch (error) {
       console.error('Error initializing NXC grammar:', error);
       throw error;
     }
   }
 
-  parse(sourceCode) {
+  // Turns a successful match into a plain-object AST. Every node carries its
+  // ctorName, 0-based line/column range and source offsets; `children` is a
+  // non-enumerable list of child nodes so visitors can walk the tree generically.
+  createSemantics() {
+    const parser = this;
+    const semantics = this.grammar.createSemantics();
+
+    const node = (ctorName, source, props) => parser.createNode(ctorName, source, props);
+    const list = listNode => listNode.asIteration().children.map(child => child.toAST());
+    const optional = iterNode => (iterNode.children.length > 0 ? iterNode.children[0].toAST() : null);
+    const binary = function (left, operator, right) {
+      return node('BinaryExpression', this.source, {
+        operator: operator.sourceString,
+        left: left.toAST(),
+        right: right.toAST()
+      });
+    };
+    const loop = ctorName => function (_keyword, _open, test, _close, body) {
+      return node(ctorName, this.source, { test: test.toAST(), body: body.toAST() });
+    };
+    const typeName = type => (typeof type === 'string' ? type : type.name);
+
+    semantics.addOperation('toAST', {
+      Program(items) {
+        return node('Program', this.source, { body: items.toAST() });
+      },
+
+      TaskDefinition(_task, name, _open, _close, body) {
+        return node('TaskDefinition', this.source, {
+          name: name.sourceString,
+          nameRange: parser.rangeOf(name.source),
+          body: body.toAST()
+        });
+      },
+
+      FunctionDefinition(specifiers, returnType, name, _open, params, _close, body) {
+        return node('FunctionDefinition', this.source, {
+          name: name.sourceString,
+          nameRange: parser.rangeOf(name.source),
+          specifiers: specifiers.toAST(),
+          returnType: typeName(returnType.toAST()),
+          parameters: list(params),
+          body: body.toAST()
+        });
+      },
+
+      FunctionPrototype(specifiers, returnType, name, _open, params, _close, _semicolon) {
+        return node('FunctionPrototype', this.source, {
+          name: name.sourceString,
+          nameRange: parser.rangeOf(name.source),
+          specifiers: specifiers.toAST(),
+          returnType: typeName(returnType.toAST()),
+          parameters: list(params)
+        });
+      },
+
+      Parameter(type, ampersand, name, dimensions, _equals, defaultValue) {
+        const typeInfo = type.toAST();
+        return node('Parameter', this.source, {
+          name: name.sourceString,
+          nameRange: parser.rangeOf(name.source),
+          type: typeInfo.name,
+          isConst: typeInfo.isConst,
+          isReference: ampersand.children.length > 0,
+          dimensions: dimensions.toAST(),
+          defaultValue: optional(defaultValue)
+        });
+      },
+
+      Declaration(type, declarators, _semicolon) {
+        const typeInfo = type.toAST();
+        return node('Declaration', this.source, {
+          type: typeInfo.name,
+          isConst: typeInfo.isConst,
+          declarators: list(declarators)
+        });
+      },
+
+      Declarator(name, dimensions, _equals, init) {
+        return node('Declarator', this.source, {
+          name: name.sourceString,
+          nameRange: parser.rangeOf(name.source),
+          dimensions: dimensions.toAST(),
+          init: optional(init)
+        });
+      },
+
+      ArrayDimension(_open, size, _close) {
+        return optional(size);
+      },
+
+      Initializer_list(_open, elements, _comma, _close) {
+        return node('InitializerList', this.source, { elements: list(elements) });
+      },
+
+      StructDefinition(_struct, name, _open, fields, _close, declarators, _semicolon) {
+        return node('StructDefinition', this.source, {
+          name: optional(name),
+          nameRange: name.children.length > 0 ? parser.rangeOf(name.source) : null,
+          fields: fields.toAST(),
+          declarators: list(declarators)
+        });
+      },
+
+      TypedefDeclaration(_typedef, type, name, _semicolon) {
+        return node('TypedefDeclaration', this.source, {
+          name: name.sourceString,
+          nameRange: parser.rangeOf(name.source),
+          type: type.toAST().name
+        });
+      },
+
+      EnumDeclaration(_enum, name, _open, members, _comma, _close, declarators, _semicolon) {
+        return node('EnumDeclaration', this.source, {
+          name: optional(name),
+          nameRange: name.children.length > 0 ? parser.rangeOf(name.source) : null,
+          members: list(members),
+          declarators: list(declarators)
+        });
+      },
+
+      EnumMember(name, _equals, value) {
+        return node('EnumMember', this.source, {
+          name: name.sourceString,
+          nameRange: parser.rangeOf(name.source),
+          value: optional(value)
+        });
+      },
+
+      TypeSpecifier(qualifiers, base) {
+        const qualifierList = qualifiers.toAST();
+        return {
+          name: base.toAST(),
+          isConst: qualifierList.includes('const'),
+          isStatic: qualifierList.includes('static')
+        };
+      },
+
+      BaseType_unsigned(_unsigned, type) {
+        return `unsigned ${optional(type) || 'int'}`;
+      },
+
+      BaseType_signed(_signed, type) {
+        return optional(type) || 'int';
+      },
+
+      BaseType_struct(_struct, name) {
+        return name.sourceString;
+      },
+
+      BaseType_enum(_enum, name) {
+        return name.sourceString;
+      },
+
+      BaseType_named(name) {
+        return name.sourceString;
+      },
+
+      CastType_unsigned(_unsigned, type) {
+        return `unsigned ${optional(type) || 'int'}`;
+      },
+
+      CompoundStatement(_open, items, _close) {
+        return node('CompoundStatement', this.source, { statements: items.toAST() });
+      },
+
+      IfStatement(_if, _open, test, _close, consequent, _else, alternate) {
+        return node('IfStatement', this.source, {
+          test: test.toAST(),
+          consequent: consequent.toAST(),
+          alternate: optional(alternate)
+        });
+      },
+
+      SwitchStatement(_switch, _open, discriminant, _close, body) {
+        return node('SwitchStatement', this.source, { discriminant: discriminant.toAST(), body: body.toAST() });
+      },
+
+      WhileStatement: loop('WhileStatement'),
+
+      UntilStatement: loop('UntilStatement'),
+
+      DoWhileStatement(_do, body, _while, _open, test, _close, _semicolon) {
+        return node('DoWhileStatement', this.source, { body: body.toAST(), test: test.toAST() });
+      },
+
+      ForStatement(_for, _open, init, test, _semicolon, update, _close, body) {
+        return node('ForStatement', this.source, {
+          init: init.toAST(),
+          test: optional(test),
+          update: optional(update),
+          body: body.toAST()
+        });
+      },
+
+      ForInit_expression(expression, _semicolon) {
+        return optional(expression);
+      },
+
+      RepeatStatement(_repeat, _open, count, _close, body) {
+        return node('RepeatStatement', this.source, { count: count.toAST(), body: body.toAST() });
+      },
+
+      GotoStatement(_goto, label, _semicolon) {
+        return node('GotoStatement', this.source, { label: label.sourceString });
+      },
+
+      ContinueStatement(_continue, _semicolon) {
+        return node('ContinueStatement', this.source, {});
+      },
+
+      BreakStatement(_break, _semicolon) {
+        return node('BreakStatement', this.source, {});
+      },
+
+      ReturnStatement(_return, argument, _semicolon) {
+        return node('ReturnStatement', this.source, { argument: optional(argument) });
+      },
+
+      AsmStatement(_asm, block) {
+        return node('AsmStatement', this.source, { code: block.sourceString.slice(1, -1) });
+      },
+
+      StartStatement(_start, task, _semicolon) {
+        return node('StartStatement', this.source, { task: task.sourceString, taskRange: parser.rangeOf(task.source) });
+      },
+
+      StopStatement(_stop, task, _semicolon) {
+        return node('StopStatement', this.source, { task: task.sourceString, taskRange: parser.rangeOf(task.source) });
+      },
+
+      PriorityStatement(_priority, task, _comma, priority, _semicolon) {
+        return node('PriorityStatement', this.source, {
+          task: task.sourceString,
+          taskRange: parser.rangeOf(task.source),
+          priority: priority.toAST()
+        });
+      },
+
+      CaseLabel(_case, test, _colon) {
+        return node('CaseLabel', this.source, { test: test.toAST() });
+      },
+
+      DefaultLabel(_default, _colon) {
+        return node('DefaultLabel', this.source, {});
+      },
+
+      Label(name, _colon) {
+        return node('Label', this.source, { name: name.sourceString });
+      },
+
+      ExpressionStatement(expression, _semicolon) {
+        return node('ExpressionStatement', this.source, { expression: optional(expression) });
+      },
+
+      Expression(expressions) {
+        const items = list(expressions);
+        return items.length === 1 ? items[0] : node('SequenceExpression', this.source, { expressions: items });
+      },
+
+      AssignmentExpression_assign(left, operator, right) {
+        return node('AssignmentExpression', this.source, {
+          operator: operator.sourceString,
+          left: left.toAST(),
+          right: right.toAST()
+        });
+      },
+
+      ConditionalExpression_ternary(test, _question, consequent, _colon, alternate) {
+        return node('ConditionalExpression', this.source, {
+          test: test.toAST(),
+          consequent: consequent.toAST(),
+          alternate: alternate.toAST()
+        });
+      },
+
+      LogicalOrExpression_binary: binary,
+      LogicalAndExpression_binary: binary,
+      BitwiseOrExpression_binary: binary,
+      BitwiseXorExpression_binary: binary,
+      BitwiseAndExpression_binary: binary,
+      EqualityExpression_binary: binary,
+      RelationalExpression_binary: binary,
+      ShiftExpression_binary: binary,
+      AdditiveExpression_binary: binary,
+      MultiplicativeExpression_binary: binary,
+
+      UnaryExpression_update(operator, argument) {
+        return node('UpdateExpression', this.source, { operator: operator.sourceString, prefix: true, argument: argument.toAST() });
+      },
+
+      UnaryExpression_unary(operator, argument) {
+        return node('UnaryExpression', this.source, { operator: operator.sourceString, argument: argument.toAST() });
+      },
+
+      UnaryExpression_cast(_open, type, _close, argument) {
+        return node('CastExpression', this.source, { type: type.toAST(), argument: argument.toAST() });
+      },
+
+      PostfixExpression_index(object, _open, index, _close) {
+        return node('IndexExpression', this.source, { object: object.toAST(), index: index.toAST() });
+      },
+
+      PostfixExpression_call(callee, _open, args, _close) {
+        return node('CallExpression', this.source, { callee: callee.toAST(), arguments: list(args) });
+      },
+
+      PostfixExpression_member(object, _dot, property) {
+        return node('MemberExpression', this.source, {
+          object: object.toAST(),
+          property: property.sourceString,
+          propertyRange: parser.rangeOf(property.source)
+        });
+      },
+
+      PostfixExpression_update(argument, operator) {
+        return node('UpdateExpression', this.source, { operator: operator.sourceString, prefix: false, argument: argument.toAST() });
+      },
+
+      PrimaryExpression_paren(_open, expression, _close) {
+        return expression.toAST();
+      },
+
+      PrimaryExpression(expression) {
+        if (expression.ctorName === 'ident') {
+          return node('Identifier', this.source, { name: this.sourceString });
+        }
+        return expression.toAST();
+      },
+
+      number(literal) {
+        const raw = this.sourceString;
+        const isFloat = literal.ctorName === 'floatNumber';
+        return node('NumberLiteral', this.source, { raw, value: parser.parseNumber(raw, literal.ctorName), isFloat });
+      },
+
+      charLiteral(_open, _char, _close) {
+        return node('CharLiteral', this.source, { raw: this.sourceString });
+      },
+
+      stringLiteral(_open, _chars, _close) {
+        return node('StringLiteral', this.source, { raw: this.sourceString, value: this.sourceString.slice(1, -1) });
+      },
+
+      booleanLiteral(_keyword) {
+        return node('BooleanLiteral', this.source, { value: this.sourceString === 'true' });
+      },
+
+      directive(_hash, _body) {
+        return node('PreprocessorDirective', this.source, parser.parseDirective(this.sourceString));
+      },
+
+      ident(_start, _rest) {
+        return this.sourceString;
+      },
+
+      kw(_word) {
+        return this.sourceString;
+      },
+
+      _nonterminal(...children) {
+        return children.length === 1 ? children[0].toAST() : this.sourceString;
+      },
+
+      _iter(...children) {
+        return children.map(child => child.toAST());
+      },
+
+      _terminal() {
+        return this.sourceString;
+      }
+    });
+
+    return semantics;
+  }
+
+  createNode(ctorName, source, props) {
+    const node = { ctorName, ...props, ...this.rangeOf(source) };
+    const children = [];
+    Object.values(props).forEach(value => {
+      if (Array.isArray(value)) {
+        value.forEach(item => {
+          if (this.isNode(item)) children.push(item);
+        });
+      } else if (this.isNode(value)) {
+        children.push(value);
+      }
+    });
+    Object.defineProperty(node, 'children', { value: children, enumerable: false });
+    return node;
+  }
+
+  isNode(value) {
+    return Boolean(value) && typeof value === 'object' && typeof value.ctorName === 'string';
+  }
+
+  rangeOf(source) {
+    const startOffset = source.startIdx + this.offset;
+    const endOffset = source.endIdx + this.offset;
+    const start = this.positionAt(startOffset);
+    const end = this.positionAt(endOffset);
+    return {
+      line: start.line,
+      column: start.column,
+      endLine: end.line,
+      endColumn: end.column,
+      start: startOffset,
+      end: endOffset
+    };
+  }
+
+  positionAt(offset) {
+    const lineStarts = this.lineStarts || [0];
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low, column: offset - lineStarts[low] };
+  }
+
+  computeLineStarts(sourceCode) {
+    const lineStarts = [0];
+    for (let i = 0; i < sourceCode.length; i++) {
+      if (sourceCode[i] === '\n') lineStarts.push(i + 1);
+    }
+    return lineStarts;
+  }
+
+  parseNumber(raw, kind) {
+    if (kind === 'hexNumber') return parseInt(raw.slice(2), 16);
+    if (kind === 'binaryNumber') return parseInt(raw.slice(2), 2);
+    if (kind === 'floatNumber') return parseFloat(raw);
+    return parseInt(raw.replace(/[uUlL]+$/, ''), 10);
+  }
+
+  parseDirective(text) {
+    const joined = text
+      .replace(/\\\r?\n/g, ' ')
+      .replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\/\/.*$|\/\*[\s\S]*?\*\//gm, match => (match[0] === '/' ? ' ' : match));
+    const match = joined.match(/^#\s*([A-Za-z_]\w*)\s*([\s\S]*)$/);
+    if (!match) return { directive: '', text };
+
+    const directive = match[1];
+    const rest = match[2];
+    const info = { directive, text };
+
+    if (directive === 'define') {
+      const define = rest.match(/^([A-Za-z_]\w*)(\(([^)]*)\))?([\s\S]*)$/);
+      if (define) {
+        info.name = define[1];
+        info.parameters = define[2] ? define[3].split(',').map(p => p.trim()).filter(Boolean) : null;
+        info.value = define[4].trim();
+      }
+    } else if (directive === 'include' || directive === 'import' || directive === 'download') {
+      info.path = rest.trim().replace(/^["<]|[">]$/g, '');
+    } else if (directive === 'ifdef' || directive === 'ifndef' || directive === 'undef') {
+      info.name = rest.trim().split(/\s+/)[0];
+    } else if (directive === 'if' || directive === 'elif') {
+      info.condition = rest.trim();
+    }
+
+    return info;
+  }
+
+  // Marks top-level items that sit inside #if/#ifdef blocks, so analyzers can
+  // tolerate alternative definitions in different preprocessor branches.
+  markConditionalItems(program) {
+    let depth = 0;
+    program.body.forEach(item => {
+      if (item.ctorName === 'PreprocessorDirective') {
+        if (['if', 'ifdef', 'ifndef'].includes(item.directive)) depth++;
+        else if (item.directive === 'endif') depth = Math.max(0, depth - 1);
+        return;
+      }
+      item.conditional = depth > 0;
+    });
+  }
+
+  parse(sourceCode, options = {}) {
     if (!this.grammar) {
       throw new Error('Grammar not initialized');
     }
 
-    const matchResult = this.grammar.match(sourceCode);
-    
+    if (options.recover) {
+      return this.parseWithRecovery(sourceCode);
+    }
+
+    const matchResult = this.matchProgram(sourceCode);
+    const success = matchResult.succeeded();
+
     return {
-      success: matchResult.succeeded(),
+      success,
       result: matchResult,
-      errors: matchResult.succeeded() ? [] : this.extractErrors(matchResult, sourceCode)
+      ast: success ? this.buildAST(matchResult, sourceCode) : null,
+      errors: success ? [] : this.extractErrors(matchResult, sourceCode)
+    };
+  }
+
+  buildAST(matchResult, sourceCode) {
+    this.lineStarts = this.computeLineStarts(sourceCode);
+    try {
+      const program = this.semantics(matchResult).toAST();
+      this.markConditionalItems(program);
+      return program;
+    } catch (error) {
+      console.error('Parser: Error building AST:', error);
+      return null;
+    }
+  }
+
+  // Error-recovering parse: the file is split into top-level items at ';', '}'
+  // and task/sub headers, and inside each item a failing statement is blanked
+  // out (offsets are preserved) so parsing can continue and report every error.
+  parseWithRecovery(sourceCode) {
+    const matchResult = this.matchProgram(sourceCode);
+    if (matchResult.succeeded()) {
+      return { success: true, result: matchResult, ast: this.buildAST(matchResult, sourceCode), errors: [] };
+    }
+
+    this.lineStarts = this.computeLineStarts(sourceCode);
+    const errors = [];
+    const items = [];
+    const segments = this.splitTopLevelItems(sourceCode, errors);
+
+    const previousMatches = this.segmentMatches;
+    this.segmentMatches = new Map();
+    segments.forEach(segment => {
+      const parsed = this.parseSegment(sourceCode, segment, errors, previousMatches);
+      items.push(...parsed);
+    });
+
+    const program = this.createNode('Program', { startIdx: 0, endIdx: sourceCode.length }, { body: items });
+    this.markConditionalItems(program);
+    errors.sort((a, b) => a.position - b.position);
+
+    return { success: false, result: matchResult, ast: program, errors };
+  }
+
+  splitTopLevelItems(sourceCode, errors) {
+    const tokens = this.lexer.significantTokens(sourceCode);
+    const segments = [];
+    let segmentStart = null;
+    let depth = 0;
+    let openBraces = [];
+    let needsSemicolon = false;
+
+    const close = (end, missingBraces = 0) => {
+      if (segmentStart !== null) {
+        segments.push({ start: segmentStart, end, missingBraces });
+      }
+      segmentStart = null;
+      depth = 0;
+      openBraces = [];
+      needsSemicolon = false;
+    };
+
+    tokens.forEach((token, index) => {
+      const next = tokens[index + 1];
+
+      if (depth > 0 && (token.value === 'task' || token.value === 'sub') &&
+          next && next.type === 'identifier' && tokens[index + 2] && tokens[index + 2].value === '(') {
+        // A new task/sub header inside an open block: the previous item lost its '}'
+        const previous = tokens[index - 1];
+        const opened = openBraces[openBraces.length - 1];
+        errors.push(this.createSyntaxError(`missing '}' to close the block opened at line ${opened.line + 1}`, previous.start, previous.end));
+        close(previous.end, depth);
+      }
+
+      if (token.type === 'directive' && depth === 0) {
+        close(token.start);
+        segments.push({ start: token.start, end: token.end, missingBraces: 0 });
+        return;
+      }
+
+      if (token.value === '}' && depth === 0) {
+        errors.push(this.createSyntaxError("unexpected '}'", token.start, token.end));
+        close(token.start);
+        return;
+      }
+
+      if (segmentStart === null) {
+        segmentStart = token.start;
+        // Structs, enums, typedefs and braced initializers end with ';', not '}'
+        needsSemicolon = ['struct', 'enum', 'typedef'].includes(token.value);
+      }
+
+      if (token.value === '=' && depth === 0) needsSemicolon = true;
+
+      if (token.value === '{') {
+        depth++;
+        openBraces.push(token);
+      } else if (token.value === '}') {
+        depth--;
+        openBraces.pop();
+        if (depth === 0 && !needsSemicolon) close(token.end);
+      } else if (token.value === ';' && depth === 0) {
+        close(token.end);
+      }
+    });
+
+    if (segmentStart !== null) {
+      if (depth > 0) {
+        const last = tokens[tokens.length - 1];
+        const opened = openBraces[openBraces.length - 1];
+        errors.push(this.createSyntaxError(`missing '}' to close the block opened at line ${opened.line + 1}`, last.start, last.end));
+      }
+      close(sourceCode.length, depth);
+    }
+
+    return segments;
+  }
+
+  // Matches the whole text, reusing ohm's memo table for the part that is the same as
+  // the text matched before
+  matchProgram(sourceCode) {
+    if (!this.matcher) {
+      this.matcher = this.grammar.matcher();
+      this.matcher.setInput(sourceCode);
+      return this.matcher.match();
+    }
+
+    const previous = this.matcher.getInput();
+    const limit = Math.min(previous.length, sourceCode.length);
+    let start = 0;
+    while (start < limit && previous[start] === sourceCode[start]) start++;
+    let end = 0;
+    while (end < limit - start && previous[previous.length - 1 - end] === sourceCode[sourceCode.length - 1 - end]) end++;
+    if (start < previous.length || start < sourceCode.length) {
+      this.matcher.replaceInputRange(start, previous.length - end, sourceCode.slice(start, sourceCode.length - end));
+    }
+    return this.matcher.match();
+  }
+
+  // A segment's text matches the same way wherever it sits in the file, so the matches of
+  // the previous parse are reused for the segments an edit did not touch
+  matchSegment(text, startRule, previousMatches) {
+    const key = `${startRule}\n${text}`;
+    const matchResult = previousMatches.get(key) || this.segmentMatches.get(key) || this.grammar.match(text, startRule);
+    this.segmentMatches.set(key, matchResult);
+    return matchResult;
+  }
+
+  parseSegment(sourceCode, segment, errors, previousMatches = new Map()) {
+    const maxAttempts = 50;
+    let text = sourceCode.slice(segment.start, segment.end) + '}'.repeat(segment.missingBraces);
+    let startRule = 'Program';
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const matchResult = this.matchSegment(text, startRule, previousMatches);
+      if (matchResult.succeeded()) {
+        if (startRule !== 'Program') return [];
+        this.offset = segment.start;
+        try {
+          return this.semantics(matchResult).toAST().body;
+        } catch (error) {
+          console.error('Parser: Error building AST for segment:', error);
+          return [];
+        } finally {
+          this.offset = 0;
+        }
+      }
+
+      const position = matchResult.getRightmostFailurePosition();
+      const failure = this.describeFailure(matchResult, text, position, segment.start);
+      const region = this.findStatementBounds(text, position);
+
+      if (failure.insertionPoint !== undefined && failure.insertionPoint > region.start) {
+        // Blank only up to where the missing symbol belongs, so the next statement is still checked
+        region.end = failure.insertionPoint;
+      }
+
+      if (region.end > region.start) {
+        errors.push(failure.error);
+        text = this.blankOut(text, region.start, region.end);
+      } else if (region.token && region.token.value === '{' && startRule === 'Program') {
+        // The item header is broken: keep checking the body on its own
+        if (attempt === 0) errors.push(failure.error);
+        text = this.blankOut(text, 0, region.token.start);
+        startRule = 'CompoundStatement';
+      } else {
+        errors.push(failure.error);
+        return [];
+      }
+    }
+
+    return [];
+  }
+
+  // The statement around a failure runs from the previous ';', '{', '}' or
+  // directive up to and including the next ';' (braces are left in place).
+  findStatementBounds(text, position) {
+    const tokens = this.lexer.significantTokens(text);
+    let index = tokens.findIndex(token => token.end > position);
+    if (index === -1) index = tokens.length;
+
+    const isBoundary = token => ['{', '}', ';'].includes(token.value) || token.type === 'directive';
+
+    let start = 0;
+    for (let i = index - 1; i >= 0; i--) {
+      if (isBoundary(tokens[i])) {
+        start = tokens[i].end;
+        break;
+      }
+    }
+
+    let end = text.length;
+    for (let i = index; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.value === ';') {
+        end = token.end;
+        break;
+      }
+      if (isBoundary(token)) {
+        end = token.start;
+        break;
+      }
+    }
+
+    const hasContent = tokens.some(token => token.start >= start && token.end <= end);
+    return { start, end: hasContent ? end : start, token: tokens[index] };
+  }
+
+  blankOut(text, start, end) {
+    return text.slice(0, start) + text.slice(start, end).replace(/[^\r\n]/g, ' ') + text.slice(end);
+  }
+
+  // Turns ohm's "Expected ..." list into a plain message anchored at the right token
+  describeFailure(matchResult, text, position, offset) {
+    const expected = new Set(
+      matchResult.getRightmostFailures()
+        .filter(failure => failure.type === 'string')
+        .map(failure => failure.getText())
+    );
+    const tokens = this.lexer.significantTokens(text);
+    const token = tokens.find(t => t.end > position && t.start <= position) || tokens.find(t => t.start >= position);
+    const previous = [...tokens].reverse().find(t => t.end <= position);
+    const found = token ? `'${token.value}'` : 'end of file';
+
+    const at = (message, target) => ({ error: this.createSyntaxError(message, target.start + offset, target.end + offset) });
+
+    if (previous && previous.unterminated) {
+      return at(`unterminated ${previous.type === 'char' ? 'character' : 'string'} literal`, previous);
+    }
+
+    const startsStatement = previous && [';', '{', '}'].includes(previous.value);
+    const missing = [';', ')', ']', '}'].find(symbol => expected.has(symbol) && !(symbol === ';' && startsStatement));
+    if (missing && previous && (!token || missing !== '}' || expected.size === 1)) {
+      const after = missing === ';' ? ' after statement' : '';
+      return { ...at(`missing '${missing}'${after}`, previous), insertionPoint: previous.end };
+    }
+
+    if (!token) {
+      return at('unexpected end of file', { start: text.length, end: text.length });
+    }
+
+    // '_' is the only literal in identStart, so it stands for a missing name
+    if (expected.has('_') && previous) {
+      const name = NAME_CONTEXTS[previous.value];
+      if (name) return at(`expected ${name}`, token);
+      if (expected.size === 1) return at(`expected name after '${previous.value}'`, token);
+    }
+
+    if (expected.size === 1 && previous) {
+      return at(`expected '${[...expected][0]}' after '${previous.value}'`, token);
+    }
+
+    if (token.type === 'keyword') {
+      return at(`unexpected keyword ${found}`, token);
+    }
+
+    return at(`unexpected ${found}`, token);
+  }
+
+  createSyntaxError(message, start, end) {
+    const from = this.positionAt(start);
+    const to = this.positionAt(Math.max(end, start + 1));
+    return {
+      message: `Syntax error: ${message}`,
+      position: start,
+      line: from.line,
+      column: from.column,
+      severity: 'error',
+      source: 'nxc-parser',
+      range: {
+        start: { line: from.line, character: from.column },
+        end: { line: to.line, character: to.column }
+      }
     };
   }
 
@@ -217,9 +1093,8 @@ NXC {
     const errors = [];
     
     try {
-      const failure = matchResult.failure();
-      const position = failure.position;
-      const message = this.formatErrorMessage(failure);
+      const position = matchResult.getRightmostFailurePosition();
+      const message = this.formatErrorMessage(matchResult);
       
       const lineInfo = this.getLineInfo(sourceCode, position);
       
@@ -282,13 +1157,11 @@ NXC {
       const result = this.parse(sourceCode);
       console.log(`Parser: Result - success: ${result.success}, errors: ${result.errors.length}`);
       
-      const warnings = this.generateWarnings(sourceCode);
-      console.log(`Parser: Generated ${warnings.length} warnings`);
-      
+      // Style checks (line length, indentation) belong to the diagnostic manager
       return {
         isValid: result.success,
         errors: result.errors,
-        warnings: warnings
+        warnings: []
       };
     } catch (error) {
       console.error('Parser: Error during validation:', error);
@@ -306,53 +1179,6 @@ NXC {
       };
     }
   }
-
-  generateWarnings(sourceCode) {
-    const warnings = [];
-    const lines = sourceCode.split(/\r?\n/);
-    
-    lines.forEach((line, index) => {
-      // Warning for lines too long
-      if (line.length > 120) {
-        warnings.push({
-          message: 'Line too long (>120 characters)',
-          line: index,
-          column: 120,
-          severity: 'warning',
-          source: 'nxc-parser'
-        });
-      }
-      
-      // Warning for mixed tabs and spaces
-      if (line.includes('\t') && line.includes('  ')) {
-        warnings.push({
-          message: 'Mixed tabs and spaces for indentation',
-          line: index,
-          column: 0,
-          severity: 'warning',
-          source: 'nxc-parser'
-        });
-      }
-      
-      // Warning for unused variables (basic)
-      const varMatch = line.match(/^\s*(int|float|byte|char|string|bool)\s+(\w+)/);
-      if (varMatch) {
-        const varName = varMatch[2];
-        const restOfCode = lines.slice(index + 1).join('\n');
-        if (!restOfCode.includes(varName)) {
-          warnings.push({
-            message: `Variable '${varName}' declared but never used`,
-            line: index,
-            column: line.indexOf(varName),
-            severity: 'info',
-            source: 'nxc-parser'
-          });
-        }
-      }
-    });
-    
-    return warnings;
-  }
 }
 
 module.exports = { NXCParser };
\ No newline at end of file
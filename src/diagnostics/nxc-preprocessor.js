@@ -0,0 +1,626 @@
+const fs = require('fs');
+const path = require('path');
+const { NXCLexer } = require('./nxc-lexer');
+
+// Result of preprocessing one file. `code` has exactly the same lines as the
+// original source: directives and inactive branches are blanked and macros are
+// expanded in place. `mapPosition` takes a position in `code` back to the source.
+class PreprocessedSource {
+  constructor(filePath, source) {
+    this.filePath = filePath;
+    this.source = source;
+    this.lines = [''];
+    this.segments = [[]];
+    this.macros = new Map();
+    this.usedMacros = new Set(); // names expanded, tested by a condition or seen in an inactive branch
+    this.directives = [];
+    this.includes = [];
+    this.includedFiles = [];
+    this.conditionalBlocks = [];
+    this.inactiveRanges = [];
+    this.errors = [];
+  }
+
+  get code() {
+    return this.lines.join('\n');
+  }
+
+  get hasUnresolvedIncludes() {
+    return this.includes.some(include => !include.resolvedPath);
+  }
+
+  emit(text, line, column, identity = true, sourceEnd = null) {
+    text.split('\n').forEach((part, index) => {
+      if (index > 0) {
+        this.lines.push('');
+        this.segments.push([]);
+        line++;
+        column = 0;
+      }
+      if (!part.length) return;
+      const current = this.lines.length - 1;
+      const outStart = this.lines[current].length;
+      this.lines[current] += part;
+      this.segments[current].push({
+        outStart,
+        outEnd: outStart + part.length,
+        line,
+        column,
+        identity,
+        endLine: sourceEnd ? sourceEnd.line : line,
+        endColumn: sourceEnd ? sourceEnd.column : column + part.length
+      });
+      if (identity) column += part.length;
+    });
+  }
+
+  // Positions inside a macro expansion map to the whole invocation. An 'end'
+  // position is exclusive, like the end of a diagnostic range.
+  mapPosition(line, column, bias = 'start') {
+    const segments = this.segments[line];
+    if (!segments || segments.length === 0) return { line, column };
+
+    const inside = bias === 'end'
+      ? s => column > s.outStart && column <= s.outEnd
+      : s => column >= s.outStart && column < s.outEnd;
+    const last = segments[segments.length - 1];
+    const segment = segments.find(inside) || (column >= last.outEnd ? last : segments[0]);
+
+    if (segment.identity) {
+      return { line: segment.line, column: segment.column + (column - segment.outStart) };
+    }
+    return bias === 'end'
+      ? { line: segment.endLine, column: segment.endColumn }
+      : { line: segment.line, column: segment.column };
+  }
+
+  mapDiagnostic(diagnostic) {
+    const range = diagnostic.range || {
+      start: { line: diagnostic.line, character: diagnostic.column },
+      end: { line: diagnostic.line, character: diagnostic.column + 1 }
+    };
+    const start = this.mapPosition(range.start.line, range.start.character, 'start');
+    const end = this.mapPosition(range.end.line, range.end.character, 'end');
+    return {
+      ...diagnostic,
+      line: start.line,
+      column: start.column,
+      range: {
+        start: { line: start.line, character: start.column },
+        end: { line: end.line, character: end.column }
+      }
+    };
+  }
+
+  isLineActive(line) {
+    return !this.inactiveRanges.some(range => line >= range.startLine && line <= range.endLine);
+  }
+}
+
+class NXCPreprocessor {
+  constructor(options = {}) {
+    this.lexer = new NXCLexer();
+    this.includePaths = options.includePaths || [];
+    this.defines = options.defines || {};
+    this.readFile = options.readFile || (filePath => fs.readFileSync(filePath, 'utf8'));
+    this.maxIncludeDepth = 16;
+  }
+
+  process(sourceCode, options = {}) {
+    const macros = new Map();
+    Object.entries({ ...this.defines, ...(options.defines || {}) }).forEach(([name, body]) => {
+      macros.set(name, { name, parameters: null, body: String(body), file: null, line: -1, column: 0 });
+    });
+
+    this.usedMacros = new Set();
+    const state = {
+      macros,
+      includePaths: options.includePaths || this.includePaths,
+      includeStack: [],
+      includedFiles: []
+    };
+
+    const result = this.processFile(sourceCode, options.filePath || null, state);
+    result.includedFiles = state.includedFiles;
+    result.usedMacros = this.usedMacros;
+    return result;
+  }
+
+  processFile(sourceCode, filePath, state) {
+    const result = new PreprocessedSource(filePath, sourceCode);
+    const tokens = this.lexer.tokenize(sourceCode);
+    const stack = [];
+    const isActive = () => stack.every(entry => entry.active);
+
+    state.includeStack.push(filePath);
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (token.type === 'directive') {
+        this.handleDirective(token, result, state, stack, isActive());
+        result.emit(this.blank(token.value), token.line, token.column);
+        continue;
+      }
+
+      if (!isActive()) {
+        if (token.type === 'identifier') this.usedMacros.add(token.value);
+        result.emit(this.blank(token.value), token.line, token.column);
+        continue;
+      }
+
+      if (token.type === 'identifier' && state.macros.has(token.value)) {
+        const expansion = this.expandInvocation(tokens, i, state.macros, new Set());
+        if (expansion) {
+          const last = tokens[expansion.endIndex];
+          const end = this.endOf(last);
+          result.emit(expansion.text.replace(/\s*\r?\n\s*/g, ' '), token.line, token.column, false, end);
+          // Keep following code on its original line when the arguments span lines
+          for (let line = token.line; line < end.line; line++) result.emit('\n', line, 0);
+          i = expansion.endIndex;
+          continue;
+        }
+      }
+
+      result.emit(token.value, token.line, token.column);
+    }
+
+    stack.forEach(entry => {
+      result.errors.push(this.createError(`Unterminated #${entry.directive}`, entry.line, entry.column, entry.directive.length + 1));
+      entry.block.endLine = result.lines.length - 1;
+      if (!entry.active) result.inactiveRanges.push({ startLine: entry.branchLine + 1, endLine: result.lines.length - 1 });
+    });
+
+    result.macros = state.macros;
+    state.includeStack.pop();
+    return result;
+  }
+
+  handleDirective(token, result, state, stack, active) {
+    const { directive, rest } = this.parseDirective(token.value);
+    const entry = { directive, line: token.line, column: token.column, endLine: this.endOf(token).line, active };
+    result.directives.push(entry);
+
+    const top = stack[stack.length - 1];
+    const parentActive = () => stack.slice(0, -1).every(e => e.active);
+
+    const closeBranch = () => {
+      if (!top.active) result.inactiveRanges.push({ startLine: top.branchLine + 1, endLine: token.line - 1 });
+    };
+
+    switch (directive) {
+      case 'if':
+      case 'ifdef':
+      case 'ifndef': {
+        let condition = false;
+        if (active) {
+          if (directive === 'if') {
+            condition = this.evaluateCondition(rest, state.macros, result, token);
+          } else {
+            const name = rest.split(/\s+/)[0];
+            entry.name = name;
+            this.usedMacros.add(name);
+            condition = directive === 'ifdef' ? state.macros.has(name) : !state.macros.has(name);
+          }
+        }
+        entry.condition = rest;
+        const block = { startLine: token.line, endLine: null, branches: [{ directive, condition: rest, line: token.line, active: active && condition }] };
+        result.conditionalBlocks.push(block);
+        stack.push({ directive, line: token.line, column: token.column, active: active && condition, taken: condition, branchLine: this.endOf(token).line, block });
+        break;
+      }
+      case 'elif':
+      case 'else': {
+        if (!top) {
+          result.errors.push(this.createError(`#${directive} without matching #if`, token.line, token.column, directive.length + 1));
+          break;
+        }
+        closeBranch();
+        const enclosingActive = parentActive();
+        const condition = directive === 'else'
+          ? !top.taken
+          : !top.taken && enclosingActive && this.evaluateCondition(rest, state.macros, result, token);
+        top.active = enclosingActive && condition;
+        top.taken = top.taken || condition;
+        top.branchLine = this.endOf(token).line;
+        entry.condition = rest;
+        top.block.branches.push({ directive, condition: rest, line: token.line, active: top.active });
+        break;
+      }
+      case 'endif': {
+        if (!top) {
+          result.errors.push(this.createError('#endif without matching #if', token.line, token.column, 6));
+          break;
+        }
+        closeBranch();
+        top.block.endLine = token.line;
+        stack.pop();
+        break;
+      }
+      case 'define': {
+        const macro = this.parseDefine(rest, result.filePath, token);
+        if (!macro) {
+          if (active) result.errors.push(this.createError('Invalid #define: expected a macro name', token.line, token.column, token.value.length));
+          break;
+        }
+        Object.assign(entry, { name: macro.name, parameters: macro.parameters, value: macro.body, nameColumn: macro.column });
+        if (!active) break;
+        const existing = state.macros.get(macro.name);
+        if (existing && existing.body !== macro.body && existing.line >= 0) {
+          result.errors.push({
+            ...this.createError(`Macro '${macro.name}' redefined (previous definition at line ${existing.line + 1})`, token.line, macro.column, macro.name.length),
+            severity: 'warning'
+          });
+        }
+        state.macros.set(macro.name, macro);
+        break;
+      }
+      case 'undef': {
+        entry.name = rest.split(/\s+/)[0];
+        if (active) state.macros.delete(entry.name);
+        break;
+      }
+      case 'include': {
+        entry.path = rest.replace(/^["<]|[">]$/g, '');
+        if (active) this.handleInclude(entry, result, state);
+        break;
+      }
+      case 'error': {
+        if (active) result.errors.push(this.createError(`#error ${rest}`, token.line, token.column, token.value.length));
+        break;
+      }
+      case 'import':
+      case 'download':
+        entry.path = rest.replace(/^["<]|[">]$/g, '');
+        break;
+      case 'pragma':
+      case 'warning':
+      case 'line':
+      case 'reset':
+        break;
+      default:
+        if (active) result.errors.push(this.createError(`Unknown preprocessor directive '#${directive}'`, token.line, token.column, directive.length + 1));
+    }
+  }
+
+  handleInclude(entry, result, state) {
+    const resolvedPath = this.resolveInclude(entry.path, result.filePath, state.includePaths);
+    const include = { path: entry.path, resolvedPath, line: entry.line, column: entry.column };
+    result.includes.push(include);
+
+    if (!resolvedPath) {
+      result.errors.push({
+        ...this.createError(`Cannot find include file '${entry.path}'`, entry.line, entry.column, entry.path.length + 10),
+        severity: 'warning'
+      });
+      return;
+    }
+
+    if (state.includeStack.includes(resolvedPath) || state.includeStack.length > this.maxIncludeDepth) {
+      return;
+    }
+
+    try {
+      const included = this.processFile(this.readFile(resolvedPath), resolvedPath, state);
+      state.includedFiles.push(included);
+    } catch (error) {
+      result.errors.push({
+        ...this.createError(`Cannot read include file '${entry.path}': ${error.message}`, entry.line, entry.column, entry.path.length + 10),
+        severity: 'warning'
+      });
+    }
+  }
+
+  resolveInclude(includePath, fromFile, includePaths) {
+    const candidates = [];
+    if (path.isAbsolute(includePath)) {
+      candidates.push(includePath);
+    } else {
+      if (fromFile) candidates.push(path.join(path.dirname(fromFile), includePath));
+      includePaths.forEach(dir => candidates.push(path.join(dir, includePath)));
+    }
+    return candidates.find(candidate => {
+      try {
+        return fs.statSync(candidate).isFile();
+      } catch (error) {
+        return false;
+      }
+    }) || null;
+  }
+
+  parseDirective(text) {
+    const joined = text
+      .replace(/\\\r?\n/g, ' ')
+      .replace(/"(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*'|\/\/.*$|\/\*[\s\S]*?\*\//gm, match => (match[0] === '/' ? ' ' : match));
+    const match = joined.match(/^#\s*([A-Za-z_]\w*)?\s*([\s\S]*)$/);
+    return { directive: match && match[1] ? match[1] : '', rest: match ? match[2].trim() : '' };
+  }
+
+  parseDefine(rest, filePath, token) {
+    const match = rest.match(/^([A-Za-z_]\w*)(\(([^)]*)\))?([\s\S]*)$/);
+    if (!match) return null;
+    const nameIndex = token.value.indexOf(match[1], token.value.indexOf('define') + 6);
+    return {
+      name: match[1],
+      parameters: match[2] ? match[3].split(',').map(p => p.trim()).filter(Boolean) : null,
+      // Whitespace between tokens is not significant, so keep the body on one tidy line
+      body: this.tokenizeFragment(match[4].trim()).map(t => (t.type === 'whitespace' || t.type === 'newline' ? ' ' : t.value)).join(''),
+      file: filePath,
+      line: token.line,
+      column: token.column + Math.max(nameIndex, 0)
+    };
+  }
+
+  // Expands the macro invocation starting at tokens[index]. Returns null when
+  // a function-like macro name is not followed by an argument list.
+  expandInvocation(tokens, index, macros, disabled) {
+    const name = tokens[index].value;
+    const macro = macros.get(name);
+    if (!macro || disabled.has(name)) return null;
+
+    let endIndex = index;
+    let args = [];
+    if (macro.parameters) {
+      const collected = this.collectArguments(tokens, index + 1);
+      if (!collected) return null;
+      args = collected.args;
+      endIndex = collected.endIndex;
+    }
+
+    this.usedMacros.add(name);
+    const nextDisabled = new Set(disabled).add(name);
+    const body = macro.parameters ? this.substitute(macro, args, macros, nextDisabled) : macro.body;
+    return { text: this.expandText(body, macros, nextDisabled), endIndex };
+  }
+
+  expandText(text, macros, disabled = new Set()) {
+    const tokens = this.tokenizeFragment(text);
+    let output = '';
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === 'identifier' && macros.has(token.value)) {
+        const expansion = this.expandInvocation(tokens, i, macros, disabled);
+        if (expansion) {
+          output += expansion.text;
+          i = expansion.endIndex;
+          continue;
+        }
+      }
+      output += token.value;
+    }
+    return output;
+  }
+
+  collectArguments(tokens, start) {
+    let index = start;
+    while (index < tokens.length && !this.lexer.isSignificant(tokens[index])) index++;
+    if (!tokens[index] || tokens[index].value !== '(') return null;
+
+    const args = [];
+    let current = '';
+    let depth = 0;
+    for (index = index + 1; index < tokens.length; index++) {
+      const token = tokens[index];
+      if (token.value === '(' || token.value === '[' || token.value === '{') depth++;
+      if (token.value === ')' || token.value === ']' || token.value === '}') {
+        if (depth === 0 && token.value === ')') {
+          if (current.trim() || args.length) args.push(current.trim());
+          return { args, endIndex: index };
+        }
+        depth--;
+      }
+      if (token.value === ',' && depth === 0) {
+        args.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += token.type === 'newline' ? ' ' : token.value;
+    }
+    return null;
+  }
+
+  substitute(macro, args, macros, disabled) {
+    const params = macro.parameters.map(p => (p === '...' ? '__VA_ARGS__' : p));
+    const valueOf = name => {
+      if (name === '__VA_ARGS__') return args.slice(params.length - 1).join(', ');
+      const position = params.indexOf(name);
+      return position === -1 ? null : (args[position] || '');
+    };
+
+    const tokens = this.tokenizeFragment(macro.body);
+    const significantAround = (index, step) => {
+      let i = index + step;
+      while (tokens[i] && !this.lexer.isSignificant(tokens[i])) i += step;
+      return tokens[i];
+    };
+
+    let output = '';
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const isParam = token.type === 'identifier' && valueOf(token.value) !== null;
+
+      if (token.value === '#') {
+        const next = significantAround(i, 1);
+        if (next && next.type === 'identifier' && valueOf(next.value) !== null) {
+          output += JSON.stringify(valueOf(next.value));
+          i = tokens.indexOf(next);
+          continue;
+        }
+      }
+
+      if (token.value === '##') {
+        output = output.replace(/\s+$/, '');
+        const next = significantAround(i, 1);
+        if (next) {
+          output += valueOf(next.value) !== null ? valueOf(next.value) : next.value;
+          i = tokens.indexOf(next);
+        }
+        continue;
+      }
+
+      if (isParam) {
+        const next = significantAround(i, 1);
+        const pasted = next && next.value === '##';
+        output += pasted ? valueOf(token.value) : this.expandText(valueOf(token.value), macros, disabled);
+        continue;
+      }
+
+      output += token.value;
+    }
+    return output;
+  }
+
+  evaluateCondition(expression, macros, result, token) {
+    // defined(X) and defined X are resolved before macro expansion
+    const withDefined = expression.replace(/\bdefined\s*(\(\s*([A-Za-z_]\w*)\s*\)|([A-Za-z_]\w*))/g,
+      (match, _group, inParens, bare) => {
+        this.usedMacros.add(inParens || bare);
+        return macros.has(inParens || bare) ? '1' : '0';
+      });
+    const expanded = this.expandText(withDefined, macros);
+    const tokens = this.tokenizeFragment(expanded).filter(t => this.lexer.isSignificant(t)).map(t => (t.type === 'identifier' || t.type === 'keyword' ? { ...t, type: 'number', value: '0' } : t));
+
+    try {
+      const evaluator = new ConditionEvaluator(tokens);
+      return evaluator.evaluate() !== 0;
+    } catch (error) {
+      result.errors.push(this.createError(`Invalid #if expression: ${error.message}`, token.line, token.column, token.value.length));
+      return false;
+    }
+  }
+
+  // Macro bodies are not at the start of a line, so '#' there is an operator
+  tokenizeFragment(text) {
+    return this.lexer.tokenize(`;${text}`).slice(1);
+  }
+
+  blank(text) {
+    return text.replace(/[^\r\n]/g, ' ');
+  }
+
+  endOf(token) {
+    const lines = token.value.split('\n');
+    return lines.length === 1
+      ? { line: token.line, column: token.column + token.value.length }
+      : { line: token.line + lines.length - 1, column: lines[lines.length - 1].length };
+  }
+
+  createError(message, line, column, length = 1) {
+    return {
+      message,
+      line,
+      column,
+      severity: 'error',
+      source: 'preprocessor',
+      range: {
+        start: { line, character: column },
+        end: { line, character: column + length }
+      }
+    };
+  }
+}
+
+// Integer expression evaluator for #if/#elif, with C precedence
+class ConditionEvaluator {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  evaluate() {
+    if (this.tokens.length === 0) throw new Error('empty expression');
+    const value = this.parseTernary();
+    if (this.index < this.tokens.length) throw new Error(`unexpected '${this.tokens[this.index].value}'`);
+    return value;
+  }
+
+  peek() {
+    return this.tokens[this.index] ? this.tokens[this.index].value : null;
+  }
+
+  next() {
+    const token = this.tokens[this.index++];
+    if (!token) throw new Error('unexpected end of expression');
+    return token;
+  }
+
+  parseTernary() {
+    const test = this.parseBinary(0);
+    if (this.peek() !== '?') return test;
+    this.next();
+    const consequent = this.parseTernary();
+    if (this.next().value !== ':') throw new Error("expected ':'");
+    const alternate = this.parseTernary();
+    return test ? consequent : alternate;
+  }
+
+  parseBinary(level) {
+    const levels = [
+      ['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='], ['<', '>', '<=', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']
+    ];
+    if (level >= levels.length) return this.parseUnary();
+
+    let left = this.parseBinary(level + 1);
+    while (levels[level].includes(this.peek())) {
+      const operator = this.next().value;
+      const right = this.parseBinary(level + 1);
+      left = this.apply(operator, left, right);
+    }
+    return left;
+  }
+
+  apply(operator, left, right) {
+    switch (operator) {
+      case '||': return left || right ? 1 : 0;
+      case '&&': return left && right ? 1 : 0;
+      case '|': return left | right;
+      case '^': return left ^ right;
+      case '&': return left & right;
+      case '==': return left === right ? 1 : 0;
+      case '!=': return left !== right ? 1 : 0;
+      case '<': return left < right ? 1 : 0;
+      case '>': return left > right ? 1 : 0;
+      case '<=': return left <= right ? 1 : 0;
+      case '>=': return left >= right ? 1 : 0;
+      case '<<': return left << right;
+      case '>>': return left >> right;
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/':
+      case '%':
+        if (right === 0) throw new Error('division by zero');
+        return operator === '/' ? Math.trunc(left / right) : left % right;
+      default: throw new Error(`unsupported operator '${operator}'`);
+    }
+  }
+
+  parseUnary() {
+    const token = this.next();
+    switch (token.value) {
+      case '!': return this.parseUnary() ? 0 : 1;
+      case '~': return ~this.parseUnary();
+      case '-': return -this.parseUnary();
+      case '+': return this.parseUnary();
+      case '(': {
+        const value = this.parseTernary();
+        if (this.next().value !== ')') throw new Error("expected ')'");
+        return value;
+      }
+      default:
+        if (token.type === 'number') return this.parseNumber(token.value);
+        if (token.type === 'char') return token.value.length > 2 ? token.value.charCodeAt(1) : 0;
+        throw new Error(`unexpected '${token.value}'`);
+    }
+  }
+
+  parseNumber(raw) {
+    const text = raw.replace(/[uUlL]+$/, '');
+    if (/^0[xX]/.test(text)) return parseInt(text.slice(2), 16);
+    if (/^0[bB]/.test(text)) return parseInt(text.slice(2), 2);
+    if (/^0[0-7]+$/.test(text)) return parseInt(text, 8);
+    return Math.trunc(parseFloat(text)) || 0;
+  }
+}
+
+module.exports = { NXCPreprocessor, PreprocessedSource, ConditionEvaluator };
@@ -0,0 +1,164 @@
+const { ControlFlowGraph } = require('./control-flow-graph');
+
+// Walks the body of a task or sub with a list of states, one per distinct situation
+// a path can be in, and returns the states that reach the end. Subclasses decide
+// what a state holds: they implement expression() to apply the calls inside an
+// expression, keyOf() to tell states apart, and may override start() and exit().
+// Loops run until the states entering them stop changing; `break`, `continue`,
+// `return`, `stop` and the calls that end a task move states where they lead.
+const TERMINATING_CALLS = ['Stop', 'StopAllTasks', 'ExitTo', 'abort'];
+
+class PathWalker {
+  // Walks `definition` from `states`; `fields` are added to the context the subclass sees
+  walk(definition, states, fields = {}) {
+    const context = {
+      definition,
+      loops: [], // { breaks, continues, isSwitch }
+      switches: [], // states entering the innermost switch
+      exits: [], // { state, node, kind }
+      ...fields
+    };
+    this.exit(this.flow(definition.node.body, states, context), null, 'end', context);
+    return context;
+  }
+
+  // Returns the states that fall through `node`
+  flow(node, states, context) {
+    if (!node || typeof node !== 'object' || states.length === 0) return states;
+
+    switch (node.ctorName) {
+      case 'CompoundStatement':
+        return this.sequence(node.statements || [], states, context);
+      case 'IfStatement': {
+        const tested = this.expression(node.test, states, context);
+        const consequent = this.flow(node.consequent, tested, context);
+        const alternate = node.alternate ? this.flow(node.alternate, tested, context) : tested;
+        return this.merge(consequent, alternate);
+      }
+      case 'WhileStatement':
+      case 'UntilStatement':
+      case 'RepeatStatement':
+        return this.loop(node, states, context, false);
+      case 'DoWhileStatement':
+        return this.loop(node, states, context, true);
+      case 'ForStatement':
+        return this.loop(node, this.expression(node.init, states, context), context, false);
+      case 'SwitchStatement': {
+        const entry = this.expression(node.discriminant, states, context);
+        context.switches.push(entry);
+        context.loops.push({ breaks: [], continues: null, isSwitch: true });
+        // Every case label is entered with the states from the switch itself
+        const statements = node.body && node.body.ctorName === 'CompoundStatement' ? node.body.statements || [] : [node.body];
+        const body = this.sequence(statements, [], context);
+        context.switches.pop();
+        const frame = context.loops.pop();
+        const hasDefault = statements.some(statement => statement && statement.ctorName === 'DefaultLabel');
+        return this.merge(body, frame.breaks, hasDefault ? [] : entry);
+      }
+      case 'BreakStatement': {
+        // A state remembers the first break it left through, to say where a path went
+        const frame = context.loops[context.loops.length - 1];
+        if (frame) frame.breaks.push(...states.map(state => ({ ...state, jump: state.jump || node })));
+        return [];
+      }
+      case 'ContinueStatement': {
+        const frame = [...context.loops].reverse().find(loop => !loop.isSwitch);
+        if (frame) frame.continues.push(...states);
+        return [];
+      }
+      case 'ReturnStatement':
+        this.exit(this.expression(node.argument, states, context), node, 'return', context);
+        return [];
+      case 'StartStatement':
+        return this.start(node.task, states, context);
+      case 'StopStatement':
+        if (node.task !== context.definition.name) return states;
+        this.exit(states, node, 'stop', context);
+        return [];
+      case 'ExpressionStatement': {
+        const after = this.expression(node.expression, states, context);
+        const call = node.expression;
+        const callee = this.calleeOf(call);
+        const stopsItself = callee === 'StopTask' && call.arguments[0] && call.arguments[0].name === context.definition.name;
+        if (TERMINATING_CALLS.includes(callee) || stopsItself) {
+          this.exit(after, call, callee, context);
+          return [];
+        }
+        return after;
+      }
+      default:
+        return this.expression(node, states, context);
+    }
+  }
+
+  sequence(statements, states, context) {
+    return statements.reduce((current, statement) => {
+      if (statement && (statement.ctorName === 'CaseLabel' || statement.ctorName === 'DefaultLabel') && context.switches.length > 0) {
+        current = this.merge(current, context.switches[context.switches.length - 1]);
+      }
+      return this.flow(statement, current, context);
+    }, states);
+  }
+
+  // Runs the body until the set of states entering the loop stops changing
+  loop(node, states, context, bodyFirst) {
+    const test = node.test || node.count;
+    const frame = { breaks: [], continues: [] };
+    context.loops.push(frame);
+
+    let head = bodyFirst ? states : this.expression(test, states, context);
+    let exits = bodyFirst ? [] : head;
+    for (let iteration = 0; iteration < 10; iteration++) {
+      frame.continues = [];
+      let end = this.flow(node.body, head, context);
+      end = this.merge(end, frame.continues);
+      if (node.update) end = this.expression(node.update, end, context);
+      const tested = this.expression(test, end, context);
+      exits = this.merge(exits, tested);
+      const next = this.merge(head, tested);
+      if (next.length === head.length) break;
+      head = next;
+    }
+
+    context.loops.pop();
+    // Only a break leaves `while (true)` and `until (false)`
+    return this.merge(ControlFlowGraph.condition(node) === true ? [] : exits, frame.breaks);
+  }
+
+  // Applies what an expression does to the states, in evaluation order
+  expression(node, states) {
+    return states;
+  }
+
+  // `start task;` leaves the states of the starting task as they are
+  start(task, states) {
+    return states;
+  }
+
+  exit(states, node, kind, context) {
+    states.forEach(state => context.exits.push({ state, node, kind }));
+  }
+
+  calleeOf(node) {
+    return node && node.ctorName === 'CallExpression' && node.callee && node.callee.ctorName === 'Identifier' ? node.callee.name : null;
+  }
+
+  keyOf() {
+    return '';
+  }
+
+  merge(...lists) {
+    return this.dedupe(lists.flat());
+  }
+
+  dedupe(states) {
+    const seen = new Map();
+    states.forEach(state => {
+      const key = this.keyOf(state);
+      if (!seen.has(key)) seen.set(key, state);
+    });
+    return [...seen.values()];
+  }
+}
+
+module.exports = { PathWalker };
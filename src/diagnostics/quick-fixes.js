@@ -0,0 +1,295 @@
+const { NXCParser } = require('./nxc-parser');
+const { NXCLexer } = require('./nxc-lexer');
+const { TypeChecker } = require('./type-checker');
+
+// Text edits that fix diagnostics. Works on plain objects so it can run outside the
+// editor: diagnostics are { message, rule, source, range } and every fix is
+// { title, kind, preferred, edits: [{ range, newText }] } with 0-based positions.
+const FIX_ALL_TITLES = {
+  semicolon: 'Insert all missing semicolons',
+  suggestion: "Apply all 'Did you mean' suggestions",
+  declare: 'Declare all undefined variables',
+  stub: 'Add stubs for all undefined functions',
+  operator: "Fix all '= =' operators",
+  string: 'Close all unterminated strings'
+};
+
+class QuickFixes {
+  constructor() {
+    this.parser = new NXCParser();
+    this.lexer = new NXCLexer();
+    this.typeChecker = new TypeChecker();
+    this.parsed = { sourceCode: null, ast: null };
+  }
+
+  static fixAllTitle(kind) {
+    return FIX_ALL_TITLES[kind];
+  }
+
+  fixesFor(diagnostic, sourceCode) {
+    const lines = sourceCode.split(/\r?\n/);
+    const message = diagnostic.message || '';
+    const fixes = [];
+
+    if (diagnostic.rule === 'missing-semicolon' || /missing ';'|^Missing semicolon/.test(message)) {
+      fixes.push(this.insertSemicolon(diagnostic, lines));
+    }
+
+    const suggestion = message.match(/^(?:Function|Identifier|Variable) '(\w+)' is not defined\. Did you mean '(\w+)'\?/);
+    if (suggestion) {
+      fixes.push(this.applySuggestion(diagnostic, lines, suggestion[1], suggestion[2]));
+    }
+
+    const undefinedVariable = message.match(/^(?:Variable|Identifier) '(\w+)' is not defined/);
+    if (undefinedVariable) {
+      fixes.push(this.declareVariable(diagnostic, sourceCode, lines, undefinedVariable[1], !suggestion));
+    }
+
+    const undefinedFunction = message.match(/^Function '(\w+)' is not defined/);
+    if (undefinedFunction) {
+      fixes.push(this.addStub(diagnostic, sourceCode, lines, undefinedFunction[1], !suggestion));
+    }
+
+    if (/^Invalid assignment operator "= ="/.test(message)) {
+      fixes.push(...this.fixOperator(diagnostic, lines));
+    }
+
+    if (/^Unterminated string literal|unterminated string literal/i.test(message)) {
+      fixes.push(this.closeString(diagnostic, lines));
+    }
+
+    return fixes.filter(Boolean);
+  }
+
+  // The preferred fix of every diagnostic of `kind` (or of any kind), without overlapping edits
+  fixAll(diagnostics, sourceCode, kind = null) {
+    const edits = [];
+    const seen = new Set();
+    diagnostics.forEach(diagnostic => {
+      const fix = this.fixesFor(diagnostic, sourceCode).find(candidate => candidate.preferred && (!kind || candidate.kind === kind));
+      if (!fix) return;
+      fix.edits.forEach(edit => {
+        const key = `${this.keyOf(edit.range.start)}-${this.keyOf(edit.range.end)}:${edit.newText}`;
+        if (seen.has(key) || edits.some(other => this.overlaps(other.range, edit.range))) return;
+        seen.add(key);
+        edits.push(edit);
+      });
+    });
+    return edits;
+  }
+
+  insertSemicolon(diagnostic, lines) {
+    // The parser points at the token after which the ';' belongs; other checkers only know the line
+    const position = diagnostic.source === 'nxc-parser'
+      ? diagnostic.range.end
+      : { line: diagnostic.range.start.line, character: this.endOfCode(lines[diagnostic.range.start.line] || '') };
+    return this.fix("Insert missing ';'", 'semicolon', true, [this.insert(position, ';')]);
+  }
+
+  applySuggestion(diagnostic, lines, name, replacement) {
+    const range = this.findName(lines, diagnostic.range.start, name);
+    return range ? this.fix(`Change '${name}' to '${replacement}'`, 'suggestion', true, [{ range, newText: replacement }]) : null;
+  }
+
+  // Declared at the top of the enclosing task or function, typed after the first value assigned to it
+  declareVariable(diagnostic, sourceCode, lines, name, preferred) {
+    const ast = this.parse(sourceCode);
+    if (!ast) return null;
+    const line = diagnostic.range.start.line;
+    const definition = this.enclosingDefinition(ast, line);
+
+    const assignment = this.find(definition || ast, node => node.ctorName === 'AssignmentExpression' && node.operator === '=' &&
+      node.left && node.left.ctorName === 'Identifier' && node.left.name === name);
+    const type = this.typeName(assignment ? this.inferTypes(ast, [assignment.right]).get(assignment.right) : null);
+    const declaration = `${type.name} ${name}${'[]'.repeat(type.dims)};`;
+    const title = `Declare '${type.name}${'[]'.repeat(type.dims)} ${name}'`;
+
+    if (!definition) {
+      return this.fix(title, 'declare', preferred, [this.insert({ line, character: 0 }, `${declaration}\n`)]);
+    }
+    const body = definition.body;
+    const first = (body.statements || [])[0];
+    if (first && first.line === body.line) {
+      return this.fix(title, 'declare', preferred, [this.insert({ line: body.line, character: body.column + 1 }, ` ${declaration}`)]);
+    }
+    const indent = first ? this.indentationOf(lines[first.line]) : this.indentationOf(lines[body.line]) + this.indentUnit(lines);
+    return this.fix(title, 'declare', preferred, [this.insert({ line: body.line + 1, character: 0 }, `${indent}${declaration}\n`)]);
+  }
+
+  // An empty sub (or a function returning a placeholder when the result is used) placed before its first caller
+  addStub(diagnostic, sourceCode, lines, name, preferred) {
+    const ast = this.parse(sourceCode);
+    if (!ast) return null;
+    const line = diagnostic.range.start.line;
+    const chain = this.findCall(ast, name, diagnostic.range.start);
+    if (!chain) return null;
+
+    const call = chain[chain.length - 1];
+    const parent = chain[chain.length - 2];
+    const args = call.arguments || [];
+    const valueNodes = [...args];
+    if (parent && parent.ctorName === 'AssignmentExpression' && parent.right === call) valueNodes.push(parent.left);
+    const types = this.inferTypes(ast, valueNodes);
+
+    let returnType = 'sub';
+    if (parent && parent.ctorName === 'AssignmentExpression' && parent.right === call) {
+      returnType = this.typeName(types.get(parent.left)).name;
+    } else if (parent && parent.ctorName === 'Declarator') {
+      const declaration = chain[chain.length - 3];
+      returnType = declaration && declaration.type ? declaration.type : 'int';
+    } else if (parent && parent.ctorName !== 'ExpressionStatement') {
+      returnType = 'int';
+    }
+
+    const names = new Set();
+    const parameters = args.map((argument, index) => {
+      const type = this.typeName(types.get(argument));
+      // Upper-case names such as IN_1 are usually constants and would be expanded inside the stub
+      let parameterName = argument.ctorName === 'Identifier' && /^[a-z]/.test(argument.name) ? argument.name : `arg${index + 1}`;
+      while (names.has(parameterName)) parameterName = `${parameterName}${index + 1}`;
+      names.add(parameterName);
+      return `${type.name} ${parameterName}${'[]'.repeat(type.dims)}`;
+    });
+
+    const indent = this.indentUnit(lines);
+    const body = returnType === 'sub' ? '' : `${indent}return ${returnType === 'string' ? '""' : '0'};\n`;
+    const stub = `${returnType} ${name}(${parameters.join(', ')}) {\n${body}}\n\n`;
+    const definition = this.enclosingDefinition(ast, line);
+    const position = { line: definition ? definition.line : line, character: 0 };
+    return this.fix(`Add ${returnType === 'sub' ? 'sub' : 'function'} '${name}'`, 'stub', preferred, [this.insert(position, stub)]);
+  }
+
+  fixOperator(diagnostic, lines) {
+    const line = diagnostic.range.start.line;
+    const text = lines[line] || '';
+    const column = text.indexOf('= =', Math.max(0, diagnostic.range.start.character - 2));
+    if (column === -1) return [];
+    const range = { start: { line, character: column }, end: { line, character: column + 3 } };
+    // In a condition '==' is the likely intent, elsewhere '='
+    const isCondition = /\b(if|while|until|for)\s*\(/.test(text);
+    return [
+      this.fix("Change '= =' to '=='", 'operator', isCondition, [{ range, newText: '==' }]),
+      this.fix("Change '= =' to '='", 'operator', !isCondition, [{ range, newText: '=' }])
+    ];
+  }
+
+  // The quote goes before the `);` that ends the line when the call is open before the
+  // string: `TextOut(0, 0, "abc);` becomes `TextOut(0, 0, "abc");`
+  closeString(diagnostic, lines) {
+    const line = diagnostic.range.start.line;
+    const start = diagnostic.range.start.character;
+    const text = lines[line] || '';
+    let end = text.replace(/\s+$/, '').length;
+    if (/before comment/.test(diagnostic.message)) {
+      const comment = text.indexOf('//', start + 1);
+      if (comment !== -1) end = text.slice(0, comment).replace(/\s+$/, '').length;
+    }
+
+    const before = text.slice(0, start).replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '');
+    let open = (before.match(/\(/g) || []).length - (before.match(/\)/g) || []).length;
+    while (end > start + 1) {
+      const char = text[end - 1];
+      if (char === ')' && open > 0) open--;
+      else if (![';', ',', ' ', '\t'].includes(char)) break;
+      end--;
+    }
+    return this.fix('Close the string', 'string', true, [this.insert({ line, character: end }, '"')]);
+  }
+
+  // Fix all asks for the tree once per diagnostic
+  parse(sourceCode) {
+    if (this.parsed.sourceCode !== sourceCode) {
+      this.parsed = { sourceCode, ast: this.parser.parse(sourceCode, { recover: true }).ast };
+    }
+    return this.parsed.ast;
+  }
+
+  inferTypes(ast, nodes) {
+    return this.typeChecker.check(ast, { inspect: nodes }).types;
+  }
+
+  // Unknown types become int
+  typeName(type) {
+    if (!type || ['unknown', 'variant', 'void'].includes(type.name)) return { name: 'int', dims: 0 };
+    return { name: type.name, dims: type.dims || 0 };
+  }
+
+  enclosingDefinition(ast, line) {
+    return (ast.body || []).find(item => (item.ctorName === 'TaskDefinition' || item.ctorName === 'FunctionDefinition') &&
+      item.body && item.line <= line && line <= item.endLine) || null;
+  }
+
+  // Path from the program down to the call of `name` at `position`, or to the first call of it
+  findCall(ast, name, position) {
+    let first = null;
+    let exact = null;
+    const visit = (node, chain) => {
+      if (exact || !node || typeof node !== 'object') return;
+      const path = [...chain, node];
+      if (node.ctorName === 'CallExpression' && node.callee && node.callee.ctorName === 'Identifier' && node.callee.name === name) {
+        if (!first) first = path;
+        if (node.callee.line === position.line && node.callee.column === position.character) exact = path;
+      }
+      (node.children || []).forEach(child => visit(child, path));
+    };
+    visit(ast, []);
+    return exact || first;
+  }
+
+  find(root, predicate) {
+    if (!root || typeof root !== 'object') return null;
+    if (predicate(root)) return root;
+    for (const child of root.children || []) {
+      const found = this.find(child, predicate);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  findName(lines, start, name) {
+    const text = lines[start.line] || '';
+    const pattern = new RegExp(`\\b${name}\\b`, 'g');
+    let best = null;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (!best || Math.abs(match.index - start.character) < Math.abs(best - start.character)) best = match.index;
+    }
+    return best === null ? null : { start: { line: start.line, character: best }, end: { line: start.line, character: best + name.length } };
+  }
+
+  // Column just after the last token on a line that is not a comment
+  endOfCode(text) {
+    const code = this.lexer.tokenize(text).filter(token => this.lexer.isSignificant(token));
+    return code.length > 0 ? code[code.length - 1].end : text.length;
+  }
+
+  indentationOf(text) {
+    return ((text || '').match(/^[\t ]*/) || [''])[0];
+  }
+
+  // The first indentation used in the file, or four spaces
+  indentUnit(lines) {
+    const indented = lines.find(text => /^[\t ]+\S/.test(text));
+    return indented ? this.indentationOf(indented) : '    ';
+  }
+
+  insert(position, newText) {
+    return { range: { start: position, end: position }, newText };
+  }
+
+  fix(title, kind, preferred, edits) {
+    return { title, kind, preferred: Boolean(preferred), edits };
+  }
+
+  keyOf(position) {
+    return `${position.line}:${position.character}`;
+  }
+
+  overlaps(a, b) {
+    const before = (x, y) => x.line < y.line || (x.line === y.line && x.character < y.character);
+    // Insertions at the same point do not overlap
+    return before(a.start, b.end) && before(b.start, a.end);
+  }
+}
+
+module.exports = { QuickFixes };
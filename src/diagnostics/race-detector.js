@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const { ApiSignatures } = require('./api-signatures');
+
+// Finds globals that tasks running at the same time share without a common mutex.
+// Each running task is walked with the subs it calls inlined, tracking the mutexes
+// held at every read and write; a global conflicts when two concurrent tasks touch
+// it, at least one of them writes, and no mutex is held on both sides. Motor outputs
+// are shared the same way: two concurrent tasks that drive an overlapping set of
+// outputs (OUT_AC and OUT_A) without a common mutex fight over the motor.
+const DRIVE_FUNCTION = /^(OnFwd|OnRev|Off|Coast|Float|RotateMotor)\w*$/;
+
+class RaceDetector {
+  constructor() {
+    this.apiSignatures = new ApiSignatures();
+    this.outputs = new Map(); // OUT_AC -> ['A', 'C']
+    this.loadOutputs();
+  }
+
+  loadOutputs() {
+    try {
+      const constantsPath = path.join(__dirname, '../../utils/nxc_constants.txt');
+      fs.readFileSync(constantsPath, 'utf8').split('\n')
+        .map(line => line.trim())
+        .filter(line => /^OUT_[A-C]+$/.test(line))
+        .forEach(constant => this.outputs.set(constant, [...constant.slice(4)]));
+    } catch (error) {
+      console.warn('Could not load NXC output constants for race detection:', error.message);
+    }
+  }
+
+  analyze(ast, graph, options = {}) {
+    this.warnings = [];
+    this.graph = graph;
+    this.globals = new Set();
+
+    try {
+      [...(options.includedPrograms || []), ast].forEach(program => this.declareGlobals(program));
+
+      const pairs = graph.concurrentPairs();
+      const runs = new Map();
+      pairs.flat().forEach(task => {
+        if (!runs.has(task)) runs.set(task, this.collectAccesses(task));
+      });
+      pairs.forEach(([a, b]) => {
+        this.comparePair(a, runs.get(a).accesses, b, runs.get(b).accesses);
+        this.compareOutputs(a, runs.get(a).drives, b, runs.get(b).drives);
+      });
+    } catch (error) {
+      console.error('Error during race detection:', error);
+    }
+
+    return { errors: [], warnings: this.warnings };
+  }
+
+  declareGlobals(program) {
+    (program && program.body ? program.body : []).forEach(item => {
+      if (!['Declaration', 'StructDefinition', 'EnumDeclaration'].includes(item.ctorName)) return;
+      if (item.type === 'mutex' || item.isConst) return;
+      (item.declarators || []).forEach(declarator => this.globals.add(declarator.name));
+    });
+  }
+
+  // Reads and writes of globals made while `task` runs: { name, write, node, held, beforeStart, via, included },
+  // and the motor commands it gives: { name, outputs, motors, node, held, beforeStart, via, included }
+  collectAccesses(task) {
+    this.accesses = [];
+    this.drives = [];
+    this.callStack = [];
+    this.scopes = [];
+    this.hasStarted = false;
+    this.walkFunction(this.graph.tasks.get(task), new Set());
+    return { accesses: this.accesses, drives: this.drives };
+  }
+
+  walkFunction(definition, held) {
+    if (!definition || this.callStack.includes(definition)) return held;
+
+    const outerScopes = this.scopes;
+    this.callStack.push(definition);
+    this.scopes = [new Set((definition.node.parameters || []).map(parameter => parameter.name))];
+    const after = this.walk(definition.node.body, held);
+    this.scopes = outerScopes;
+    this.callStack.pop();
+    return after;
+  }
+
+  // Returns the mutexes held after `node`; branches keep only what every path holds
+  walk(node, held) {
+    if (!node || typeof node !== 'object') return held;
+
+    switch (node.ctorName) {
+      case 'CompoundStatement': {
+        this.scopes.push(new Set());
+        const after = (node.statements || []).reduce((current, statement) => this.walk(statement, current), held);
+        this.scopes.pop();
+        return after;
+      }
+      case 'Declaration':
+        (node.declarators || []).forEach(declarator => {
+          held = this.walk(declarator.init, held);
+          this.scopes[this.scopes.length - 1].add(declarator.name);
+        });
+        return held;
+      case 'IfStatement': {
+        const tested = this.walk(node.test, held);
+        const consequent = this.walk(node.consequent, new Set(tested));
+        const alternate = node.alternate ? this.walk(node.alternate, new Set(tested)) : tested;
+        return this.intersect(consequent, alternate);
+      }
+      case 'ForStatement': {
+        this.scopes.push(new Set());
+        const tested = this.walk(node.test, this.walk(node.init, held));
+        const after = this.walk(node.update, this.walk(node.body, new Set(tested)));
+        this.scopes.pop();
+        return this.intersect(tested, after);
+      }
+      case 'WhileStatement':
+      case 'UntilStatement':
+      case 'DoWhileStatement':
+      case 'RepeatStatement':
+      case 'SwitchStatement': {
+        const tested = this.walk(node.test || node.count || node.discriminant, held);
+        return this.intersect(tested, this.walk(node.body, new Set(tested)));
+      }
+      case 'StartStatement':
+        this.hasStarted = true;
+        return held;
+      case 'AssignmentExpression':
+        held = this.walk(node.right, held);
+        return this.walkTarget(node.left, held, node.operator !== '=');
+      case 'UpdateExpression':
+        return this.walkTarget(node.argument, held, true);
+      case 'CallExpression':
+        return this.walkCall(node, held);
+      case 'Identifier':
+        this.record(node, false, held);
+        return held;
+      default:
+        return (node.children || []).reduce((current, child) => this.walk(child, current), held);
+    }
+  }
+
+  // The variable an assignment or reference argument writes to
+  walkTarget(node, held, alsoReads) {
+    if (!node) return held;
+    switch (node.ctorName) {
+      case 'Identifier':
+        if (alsoReads) this.record(node, false, held);
+        this.record(node, true, held);
+        return held;
+      case 'MemberExpression':
+        return this.walkTarget(node.object, held, alsoReads);
+      case 'IndexExpression':
+        return this.walkTarget(node.object, this.walk(node.index, held), alsoReads);
+      default:
+        return this.walk(node, held);
+    }
+  }
+
+  walkCall(node, held) {
+    const name = node.callee && node.callee.ctorName === 'Identifier' ? node.callee.name : null;
+    const args = node.arguments || [];
+    if (!name) {
+      return args.reduce((current, argument) => this.walk(argument, current), this.walk(node.callee, held));
+    }
+
+    if ((name === 'Acquire' || name === 'Release') && args[0] && args[0].ctorName === 'Identifier') {
+      const after = new Set(held);
+      if (name === 'Acquire') after.add(args[0].name);
+      else after.delete(args[0].name);
+      return after;
+    }
+    if (['StartTask', 'Precedes', 'Follows', 'ExitTo', 'StopTask'].includes(name)) {
+      if (name === 'StartTask') this.hasStarted = true;
+      return held;
+    }
+
+    const definition = this.graph.functions.get(name);
+    const signature = definition ? null : this.apiSignatures.get(name);
+    args.forEach((argument, index) => {
+      const parameter = definition ? (definition.node.parameters || [])[index] : signature ? ApiSignatures.parameterAt(signature, index) : null;
+      held = parameter && parameter.isReference && !parameter.isConst
+        ? this.walkTarget(argument, held, true)
+        : this.walk(argument, held);
+    });
+    if (!definition && DRIVE_FUNCTION.test(name) && signature) this.recordDrive(name, args[0], node, held);
+    return definition ? this.walkFunction(definition, held) : held;
+  }
+
+  record(node, write, held) {
+    if (!this.globals.has(node.name) || this.scopes.some(scope => scope.has(node.name))) return;
+    const current = this.callStack[this.callStack.length - 1];
+    this.accesses.push({
+      name: node.name,
+      write,
+      node,
+      held: new Set(held),
+      beforeStart: !this.hasStarted,
+      via: current.isTask ? null : current.name,
+      included: current.included
+    });
+  }
+
+  recordDrive(name, argument, node, held) {
+    const outputs = argument && argument.ctorName === 'Identifier' ? argument.name : null;
+    if (!this.outputs.has(outputs)) return;
+    const current = this.callStack[this.callStack.length - 1];
+    this.drives.push({
+      name,
+      outputs,
+      motors: this.outputs.get(outputs),
+      node,
+      held: new Set(held),
+      beforeStart: !this.hasStarted,
+      via: current.isTask ? null : current.name,
+      included: current.included
+    });
+  }
+
+  comparePair(a, accessesA, b, accessesB) {
+    const names = new Set(accessesA.map(access => access.name));
+    const reported = new Set();
+
+    accessesB.forEach(y => {
+      if (!names.has(y.name) || reported.has(y.name) || this.happensBefore(y, b, a)) return;
+      const x = accessesA.find(access => access.name === y.name &&
+        (access.write || y.write) &&
+        !this.happensBefore(access, a, b) &&
+        ![...access.held].some(mutex => y.held.has(mutex)));
+      if (!x || (x.included && y.included)) return;
+
+      // Point at a write in this file
+      const [first, firstTask, second, secondTask] = (x.write && !x.included) || y.included ? [x, a, y, b] : [y, b, x, a];
+      reported.add(y.name);
+      this.warnings.push(this.createDiagnostic(
+        `Global '${y.name}' is shared by tasks '${firstTask}' and '${secondTask}' without a common mutex: ` +
+        `${this.describe(first)} by '${firstTask}' on line ${first.node.line + 1}, ` +
+        `${this.describe(second)} by '${secondTask}' on line ${second.node.line + 1}`,
+        first.node
+      ));
+    });
+  }
+
+  compareOutputs(a, drivesA, b, drivesB) {
+    const reported = new Set();
+
+    drivesB.forEach(y => {
+      if (this.happensBefore(y, b, a)) return;
+      const motors = y.motors.filter(motor => !reported.has(motor));
+      const x = drivesA.find(drive => drive.motors.some(motor => motors.includes(motor)) &&
+        !this.happensBefore(drive, a, b) &&
+        ![...drive.held].some(mutex => y.held.has(mutex)));
+      if (!x || (x.included && y.included)) return;
+
+      const shared = motors.filter(motor => x.motors.includes(motor));
+      shared.forEach(motor => reported.add(motor));
+      const [first, firstTask, second, secondTask] = x.included ? [y, b, x, a] : [x, a, y, b];
+      this.warnings.push(this.createDiagnostic(
+        `Tasks '${firstTask}' and '${secondTask}' run at the same time and both drive ` +
+        `${shared.map(motor => `OUT_${motor}`).join(' and ')} without a common mutex: ` +
+        `${this.describeDrive(first)} in '${firstTask}' on line ${first.node.line + 1}, ` +
+        `${this.describeDrive(second)} in '${secondTask}' on line ${second.node.line + 1}`,
+        first.node
+      ));
+    });
+  }
+
+  // An access made before `task` starts anything cannot overlap a task it alone starts
+  happensBefore(access, task, other) {
+    return access.beforeStart && this.graph.startedOnlyThrough(other, task);
+  }
+
+  describe(access) {
+    return `${access.write ? 'written' : 'read'}${access.via ? ` in '${access.via}'` : ''}`;
+  }
+
+  describeDrive(drive) {
+    return `${drive.name}(${drive.outputs})${drive.via ? ` through '${drive.via}'` : ''}`;
+  }
+
+  intersect(a, b) {
+    return new Set([...a].filter(mutex => b.has(mutex)));
+  }
+
+  createDiagnostic(message, node) {
+    return {
+      message,
+      line: node.line || 0,
+      column: node.column || 0,
+      severity: 'warning',
+      source: 'race-detector',
+      range: node.endLine === undefined ? undefined : {
+        start: { line: node.line, character: node.column },
+        end: { line: node.endLine, character: node.endColumn }
+      }
+    };
+  }
+}
+
+module.exports = { RaceDetector };
@@ -0,0 +1,228 @@
+const { NXCLexer } = require('./nxc-lexer');
+
+// Every diagnostic belongs to a rule with a stable ID. A diagnostic can name its rule
+// in `rule`; otherwise the first rule whose sources and message pattern match wins, so
+// order matters where patterns overlap.
+const RULES = [
+  { id: 'missing-semicolon', description: "Statement not terminated by ';'", pattern: /missing ';'|^Missing semicolon/ },
+  { id: 'unterminated-literal', description: 'String or character literal that is never closed', pattern: /unterminated (string|character) literal/i },
+  {
+    id: 'unbalanced-brackets',
+    description: 'Brace, parenthesis or bracket without a partner',
+    pattern: /^Unclosed '|^Unexpected closing|without matching (opening|closing)|^Unbalanced|missing '[)\]}]'|unexpected '[)\]}]'/
+  },
+  {
+    id: 'syntax-error',
+    description: 'Code the parser cannot read',
+    sources: ['nxc-parser', 'syntax-checker', 'simple-parser'],
+    pattern: /^Syntax error|^Invalid syntax|^Invalid assignment operator|^Array access on braced initializer|^Expected/
+  },
+  { id: 'missing-include', description: 'Include file that cannot be found or read', pattern: /^Cannot (find|read) include file/ },
+  { id: 'macro-redefined', description: 'Macro defined again with a different body', pattern: /^Macro '.*' redefined/ },
+  { id: 'preprocessor', description: 'Malformed directive, #if expression or #error', sources: ['preprocessor'], pattern: /./ },
+  { id: 'line-too-long', description: 'Line longer than the configured maximum', pattern: /^Line too long/ },
+  { id: 'mixed-indentation', description: 'Indentation that mixes tabs and spaces', pattern: /^Mixed tabs and spaces/ },
+  {
+    id: 'undefined-task',
+    description: 'Task operation naming something that is not a task',
+    sources: ['task-checker'],
+    pattern: /is not defined|is not a defined task|is a sub, not a task/,
+    // `StartTask(name)` also reads `name` as an identifier
+    supersedes: ['undefined-symbol']
+  },
+  { id: 'main-not-task', description: "'main' declared as a sub or function", pattern: /^'main' must be declared as a task/ },
+  { id: 'task-never-started', description: 'Task that no running task ever starts', pattern: /^Task '.*' is (never started|only started by)/ },
+  { id: 'missing-main', description: "Program without a 'main' task", pattern: /^No "main"/ },
+  { id: 'undefined-symbol', description: 'Function or variable that is not declared', pattern: /is not defined/ },
+  { id: 'duplicate-declaration', description: 'Name declared twice in the same scope', pattern: /already (declared|defined)|conflicts with declaration/ },
+  { id: 'builtin-shadowing', description: 'User function with the name of an API function', pattern: /shadows a built-in/ },
+  { id: 'argument-count', description: 'Call with too few or too many arguments', pattern: /expects .* arguments?, but received/ },
+  { id: 'reference-argument', description: 'Value passed to a reference parameter', pattern: /must be a variable: parameter/ },
+  { id: 'argument-range', description: 'Constant argument outside the range the API function accepts', sources: ['argument-checker'], pattern: /is out of range for|is off the 100x64 screen|cannot be negative/ },
+  { id: 'port-mismatch', description: 'Input port passed where an output is expected, or the reverse', pattern: /is an (input port|output), but '.*' expects/ },
+  { id: 'implicit-conversion', description: 'Assignment that truncates or narrows a value', sources: ['type-checker'], pattern: /^Implicit conversion/ },
+  { id: 'type-mismatch', description: 'Operands, arguments or return values of the wrong type', sources: ['type-checker'], pattern: /./ },
+  { id: 'unreachable-code', description: 'Statement that can never run', pattern: /^Unreachable code/ },
+  { id: 'missing-return', description: 'Function that can end without returning a value', pattern: /can reach the end without returning/ },
+  { id: 'misplaced-jump', description: "'break' or 'continue' outside a loop", pattern: /is not inside a loop/ },
+  { id: 'dead-loop', description: 'Loop whose body never runs', pattern: /^Loop body never runs/ },
+  { id: 'motor-conflict', description: 'Motor output driven by two concurrent tasks without a mutex', pattern: /^Tasks '.*' and '.*' run at the same time and both drive/ },
+  { id: 'race-condition', description: 'Global shared by concurrent tasks without a mutex', sources: ['race-detector'], pattern: /./ },
+  { id: 'potential-deadlock', description: 'Mutexes acquired in opposite orders by concurrent tasks', pattern: /^Potential deadlock/ },
+  { id: 'mutex-misuse', description: 'Mutex left held or acquired twice', sources: ['mutex-checker'], pattern: /./ },
+  { id: 'unconfigured-sensor', description: 'Sensor port read before a SetSensor call configures it', pattern: /^Sensor port .* read before it is configured/ },
+  { id: 'sensor-conflict', description: 'Port configured as two different kinds of sensor', pattern: /^Sensor port .* is configured as .* but as/ },
+  { id: 'impossible-comparison', description: "Comparison a sensor's values can never satisfy", sources: ['sensor-checker'], pattern: /^Comparison can never be true/ },
+  { id: 'unused-parameter', description: 'Parameter that is never used', pattern: /^Parameter '.*' of '.*' is never used/ },
+  { id: 'unused-macro', description: '#define that is never used', pattern: /^Macro '.*' is defined but never used/ },
+  { id: 'unused-function', description: 'Sub or function that is never called', pattern: /^(Sub|Function) '.*' is never called/ },
+  { id: 'unused-variable', description: 'Variable that is never read', sources: ['unused-symbols'], pattern: /never used/ }
+];
+
+const SEVERITIES = ['error', 'warning', 'info', 'hint'];
+const CLOSERS = { '(': ')', '[': ']', '{': '}', parentheses: ')', brackets: ']', braces: '}' };
+const SUPPRESSION = /^(?:\/\/|\/\*)\s*nxc-(disable-next-line|disable-line|disable|enable)\b(.*?)(?:\*\/)?$/s;
+
+// Applies rule IDs, configured severities, suppression comments and de-duplication
+// to the raw diagnostics of one document.
+class RuleEngine {
+  constructor() {
+    this.lexer = new NXCLexer();
+  }
+
+  static get rules() {
+    return RULES;
+  }
+
+  ruleOf(diagnostic) {
+    if (diagnostic.rule) return diagnostic.rule;
+    const rule = RULES.find(candidate =>
+      (!candidate.sources || candidate.sources.includes(diagnostic.source)) && candidate.pattern.test(diagnostic.message));
+    return rule ? rule.id : null;
+  }
+
+  // `severities` maps rule IDs to 'error', 'warning', 'info', 'hint' or 'off'
+  apply(diagnostics, sourceCode, severities = {}) {
+    const suppressions = this.findSuppressions(sourceCode);
+    const kept = new Map();
+
+    diagnostics.forEach(diagnostic => {
+      const rule = this.ruleOf(diagnostic);
+      const configured = rule ? severities[rule] : undefined;
+      if (configured === 'off') return;
+
+      const { line, column } = this.positionOf(diagnostic);
+      if (suppressions.some(entry => line >= entry.start && line <= entry.end && (entry.rules ? entry.rules.includes(rule) : !entry.except.includes(rule)))) return;
+
+      const result = { ...diagnostic, rule, severity: SEVERITIES.includes(configured) ? configured : diagnostic.severity };
+      // Several checkers can report the same problem; keep the most severe report. One
+      // checker's reports that differ in wording, such as the task pairs of a race, are kept
+      const key = `${rule || result.message}@${line}:${column}`;
+      const reports = kept.get(key) || [];
+      const index = reports.findIndex(report => report.source !== result.source || report.message === result.message);
+      if (index === -1) reports.push(result);
+      else if (this.rank(result.severity) < this.rank(reports[index].severity)) reports[index] = result;
+      kept.set(key, reports);
+    });
+
+    return this.dropOverlapping([...kept.values()].flat());
+  }
+
+  // Checkers that see one problem from different places report it under different rules or
+  // at different positions; keeps the most specific report. A rule wins over the rules it
+  // supersedes at the same position. For a missing closing bracket, the parser's
+  // "missing ')'", which says where it belongs, replaces the "Unclosed '('" before it,
+  // and a count of the file's brackets is dropped once any report names a bracket.
+  dropOverlapping(diagnostics) {
+    const dropped = new Set();
+    const samePosition = (a, b) => a.line === b.line && a.column === b.column;
+
+    diagnostics.forEach(diagnostic => {
+      const rule = RULES.find(candidate => candidate.id === diagnostic.rule);
+      if (!rule || !rule.supersedes) return;
+      diagnostics
+        .filter(other => rule.supersedes.includes(other.rule) && samePosition(this.positionOf(other), this.positionOf(diagnostic)))
+        .forEach(other => dropped.add(other));
+    });
+
+    const brackets = diagnostics
+      .filter(diagnostic => diagnostic.rule === 'unbalanced-brackets')
+      .map(diagnostic => ({ diagnostic, position: this.positionOf(diagnostic), ...this.bracketOf(diagnostic.message) }))
+      .filter(report => report.kind)
+      .sort((a, b) => a.position.line - b.position.line || a.position.column - b.position.column);
+    brackets.forEach((report, index) => {
+      if (report.kind !== 'missing') return;
+      const opener = brackets.slice(0, index).reverse()
+        .find(candidate => candidate.kind === 'unclosed' && candidate.closer === report.closer && !dropped.has(candidate.diagnostic));
+      if (opener) dropped.add(opener.diagnostic);
+    });
+    brackets
+      .filter(report => report.kind === 'count' && brackets.some(other => other.kind !== 'count' && other.closer === report.closer))
+      .forEach(report => dropped.add(report.diagnostic));
+
+    return diagnostics.filter(diagnostic => !dropped.has(diagnostic));
+  }
+
+  // The closing bracket an unbalanced-brackets report is about, and whether it says where
+  // the bracket is missing, which opener is left open, or only that the counts differ
+  bracketOf(message) {
+    let match = message.match(/missing '([)\]}])'/);
+    if (match) return { closer: match[1], kind: 'missing' };
+    match = message.match(/^Unclosed '([([{])'|^Opening (brace) without matching/);
+    if (match) return { closer: CLOSERS[match[1] || '{'], kind: 'unclosed' };
+    match = message.match(/^Unbalanced (parentheses|brackets|braces)/);
+    if (match) return { closer: CLOSERS[match[1]], kind: 'count' };
+    return {};
+  }
+
+  positionOf(diagnostic) {
+    return {
+      line: diagnostic.range ? diagnostic.range.start.line : diagnostic.line || 0,
+      column: diagnostic.range ? diagnostic.range.start.character : diagnostic.column || 0
+    };
+  }
+
+  rank(severity) {
+    const index = SEVERITIES.indexOf(severity);
+    return index === -1 ? 0 : index;
+  }
+
+  // Line ranges where the listed rules, or all rules (rules: null) but those in `except`, are switched off:
+  //   // nxc-disable-next-line missing-semicolon
+  //   x = 1 // nxc-disable-line
+  //   /* nxc-disable unused-variable, unused-parameter */ ... /* nxc-enable */
+  findSuppressions(sourceCode) {
+    const suppressions = [];
+    const open = [];
+    const lastLine = sourceCode.split(/\r?\n/).length - 1;
+
+    this.lexer.tokenize(sourceCode).forEach(token => {
+      if (token.type !== 'comment') return;
+      const match = token.value.trim().match(SUPPRESSION);
+      if (!match) return;
+
+      const rules = match[2].split(/[\s,]+/).filter(Boolean);
+      const listed = rules.length > 0 ? rules : null;
+      const endLine = token.line + (token.value.match(/\n/g) || []).length;
+      switch (match[1]) {
+        case 'disable-line':
+          suppressions.push({ start: token.line, end: endLine, rules: listed, except: [] });
+          break;
+        case 'disable-next-line':
+          suppressions.push({ start: endLine + 1, end: endLine + 1, rules: listed, except: [] });
+          break;
+        case 'disable':
+          open.push({ start: token.line, rules: listed, except: [] });
+          break;
+        case 'enable':
+          // A bare nxc-enable closes everything; a listed one only switches those rules back on
+          for (let i = open.length - 1; i >= 0; i--) {
+            const entry = open[i];
+            if (!listed) {
+              suppressions.push({ ...entry, end: token.line });
+              open.splice(i, 1);
+            } else if (!entry.rules) {
+              // After a bare nxc-disable, every rule but the listed ones stays off
+              suppressions.push({ ...entry, end: token.line });
+              entry.start = token.line + 1;
+              entry.except = [...entry.except, ...listed];
+            } else {
+              const closed = entry.rules.filter(rule => listed.includes(rule));
+              if (closed.length === 0) continue;
+              suppressions.push({ start: entry.start, end: token.line, rules: closed, except: [] });
+              entry.rules = entry.rules.filter(rule => !listed.includes(rule));
+              if (entry.rules.length === 0) open.splice(i, 1);
+            }
+          }
+          break;
+        default:
+          break;
+      }
+    });
+
+    open.forEach(entry => suppressions.push({ ...entry, end: lastLine }));
+    return suppressions;
+  }
+}
+
+module.exports = { RuleEngine };
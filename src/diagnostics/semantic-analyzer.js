@@ -1,3 +1,5 @@
+const { ApiSignatures } = require('./api-signatures');
+
 class SemanticAnalyzer {
   constructor() {
     this.symbols = new Map(); // Symbol table
@@ -6,8 +8,11 @@ class SemanticAnalyzer {
     this.errors = [];
     this.warnings = [];
     this.builtInFunctions = new Set();
+    this.apiSignatures = new ApiSignatures();
     this.builtInConstants = new Set();
     this.builtInTypes = new Set(['void', 'int', 'float', 'byte', 'char', 'string', 'bool', 'mutex', 'variant']);
+    this.macros = new Set(); // #define names
+    this.hasIncludes = false;
     
     this.initializeBuiltIns();
   }
@@ -19,18 +24,8 @@ class SemanticAnalyzer {
     
     try {
       // Load API functions
-      const apiPath = path.join(__dirname, '../../utils/nxc_api.txt');
-      const apiContent = fs.readFileSync(apiPath, 'utf8');
-      const apiFunctions = apiContent.split('\n')
-        .map(line => line.trim())
-        .filter(line => line && !line.startsWith('//'))
-        .map(line => {
-          // Extract function name from signature like "OnFwd(byte outputs, char pwr)"
-          const match = line.match(/^([a-zA-Z_][a-zA-Z0-9_]*)\s*\(/);
-          return match ? match[1] : null;
-        })
-        .filter(name => name);
-      
+      const apiFunctions = this.apiSignatures.names();
+      if (apiFunctions.length === 0) throw new Error('no API signatures found');
       apiFunctions.forEach(fn => this.builtInFunctions.add(fn));
       
       // Load constants
@@ -75,17 +70,25 @@ class SemanticAnalyzer {
     constants.forEach(constant => this.builtInConstants.add(constant));
   }
 
-  analyze(ast, sourceCode) {
+  analyze(ast, sourceCode, options = {}) {
     this.errors = [];
     this.warnings = [];
     this.symbols.clear();
     this.scopes = [new Map()]; // Global scope
     this.functions.clear();
+    this.macros.clear();
+    this.hasIncludes = false;
+    // A tree recovered from syntax errors may be missing definitions
+    this.partial = Boolean(options.partial);
+    // Macros are already expanded by the preprocessor; names left over are function-like macros used without arguments
+    (options.macros ? [...options.macros.keys()] : []).forEach(name => this.macros.add(name));
+    this.hasIncludes = Boolean(options.unresolvedIncludes);
     
     try {
-  // Pre-scan: collect all function/task/sub declarations to avoid ordering issues
-  this.preScanDeclarations(ast);
-  this.visitNode(ast);
+      (options.includedPrograms || []).forEach(program => this.declareIncludedProgram(program));
+      // Pre-scan: collect all function/task/sub declarations to avoid ordering issues
+      this.preScanDeclarations(ast);
+      this.visitNode(ast);
     } catch (error) {
       console.error('Error during semantic analysis:', error);
       this.errors.push({
@@ -122,9 +125,18 @@ class SemanticAnalyzer {
       case 'Declaration':
         this.visitDeclaration(node);
         break;
+      case 'StructDefinition':
+        this.visitStructDefinition(node);
+        break;
+      case 'EnumDeclaration':
+        this.visitEnumDeclaration(node);
+        break;
       case 'CompoundStatement':
         this.visitCompoundStatement(node);
         break;
+      case 'ForStatement':
+        this.visitForStatement(node);
+        break;
       case 'ExpressionStatement':
         this.visitExpressionStatement(node);
         break;
@@ -134,6 +146,9 @@ class SemanticAnalyzer {
       case 'Identifier':
         this.visitIdentifier(node);
         break;
+      case 'FunctionPrototype':
+      case 'PreprocessorDirective':
+        break;
       default:
         // Visit children recursively
         if (node.children) {
@@ -148,7 +163,7 @@ class SemanticAnalyzer {
     }
     
     // Check if main function/task exists
-    if (!this.functions.has('main')) {
+    if (!this.functions.has('main') && !this.partial) {
       this.warnings.push({
         message: 'No "main" function or task found',
         line: 0,
@@ -160,27 +175,8 @@ class SemanticAnalyzer {
   }
 
   visitFunctionDefinition(node) {
-    const name = this.extractIdentifier(node.name);
-    const returnType = this.extractType(node.returnType);
     const params = this.extractParameters(node.parameters);
     
-    if (this.functions.has(name)) {
-      this.errors.push({
-        message: `Function '${name}' already defined`,
-        line: node.line || 0,
-        column: node.column || 0,
-        severity: 'error',
-        source: 'semantic-analyzer'
-      });
-    } else {
-      this.functions.set(name, {
-        name,
-        returnType,
-        parameters: params,
-        line: node.line || 0
-      });
-    }
-    
     // Enter function scope
     this.enterScope();
     
@@ -189,7 +185,8 @@ class SemanticAnalyzer {
       this.addSymbol(param.name, param.type, param.line || 0);
     });
     
-    // Visit function body
+    // Visit default values and function body
+    (node.parameters || []).forEach(param => this.visitNode(param.defaultValue));
     this.visitNode(node.body);
     
     // Exit function scope
@@ -197,26 +194,6 @@ class SemanticAnalyzer {
   }
 
   visitTaskDefinition(node) {
-    const name = this.extractIdentifier(node.name);
-    
-    if (this.functions.has(name)) {
-      this.errors.push({
-        message: `Task '${name}' already defined`,
-        line: node.line || 0,
-        column: node.column || 0,
-        severity: 'error',
-        source: 'semantic-analyzer'
-      });
-    } else {
-      this.functions.set(name, {
-        name,
-        returnType: 'void',
-        parameters: [],
-        isTask: true,
-        line: node.line || 0
-      });
-    }
-    
     // Enter task scope
     this.enterScope();
     
@@ -229,54 +206,96 @@ class SemanticAnalyzer {
 
   visitDeclaration(node) {
     const type = this.extractType(node.type);
-    const declarators = this.extractDeclarators(node.declarators);
     
-    declarators.forEach(decl => {
-      if (this.isSymbolInCurrentScope(decl.name)) {
-        this.errors.push({
-          message: `Variable '${decl.name}' already declared in this scope`,
-          line: decl.line || 0,
-          column: decl.column || 0,
-          severity: 'error',
-          source: 'semantic-analyzer'
-        });
-      } else {
-        this.addSymbol(decl.name, type, decl.line || 0);
-      }
+    (node.declarators || []).forEach(decl => {
+      // Initializers and array sizes are evaluated before the name is in scope
+      (decl.dimensions || []).forEach(dimension => this.visitNode(dimension));
+      this.visitNode(decl.init);
+      this.declareSymbol(decl.name, type, decl.nameRange || decl);
+    });
+  }
+
+  visitStructDefinition(node) {
+    // Field names live in the struct's own namespace; only declared variables enter scope
+    (node.declarators || []).forEach(decl => {
+      this.visitNode(decl.init);
+      this.declareSymbol(decl.name, node.name || 'struct', decl.nameRange || decl);
+    });
+  }
+
+  visitEnumDeclaration(node) {
+    (node.members || []).forEach(member => {
+      this.visitNode(member.value);
+      this.declareSymbol(member.name, 'enum member', member.nameRange || member);
+    });
+    (node.declarators || []).forEach(decl => {
+      this.visitNode(decl.init);
+      this.declareSymbol(decl.name, node.name || 'int', decl.nameRange || decl);
     });
   }
 
+  visitForStatement(node) {
+    // A declaration in the for-init is scoped to the loop
+    this.enterScope();
+    node.children.forEach(child => this.visitNode(child));
+    this.exitScope();
+  }
+
+  declareSymbol(name, type, location) {
+    if (this.isSymbolInCurrentScope(name)) {
+      this.errors.push({
+        message: `Variable '${name}' already declared in this scope`,
+        line: location.line || 0,
+        column: location.column || 0,
+        severity: 'error',
+        source: 'semantic-analyzer',
+        range: this.rangeOf(location)
+      });
+    } else {
+      this.addSymbol(name, type, location.line || 0);
+    }
+  }
+
   visitCallExpression(node) {
     const functionName = this.extractIdentifier(node.callee);
-    const args = this.extractArguments(node.arguments);
+    const location = node.callee || node;
     
     // Check if function exists
-    if (!this.functions.has(functionName) && !this.builtInFunctions.has(functionName)) {
+    if (this.macros.has(functionName) || this.isSymbolDefined(functionName)) {
+      // Function-like macros and variables are not checked here
+    } else if (!this.functions.has(functionName) && !this.builtInFunctions.has(functionName)) {
       // Suggest closest built-in if similar
       const suggestion = this.bestBuiltInMatch(functionName);
       if (suggestion) {
         this.warnings.push({
           message: `Function '${functionName}' is not defined. Did you mean '${suggestion}'?`,
-          line: node.line || 0,
-          column: node.column || 0,
+          line: location.line || 0,
+          column: location.column || 0,
           severity: 'warning',
-          source: 'semantic-analyzer'
+          source: 'semantic-analyzer',
+          range: this.rangeOf(location)
         });
-      } else {
-        // keep silent (no error) to avoid false positives for external APIs
-      }
-    } else if (this.functions.has(functionName)) {
-      // Check number of arguments
-      const funcDef = this.functions.get(functionName);
-      if (args.length !== funcDef.parameters.length) {
+      } else if (!this.hasIncludes && !this.partial) {
+        // Without #include files every callable must be declared in this file
         this.errors.push({
-          message: `Function '${functionName}' expects ${funcDef.parameters.length} arguments, but received ${args.length}`,
-          line: node.line || 0,
-          column: node.column || 0,
+          message: `Function '${functionName}' is not defined`,
+          line: location.line || 0,
+          column: location.column || 0,
           severity: 'error',
-          source: 'semantic-analyzer'
+          source: 'semantic-analyzer',
+          range: this.rangeOf(location)
         });
       }
+    } else if (this.functions.has(functionName)) {
+      // Check number of arguments, allowing for parameters with default values
+      const funcDef = this.functions.get(functionName);
+      const maxArgs = funcDef.parameters.length;
+      const minArgs = funcDef.parameters.filter(param => !param.hasDefault).length;
+      this.checkArguments(functionName, node.arguments || [], minArgs, maxArgs, index => funcDef.parameters[index], location);
+    } else if (this.apiSignatures.has(functionName)) {
+      const signature = this.apiSignatures.get(functionName);
+      this.checkArguments(functionName, node.arguments || [], signature.minArgs, signature.maxArgs,
+        index => ApiSignatures.parameterAt(signature, index), location);
     }
     
     // Visit arguments
@@ -285,10 +304,49 @@ class SemanticAnalyzer {
     }
   }
 
+  checkArguments(functionName, args, minArgs, maxArgs, parameterAt, location) {
+    if (args.length < minArgs || args.length > maxArgs) {
+      let expected = minArgs === maxArgs ? `${maxArgs}` : `${minArgs} to ${maxArgs}`;
+      if (maxArgs === Infinity) expected = `at least ${minArgs}`;
+      this.errors.push({
+        message: `Function '${functionName}' expects ${expected} arguments, but received ${args.length}`,
+        line: location.line || 0,
+        column: location.column || 0,
+        severity: 'error',
+        source: 'semantic-analyzer',
+        range: this.rangeOf(location)
+      });
+      return;
+    }
+
+    // Non-const reference parameters write back to the argument, so it has to be a variable
+    args.forEach((arg, index) => {
+      const param = parameterAt(index);
+      if (!param || !param.isReference || param.isConst || this.isAssignable(arg)) return;
+      this.errors.push({
+        message: `Argument ${index + 1} of '${functionName}' must be a variable: parameter '${param.name}' is passed by reference`,
+        line: arg.line || 0,
+        column: arg.column || 0,
+        severity: 'error',
+        source: 'semantic-analyzer',
+        range: this.rangeOf(arg)
+      });
+    });
+  }
+
+  isAssignable(node) {
+    if (!node) return false;
+    if (node.ctorName === 'MemberExpression' || node.ctorName === 'IndexExpression') return true;
+    if (node.ctorName !== 'Identifier') return false;
+    const symbol = this.lookupSymbol(node.name);
+    if (symbol) return symbol.type !== 'enum member';
+    return !this.builtInConstants.has(node.name);
+  }
+
   visitIdentifier(node) {
     const name = this.extractIdentifier(node);
     
-    if (!this.isSymbolDefined(name) && !this.builtInConstants.has(name) && !this.functions.has(name)) {
+    if (!this.isSymbolDefined(name) && !this.builtInConstants.has(name) && !this.functions.has(name) && !this.macros.has(name)) {
       // suggest constant if close
       const suggestion = this.bestConstantMatch(name);
       if (suggestion) {
@@ -297,10 +355,19 @@ class SemanticAnalyzer {
           line: node.line || 0,
           column: node.column || 0,
           severity: 'warning',
-          source: 'semantic-analyzer'
+          source: 'semantic-analyzer',
+          range: this.rangeOf(node)
+        });
+      } else if (!this.hasIncludes && !this.partial && !this.builtInFunctions.has(name)) {
+        // Without #include files, and with the whole file parsed, every name must be declared here
+        this.errors.push({
+          message: `Variable '${name}' is not defined`,
+          line: node.line || 0,
+          column: node.column || 0,
+          severity: 'error',
+          source: 'semantic-analyzer',
+          range: this.rangeOf(node)
         });
-      } else {
-        // otherwise, be silent to avoid false positives
       }
     }
   }
@@ -311,19 +378,70 @@ class SemanticAnalyzer {
     ast.children.forEach(node => {
       if (!node || typeof node !== 'object') return;
       const nodeType = node.ctorName || node.constructor.name;
-      if (nodeType === 'FunctionDefinition' || nodeType === 'TaskDefinition') {
+      if (nodeType === 'PreprocessorDirective') {
+        if (node.directive === 'define' && node.name) this.macros.add(node.name);
+        if (node.directive === 'include') this.hasIncludes = true;
+      } else if (nodeType === 'FunctionDefinition' || nodeType === 'TaskDefinition') {
+        const name = this.extractIdentifier(node.name);
+        const existing = this.functions.get(name);
+        if (existing && !existing.isPrototype && !existing.included && !(existing.conditional && node.conditional)) {
+          // Definitions in different #if branches are alternatives, not duplicates
+          const kind = nodeType === 'TaskDefinition' ? 'Task' : 'Function';
+          const location = node.nameRange || node;
+          this.errors.push({
+            message: `${kind} '${name}' already defined at line ${existing.line + 1}`,
+            line: location.line || 0,
+            column: location.column || 0,
+            severity: 'error',
+            source: 'semantic-analyzer',
+            range: this.rangeOf(location)
+          });
+        } else if (!existing || existing.isPrototype || !node.conditional) {
+          this.functions.set(name, this.describeFunction(node));
+        }
+      } else if (nodeType === 'FunctionPrototype') {
         const name = this.extractIdentifier(node.name);
         if (!this.functions.has(name)) {
-          this.functions.set(name, { name, parameters: this.extractParameters(node.parameters || []), line: node.line || 0, isTask: nodeType === 'TaskDefinition' });
-        } else {
-          // prefer non-conditional later (AST doesn't carry preprocessor info here)
+          this.functions.set(name, { ...this.describeFunction(node), isPrototype: true });
         }
       }
-      // Recurse
-      if (node.children) node.children.forEach(child => this.preScanDeclarations(child));
     });
   }
 
+  // Declarations from #include'd files: their globals, types and functions are
+  // visible, but problems inside them belong to those files
+  declareIncludedProgram(program) {
+    const errorCount = this.errors.length;
+    const warningCount = this.warnings.length;
+    const known = new Set(this.functions.keys());
+
+    this.preScanDeclarations(program);
+    this.functions.forEach((info, name) => {
+      if (!known.has(name)) info.included = true;
+    });
+    (program.children || []).forEach(node => {
+      const nodeType = node && node.ctorName;
+      if (['Declaration', 'StructDefinition', 'EnumDeclaration', 'TypedefDeclaration'].includes(nodeType)) {
+        this.visitNode(node);
+      }
+    });
+
+    this.errors.length = errorCount;
+    this.warnings.length = warningCount;
+  }
+
+  describeFunction(node) {
+    const isTask = node.ctorName === 'TaskDefinition';
+    return {
+      name: this.extractIdentifier(node.name),
+      returnType: isTask ? 'void' : this.extractType(node.returnType),
+      parameters: this.extractParameters(node.parameters || []),
+      isTask,
+      conditional: Boolean(node.conditional),
+      line: (node.nameRange || node).line || 0
+    };
+  }
+
   // Fuzzy match helpers for suggestions
   bestBuiltInMatch(name) {
     const candidates = Array.from(this.builtInFunctions);
@@ -402,6 +520,13 @@ class SemanticAnalyzer {
     return currentScope.has(name);
   }
 
+  lookupSymbol(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+    }
+    return null;
+  }
+
   isSymbolDefined(name) {
     for (let i = this.scopes.length - 1; i >= 0; i--) {
       if (this.scopes[i].has(name)) {
@@ -433,6 +558,9 @@ class SemanticAnalyzer {
     return node.map(param => ({
       name: this.extractIdentifier(param.name),
       type: this.extractType(param.type),
+      hasDefault: Boolean(param.defaultValue),
+      isConst: Boolean(param.isConst),
+      isReference: Boolean(param.isReference),
       line: param.line || 0
     }));
   }
@@ -445,9 +573,12 @@ class SemanticAnalyzer {
     }));
   }
 
-  extractArguments(node) {
-    if (!node || !Array.isArray(node)) return [];
-    return node.map(arg => this.extractIdentifier(arg));
+  rangeOf(node) {
+    if (!node || node.endLine === undefined) return undefined;
+    return {
+      start: { line: node.line, character: node.column },
+      end: { line: node.endLine, character: node.endColumn }
+    };
   }
 }
 
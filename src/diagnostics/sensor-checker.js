@@ -0,0 +1,390 @@
+const { ControlFlowGraph } = require('./control-flow-graph');
+const { PathWalker } = require('./path-walker');
+
+// Tracks how each input port is configured along every path of the running tasks
+// and the subs they call, starting from `main` with nothing configured. Reports
+// reads from a port that is not configured on some path, ports set up as two
+// different kinds of sensor, and comparisons a sensor's values can never satisfy.
+// A task starts with the configuration of the places that start it; a call applies
+// what the sub configures on every path through it.
+const PORT_NAMES = { IN_1: 0, IN_2: 1, IN_3: 2, IN_4: 3, S1: 0, S2: 1, S3: 2, S4: 3 };
+const SENSOR_VARIABLES = { SENSOR_1: 0, SENSOR_2: 1, SENSOR_3: 2, SENSOR_4: 3 };
+
+const BOOLEAN = { min: 0, max: 1, text: 'reads only 0 or 1' };
+const PERCENT = { min: 0, max: 100, text: 'reads 0 to 100' };
+const COLOR_NUMBER = { min: 1, max: 6, text: 'reads a color number from 1 to 6' };
+const RAW = { min: 0, max: 1023, text: 'reads 0 to 1023' };
+const DISTANCE = { min: 0, max: 255, text: 'reads 0 to 255 cm' };
+
+const KIND_NAMES = {
+  touch: 'a touch sensor',
+  light: 'a light sensor',
+  sound: 'a sound sensor',
+  color: 'a color sensor',
+  lowspeed: 'a low-speed (I2C) sensor'
+};
+
+// Configuration function -> kind of sensor and the range of Sensor() afterwards; a null
+// kind configures the port for something this check does not know the values of
+const CONFIGURATIONS = {
+  SetSensorTouch: { kind: 'touch', range: BOOLEAN },
+  SetSensorLight: { kind: 'light', range: PERCENT },
+  SetSensorSound: { kind: 'sound', range: PERCENT },
+  SetSensorColorFull: { kind: 'color', range: COLOR_NUMBER },
+  SetSensorColorRed: { kind: 'color', range: PERCENT },
+  SetSensorColorGreen: { kind: 'color', range: PERCENT },
+  SetSensorColorBlue: { kind: 'color', range: PERCENT },
+  SetSensorColorNone: { kind: 'color', range: PERCENT },
+  SetSensorLowspeed: { kind: 'lowspeed', range: null },
+  SetSensorUltrasonic: { kind: 'lowspeed', range: null },
+  SetSensorTemperature: { kind: 'lowspeed', range: null },
+  SetSensorEMeter: { kind: 'lowspeed', range: null },
+  SetSensorDIGyro: { kind: 'lowspeed', range: null },
+  SetSensorDIAccl: { kind: 'lowspeed', range: null },
+  SetSensorHTGyro: { kind: null, range: null },
+  SetSensorHTEOPD: { kind: null, range: null },
+  SetSensorHTMagnet: { kind: null, range: null },
+  SetSensorMSPressure: { kind: null, range: null },
+  SetSensorMSDROD: { kind: null, range: null },
+  SetSensorNXTSumoEyes: { kind: null, range: null }
+};
+
+// Second argument of SetSensor(port, config) and SetSensorType(port, type)
+const CONFIGURATION_CONSTANTS = {
+  SENSOR_TOUCH: { kind: 'touch', range: BOOLEAN },
+  SENSOR_LIGHT: { kind: 'light', range: PERCENT },
+  SENSOR_NXTLIGHT: { kind: 'light', range: PERCENT },
+  SENSOR_SOUND: { kind: 'sound', range: PERCENT },
+  SENSOR_LOWSPEED: { kind: 'lowspeed', range: null },
+  SENSOR_LOWSPEED_9V: { kind: 'lowspeed', range: null },
+  SENSOR_COLORFULL: { kind: 'color', range: COLOR_NUMBER },
+  SENSOR_COLORRED: { kind: 'color', range: PERCENT },
+  SENSOR_COLORGREEN: { kind: 'color', range: PERCENT },
+  SENSOR_COLORBLUE: { kind: 'color', range: PERCENT },
+  SENSOR_COLORNONE: { kind: 'color', range: PERCENT },
+  SENSOR_TYPE_TOUCH: { kind: 'touch', range: null },
+  SENSOR_TYPE_LIGHT: { kind: 'light', range: null },
+  SENSOR_TYPE_LIGHT_ACTIVE: { kind: 'light', range: null },
+  SENSOR_TYPE_LIGHT_INACTIVE: { kind: 'light', range: null },
+  SENSOR_TYPE_SOUND_DB: { kind: 'sound', range: null },
+  SENSOR_TYPE_SOUND_DBA: { kind: 'sound', range: null },
+  SENSOR_TYPE_LOWSPEED: { kind: 'lowspeed', range: null },
+  SENSOR_TYPE_LOWSPEED_9V: { kind: 'lowspeed', range: null },
+  SENSOR_TYPE_COLORFULL: { kind: 'color', range: null },
+  SENSOR_TYPE_COLORRED: { kind: 'color', range: null },
+  SENSOR_TYPE_COLORGREEN: { kind: 'color', range: null },
+  SENSOR_TYPE_COLORBLUE: { kind: 'color', range: null },
+  SENSOR_TYPE_COLORNONE: { kind: 'color', range: null }
+};
+
+const MODE_RANGES = { SENSOR_MODE_BOOL: BOOLEAN, SENSOR_MODE_PERCENT: PERCENT, SENSOR_MODE_RAW: RAW };
+
+// Read function -> range of the value for a port of the given configuration
+const READS = {
+  Sensor: config => config.range,
+  SensorValue: config => config.range,
+  SensorScaled: config => config.range,
+  SensorBoolean: () => BOOLEAN,
+  SensorValueBool: () => BOOLEAN,
+  SensorRaw: config => (config.kind === 'lowspeed' ? null : RAW),
+  SensorValueRaw: config => (config.kind === 'lowspeed' ? null : RAW),
+  SensorNormalized: config => (config.kind === 'lowspeed' ? null : RAW),
+  SensorUS: config => (config.kind === 'lowspeed' ? DISTANCE : null),
+  ReadSensorUSEx: () => null,
+  ReadSensorColorRaw: () => null,
+  ReadSensorColorEx: () => null,
+  SensorTemperature: () => null
+};
+
+// Read function -> the setup call a port read with it needs; other reads work with any sensor
+const SETUPS = {
+  SensorUS: 'SetSensorLowspeed',
+  ReadSensorUSEx: 'SetSensorLowspeed',
+  ReadSensorColorRaw: 'SetSensorColorFull',
+  ReadSensorColorEx: 'SetSensorColorFull',
+  SensorTemperature: 'SetSensorTemperature'
+};
+
+const COMPARISONS = ['<', '<=', '>', '>=', '==', '!='];
+const MIRRORED = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '==': '==', '!=': '!=' };
+
+class SensorChecker extends PathWalker {
+  analyze(ast, graph) {
+    this.warnings = [];
+    this.graph = graph;
+    this.summaries = new Map(); // sub name -> ports configured on every path through it
+    this.entries = new Map(); // task or sub name -> Map(key -> state)
+    this.reads = new Map(); // read node -> { node, name, port, configured, unconfigured }
+    this.comparisons = new Map(); // comparison node -> { node, port, range, kind, possible }
+    this.recording = false;
+
+    try {
+      this.checkConflicts(graph);
+      if (graph.tasks.has('main')) {
+        this.recording = true;
+        this.followPaths();
+        this.recording = false;
+        this.reportReads();
+        this.reportComparisons();
+      }
+    } catch (error) {
+      console.error('Error during sensor checking:', error);
+    }
+
+    return { errors: [], warnings: this.warnings };
+  }
+
+  // Runs every task and sub with the states it can be entered with until no new ones appear
+  followPaths() {
+    const pending = [];
+    this.enter('main', [this.createState()], pending);
+    for (let steps = 0; pending.length > 0 && steps < 200; steps++) {
+      const name = pending.shift();
+      const definition = this.graph.tasks.get(name) || this.graph.functions.get(name);
+      const context = this.walk(definition, [...this.entries.get(name).values()], { pending });
+      const exits = this.merge(context.exits.map(exit => exit.state));
+
+      // Follows(name) in another task starts it when this one ends
+      if (definition.isTask) {
+        definition.starts.filter(start => start.kind === 'Follows').forEach(start => this.enter(start.task, exits, pending));
+      }
+    }
+  }
+
+  // Adds entry states to a task or sub and queues it when one of them is new
+  enter(name, states, pending) {
+    if (!pending || !(this.graph.tasks.has(name) || this.graph.functions.has(name))) return;
+    if (!this.entries.has(name)) this.entries.set(name, new Map());
+    const entries = this.entries.get(name);
+    let added = false;
+    states.forEach(state => {
+      const key = this.keyOf(state);
+      if (entries.has(key)) return;
+      entries.set(key, state);
+      added = true;
+    });
+    if (added && !pending.includes(name)) pending.push(name);
+  }
+
+  // Ports a sub configures on every path through it, whatever it is called with
+  summaryOf(name) {
+    if (!this.summaries.has(name)) {
+      // Recursive calls see an empty summary
+      this.summaries.set(name, new Map());
+      const recording = this.recording;
+      this.recording = false;
+      const definition = this.graph.functions.get(name);
+      const context = this.walk(definition, [this.createState()], { pending: null });
+      const exits = this.merge(context.exits.map(exit => exit.state));
+      this.recording = recording;
+
+      const configured = new Map();
+      if (exits.length > 0) {
+        exits[0].ports.forEach((config, port) => {
+          if (exits.every(state => state.ports.has(port) && state.ports.get(port).kind === config.kind)) configured.set(port, config);
+        });
+      }
+      this.summaries.set(name, configured);
+    }
+    return this.summaries.get(name);
+  }
+
+  // A started task is entered with the configuration of the place that starts it
+  start(task, states, context) {
+    this.enter(task, states, context.pending);
+    return states;
+  }
+
+  // Applies the configurations, reads, starts and sub calls inside an expression, in evaluation order
+  expression(node, states, context) {
+    if (!node || typeof node !== 'object' || states.length === 0) return states;
+
+    if (node.ctorName === 'Identifier' && SENSOR_VARIABLES[node.name] !== undefined) {
+      this.recordRead(node, 'Sensor', SENSOR_VARIABLES[node.name], states, context);
+      return states;
+    }
+    if (node.ctorName === 'BinaryExpression' && COMPARISONS.includes(node.operator)) {
+      this.recordComparison(node, states, context);
+    }
+
+    const after = (node.children || []).reduce((current, child) => this.expression(child, current, context), states);
+    const name = this.calleeOf(node);
+    if (!name) return after;
+
+    const args = node.arguments || [];
+    const port = this.portOf(args[0]);
+    if (READS[name] && port !== null) {
+      this.recordRead(node, name, port, after, context);
+      return after;
+    }
+    const config = this.configurationOf(name, args);
+    if (config && port !== null) {
+      return this.dedupe(after.map(state => {
+        const previous = state.ports.get(port);
+        const ports = new Map(state.ports);
+        // SetSensorMode keeps the kind of sensor and changes its values
+        ports.set(port, name === 'SetSensorMode' ? { kind: previous ? previous.kind : null, range: config.range } : config);
+        return { ports };
+      }));
+    }
+    if (['StartTask', 'ExitTo', 'Precedes'].includes(name)) {
+      args.filter(argument => argument.ctorName === 'Identifier').forEach(argument => this.start(argument.name, after, context));
+      return after;
+    }
+    if (this.graph.functions.has(name)) {
+      this.enter(name, after, context.pending);
+      const summary = this.summaryOf(name);
+      if (summary.size === 0) return after;
+      return this.dedupe(after.map(state => {
+        const ports = new Map(state.ports);
+        summary.forEach((config, configuredPort) => ports.set(configuredPort, config));
+        return { ports };
+      }));
+    }
+    return after;
+  }
+
+  configurationOf(name, args) {
+    if (CONFIGURATIONS[name]) return CONFIGURATIONS[name];
+    const constant = args[1] && args[1].ctorName === 'Identifier' ? args[1].name : null;
+    if (name === 'SetSensor' || name === 'SetSensorType') {
+      return CONFIGURATION_CONSTANTS[constant] || { kind: null, range: null };
+    }
+    if (name === 'SetSensorMode') return { kind: null, range: MODE_RANGES[constant] || null };
+    return null;
+  }
+
+  recordRead(node, name, port, states, context) {
+    if (!this.recording || context.definition.included) return;
+    if (!this.reads.has(node)) this.reads.set(node, { node, name, port, configured: false, unconfigured: false });
+    const read = this.reads.get(node);
+    states.forEach(state => {
+      if (state.ports.has(port)) read.configured = true;
+      else read.unconfigured = true;
+    });
+  }
+
+  // `SENSOR_1 > 50` and `50 < Sensor(IN_1)` on a port whose values never satisfy it
+  recordComparison(node, states, context) {
+    if (!this.recording || context.definition.included) return;
+    const leftValue = ControlFlowGraph.constantValue(node.right);
+    const rightValue = ControlFlowGraph.constantValue(node.left);
+    const [read, operator, value] = leftValue !== null
+      ? [node.left, node.operator, leftValue]
+      : [node.right, MIRRORED[node.operator], rightValue];
+    if (value === null) return;
+
+    const port = read.ctorName === 'Identifier' ? SENSOR_VARIABLES[read.name] : this.portOf((read.arguments || [])[0]);
+    const name = read.ctorName === 'Identifier' ? 'Sensor' : this.calleeOf(read);
+    if (port === undefined || port === null || !READS[name]) return;
+
+    if (!this.comparisons.has(node)) this.comparisons.set(node, { node, port, range: null, kind: null, possible: false });
+    const comparison = this.comparisons.get(node);
+    states.forEach(state => {
+      const config = state.ports.get(port);
+      const range = config ? READS[name](config) : null;
+      if (!range || this.canSucceed(range, operator, value)) {
+        comparison.possible = true;
+        return;
+      }
+      comparison.range = range;
+      comparison.kind = config.kind;
+    });
+  }
+
+  canSucceed(range, operator, value) {
+    switch (operator) {
+      case '<': return range.min < value;
+      case '<=': return range.min <= value;
+      case '>': return range.max > value;
+      case '>=': return range.max >= value;
+      case '==': return value >= range.min && value <= range.max && Number.isInteger(value);
+      default: return !(range.min === range.max && range.min === value);
+    }
+  }
+
+  // The same port set up as two different kinds of sensor anywhere in the file
+  checkConflicts(graph) {
+    const first = new Map(); // port -> { kind, node }
+    const visit = node => {
+      if (!node || typeof node !== 'object') return;
+      const name = this.calleeOf(node);
+      const port = name ? this.portOf((node.arguments || [])[0]) : null;
+      const config = port !== null ? this.configurationOf(name, node.arguments) : null;
+      if (config && config.kind && name !== 'SetSensorMode') {
+        const earlier = first.get(port);
+        if (!earlier) {
+          first.set(port, { kind: config.kind, node });
+        } else if (earlier.kind !== config.kind) {
+          this.report(`Sensor port ${this.portName(port)} is configured as ${KIND_NAMES[config.kind]} here ` +
+            `but as ${KIND_NAMES[earlier.kind]} on line ${earlier.node.line + 1}`, node);
+        }
+      }
+      (node.children || []).forEach(visit);
+    };
+    [...graph.tasks.values(), ...graph.functions.values()]
+      .filter(definition => !definition.included)
+      .sort((a, b) => a.node.line - b.node.line)
+      .forEach(definition => visit(definition.node.body));
+  }
+
+  reportReads() {
+    this.reads.forEach(({ node, name, port, configured, unconfigured }) => {
+      if (!unconfigured) return;
+      const portName = this.portName(port);
+      const setup = SETUPS[name]
+        ? `call ${SETUPS[name]}(${portName}) first`
+        : `call SetSensorTouch(${portName}), SetSensorLight(${portName}) or another SetSensor function first`;
+      this.report(configured
+        ? `Sensor port ${portName} may be read before it is configured: not every path to here sets it up`
+        : `Sensor port ${portName} is read before it is configured: ${setup}`,
+      node);
+    });
+  }
+
+  reportComparisons() {
+    this.comparisons.forEach(({ node, port, range, kind, possible }) => {
+      if (possible || !range) return;
+      const sensor = kind ? `${KIND_NAMES[kind]} on ${this.portName(port)}` : `port ${this.portName(port)}`;
+      this.report(`Comparison can never be true: ${sensor} ${range.text}`, node);
+    });
+  }
+
+  // IN_1..IN_4, S1..S4 or 0..3 as a port index, or null
+  portOf(node) {
+    if (!node) return null;
+    if (node.ctorName === 'Identifier' && PORT_NAMES[node.name] !== undefined) return PORT_NAMES[node.name];
+    const value = node.ctorName === 'NumberLiteral' ? node.value : null;
+    return Number.isInteger(value) && value >= 0 && value <= 3 ? value : null;
+  }
+
+  portName(port) {
+    return `IN_${port + 1}`;
+  }
+
+  createState() {
+    return { ports: new Map() };
+  }
+
+  // States are told apart by how each port is configured
+  keyOf(state) {
+    return [...state.ports.entries()].sort(([a], [b]) => a - b)
+      .map(([port, config]) => `${port}:${config.kind}:${config.range ? config.range.text : ''}`).join('|');
+  }
+
+  report(message, node) {
+    this.warnings.push({
+      message,
+      line: node.line || 0,
+      column: node.column || 0,
+      severity: 'warning',
+      source: 'sensor-checker',
+      range: node.endLine === undefined ? undefined : {
+        start: { line: node.line, character: node.column },
+        end: { line: node.endLine, character: node.endColumn }
+      }
+    });
+  }
+}
+
+module.exports = { SensorChecker };
@@ -8,14 +8,15 @@ class SimpleNXCParser {
     this.braceStack = [];
   }
 
-  validateSyntax(sourceCode) {
+  // `options.semantic: false` leaves undefined and duplicate names to the syntax-tree analyzer
+  validateSyntax(sourceCode, preprocessed = null, options = {}) {
     console.log('SimpleParser: Starting validation...');
     
     this.errors = [];
     this.warnings = [];
     
     try {
-      this.analyzeBasicSyntax(sourceCode);
+      this.analyzeBasicSyntax(sourceCode, preprocessed, options);
       
       return {
         isValid: this.errors.length === 0,
@@ -39,17 +40,31 @@ class SimpleNXCParser {
     }
   }
 
-  analyzeBasicSyntax(sourceCode) {
-    const lines = sourceCode.split(/\r?\n/);
+  analyzeBasicSyntax(sourceCode, preprocessed = null, options = {}) {
+    const sourceLines = sourceCode.split(/\r?\n/);
+    // Line patterns look at what was written; the rest works on preprocessed code
+    const effectiveCode = preprocessed ? preprocessed.code : sourceCode;
+    const lines = effectiveCode.split(/\r?\n/);
     
     this.braceCount = 0;
     this.parenCount = 0;
     this.bracketCount = 0;
     this.braceStack = [];
     
-    lines.forEach((line, lineIndex) => {
+    // Inactive #if branches and the continuation lines of a directive are not statements
+    const continuationLines = new Set();
+    if (preprocessed) {
+      preprocessed.directives.forEach(directive => {
+        for (let line = directive.line + 1; line <= directive.endLine; line++) continuationLines.add(line);
+      });
+    }
+    sourceLines.forEach((line, lineIndex) => {
+      if (continuationLines.has(lineIndex) || (preprocessed && !preprocessed.isLineActive(lineIndex))) return;
       this.checkLinePatterns(line, lineIndex);
     });
+
+    const firstError = this.errors.length;
+    const firstWarning = this.warnings.length;
     
     lines.forEach((line, lineIndex) => {
       this.checkBalancing(line, lineIndex);
@@ -72,13 +87,27 @@ class SimpleNXCParser {
       this.addError('Unbalanced brackets - missing closing brackets', lines.length - 1, 0);
     }
     
-    this.performSemanticAnalysis(sourceCode);
+    if (options.semantic !== false) {
+      // Macros and anything named in #include'd files are known symbols
+      const externalNames = new Set(preprocessed ? preprocessed.macros.keys() : []);
+      if (preprocessed) {
+        preprocessed.includedFiles.forEach(included => {
+          (this.removeCommentsAndStrings(included.code).match(/\b[A-Za-z_]\w*\b/g) || []).forEach(name => externalNames.add(name));
+        });
+      }
+      this.performSemanticAnalysis(effectiveCode, externalNames);
+    }
+
+    if (preprocessed) {
+      this.errors = [...this.errors.slice(0, firstError), ...this.errors.slice(firstError).map(error => preprocessed.mapDiagnostic(error))];
+      this.warnings = [...this.warnings.slice(0, firstWarning), ...this.warnings.slice(firstWarning).map(warning => preprocessed.mapDiagnostic(warning))];
+    }
     
     console.log(`SimpleParser: Found ${this.errors.length} errors and ${this.warnings.length} warnings`);
   }
 
-  performSemanticAnalysis(sourceCode) {
-    const cleanedCode = this.removeCommentsAndStrings(sourceCode);
+  performSemanticAnalysis(sourceCode, externalNames = new Set()) {
+    const cleanedCode = this.blankAsmBodies(this.removeCommentsAndStrings(sourceCode));
     const lines = sourceCode.split(/\r?\n/);
     const cleanedLines = cleanedCode.split(/\r?\n/);
     
@@ -90,7 +119,7 @@ class SimpleNXCParser {
   const calledFunctions = new Map();
     
     // FIX: Add a set to store the names of all defined macros
-    const declaredMacros = new Set();
+    const declaredMacros = new Set(externalNames);
     
     let scopes = [new Map()];
 
@@ -354,18 +383,6 @@ class SimpleNXCParser {
       console.warn('Error checking braced-initializer accesses:', err.message);
     }
     
-    scopes.forEach(scope => {
-      for (const [varName, info] of scope) {
-        if (!info.used && 
-            !varName.match(/^[A-Z_][A-Z0-9_]*$/) &&
-            !varName.startsWith('g') &&
-            varName !== 'main' &&
-            varName.length > 1) {
-          // this.addWarning(`Variable '${varName}' declared but never used`, info.line, info.column, varName.length);
-        }
-      }
-    });
-    
     // Reintroduce helpful warnings: if an undefined function closely matches a built-in name,
     // warn with suggestion. Otherwise, do not warn to avoid noisy diagnostics.
     function levenshtein(a, b) {
@@ -504,6 +521,11 @@ class SimpleNXCParser {
     return result;
   }
 
+  // The bodies of asm { } blocks are NBC instructions, not NXC names; the lines are kept
+  blankAsmBodies(cleanedCode) {
+    return cleanedCode.replace(/\basm\s*\{[^}]*\}/g, block => block.replace(/[^\n]/g, ' '));
+  }
+
   loadBuiltInFunctions() {
     const builtInFunctions = new Set();
     
@@ -575,7 +597,30 @@ class SimpleNXCParser {
       'OUT_REGMODE_IDLE', 'OUT_REGMODE_SPEED', 'OUT_REGMODE_SYNC',
       'OUT_RUNSTATE_IDLE', 'OUT_RUNSTATE_RAMPUP', 'OUT_RUNSTATE_RUNNING', 'OUT_RUNSTATE_RAMPDOWN'
     ]);
-    return constants.has(word);
+    return constants.has(word) || this.loadBuiltInConstants().has(word);
+  }
+
+  // Expanded macros often resolve to API constants, so use the full list
+  loadBuiltInConstants() {
+    if (this.builtInConstants) return this.builtInConstants;
+    this.builtInConstants = new Set();
+
+    try {
+      const fs = require('fs');
+      const path = require('path');
+
+      const constantsPath = path.join(__dirname, '../../utils/nxc_constants.txt');
+      if (fs.existsSync(constantsPath)) {
+        fs.readFileSync(constantsPath, 'utf8').split('\n')
+          .map(line => line.trim())
+          .filter(line => line && !line.startsWith('//'))
+          .forEach(name => this.builtInConstants.add(name));
+      }
+    } catch (error) {
+      console.warn('Could not load NXC constants file:', error.message);
+    }
+
+    return this.builtInConstants;
   }
 
   checkLinePatterns(line, lineIndex) {
@@ -589,15 +634,6 @@ class SimpleNXCParser {
       this.addWarning('Missing semicolon', lineIndex, line.length - 1);
     }
     
-    if (line.length > 120) {
-      this.addWarning('Line too long (>120 characters)', lineIndex, 120);
-    }
-    
-    const leadingWhitespace = line.match(/^[\t ]+/);
-    if (leadingWhitespace && leadingWhitespace[0].includes('\t') && leadingWhitespace[0].includes(' ')) {
-      this.addWarning('Mixed tabs and spaces for indentation', lineIndex, 0);
-    }
-    
     this.checkUnterminatedStrings(line, lineIndex);
     
     const charMatches = trimmed.match(/'/g);
@@ -0,0 +1,85 @@
+// Validates how tasks are started and stopped: every task named by start, stop,
+// priority, StartTask, StopTask, ExitTo, Precedes or Follows must exist, every task
+// should be reachable from main, and main itself has to be a task.
+class TaskChecker {
+  analyze(ast, graph, options = {}) {
+    this.errors = [];
+    this.warnings = [];
+
+    try {
+      this.checkMain(ast);
+      // A recovered AST lacks the tasks and start statements lost to syntax errors
+      this.checkReferences(graph, Boolean(options.unresolvedIncludes), Boolean(options.partial));
+      if (!options.partial) this.checkUnstartedTasks(graph);
+    } catch (error) {
+      console.error('Error during task checking:', error);
+    }
+
+    return { errors: this.errors, warnings: this.warnings };
+  }
+
+  checkMain(ast) {
+    (ast && ast.body ? ast.body : []).forEach(item => {
+      if (item.ctorName !== 'FunctionDefinition' || item.name !== 'main') return;
+      const kind = item.returnType === 'sub' ? 'sub' : 'function';
+      this.addError(`'main' must be declared as a task, not a ${kind}: use 'task main()'`, item.nameRange || item);
+    });
+  }
+
+  checkReferences(graph, unresolvedIncludes, partial) {
+    [...graph.tasks.values(), ...graph.functions.values()]
+      .filter(definition => !definition.included)
+      .forEach(definition => {
+        definition.references.forEach(({ task, node, kind }) => {
+          if (graph.tasks.has(task) || (partial && !graph.functions.has(task))) return;
+          const usage = ['start', 'stop', 'priority'].includes(kind) ? `'${kind}'` : kind;
+          if (graph.functions.has(task)) {
+            this.addError(`'${task}' is a sub, not a task, and cannot be used with ${usage}`, node);
+          } else if (kind === 'ExitTo') {
+            this.addError(`ExitTo target '${task}' is not a defined task`, node);
+          } else if (!unresolvedIncludes) {
+            this.addError(`Task '${task}' is not defined`, node);
+          }
+        });
+      });
+  }
+
+  // Only meaningful for programs: headers have no main
+  checkUnstartedTasks(graph) {
+    if (!graph.tasks.has('main')) return;
+
+    const running = graph.reachableTasks();
+    graph.tasks.forEach((definition, name) => {
+      if (definition.included || running.includes(name)) return;
+      const startedSomewhere = [...graph.tasks.keys()].some(other => graph.startsOf(other).some(start => start.task === name));
+      const warning = this.createDiagnostic(startedSomewhere
+        ? `Task '${name}' is only started by tasks that never run`
+        : `Task '${name}' is never started`, definition.node.nameRange || definition.node, 'warning');
+      this.warnings.push({ ...warning, unnecessary: true });
+    });
+  }
+
+  addError(message, node) {
+    this.errors.push(this.createDiagnostic(message, node, 'error'));
+  }
+
+  addWarning(message, node) {
+    this.warnings.push(this.createDiagnostic(message, node, 'warning'));
+  }
+
+  createDiagnostic(message, node, severity) {
+    return {
+      message,
+      line: node.line || 0,
+      column: node.column || 0,
+      severity,
+      source: 'task-checker',
+      range: node.endLine === undefined ? undefined : {
+        start: { line: node.line, character: node.column },
+        end: { line: node.endLine, character: node.endColumn }
+      }
+    };
+  }
+}
+
+module.exports = { TaskChecker };
@@ -0,0 +1,208 @@
+// Which tasks start and stop which, and which subs each one calls. `start`, StartTask
+// and ExitTo start a task right away; Precedes and Follows schedule it for when the
+// current task ends, so the two never run side by side.
+class TaskGraph {
+  constructor() {
+    this.tasks = new Map(); // name -> definition
+    this.functions = new Map(); // name -> definition
+  }
+
+  // Definitions are { name, node, included, isTask, starts: [{ task, node, kind, sequential }], stops: [{ task, node }],
+  // calls: [{ name, node }], references: [{ task, node, kind }] } where `stops` uses null for StopAllTasks
+  build(ast, includedPrograms = []) {
+    this.tasks.clear();
+    this.functions.clear();
+
+    const follows = [];
+    const programs = [...includedPrograms.map(program => ({ program, included: true })), { program: ast, included: false }];
+    programs.forEach(({ program, included }) => {
+      (program && program.body ? program.body : []).forEach(item => {
+        if (item.ctorName !== 'TaskDefinition' && item.ctorName !== 'FunctionDefinition') return;
+        const definition = {
+          name: item.name,
+          node: item,
+          included,
+          isTask: item.ctorName === 'TaskDefinition',
+          starts: [],
+          stops: [],
+          calls: [],
+          references: []
+        };
+        this.collect(item.body, definition, follows);
+        (definition.isTask ? this.tasks : this.functions).set(item.name, definition);
+      });
+    });
+
+    // Follows(a) inside task t means a starts t when it ends
+    follows.forEach(({ from, task, node, kind }) => {
+      const definition = this.tasks.get(from) || this.functions.get(from);
+      if (definition) definition.starts.push({ task, node, kind, sequential: true });
+    });
+    return this;
+  }
+
+  collect(node, definition, follows) {
+    if (!node || typeof node !== 'object') return;
+
+    const reference = (task, referenceNode, kind) => definition.references.push({ task, node: referenceNode, kind });
+
+    if (node.ctorName === 'StartStatement' || node.ctorName === 'StopStatement' || node.ctorName === 'PriorityStatement') {
+      const kind = node.ctorName.replace('Statement', '').toLowerCase();
+      reference(node.task, node.taskRange || node, kind);
+      if (kind === 'start') definition.starts.push({ task: node.task, node, kind, sequential: false });
+      if (kind === 'stop') definition.stops.push({ task: node.task, node });
+    } else if (node.ctorName === 'CallExpression' && node.callee && node.callee.ctorName === 'Identifier') {
+      const name = node.callee.name;
+      const taskArguments = (node.arguments || []).filter(argument => argument.ctorName === 'Identifier');
+      if (name === 'StartTask' || name === 'ExitTo' || name === 'StopTask') {
+        taskArguments.slice(0, 1).forEach(argument => {
+          reference(argument.name, argument, name);
+          if (name === 'StopTask') {
+            definition.stops.push({ task: argument.name, node: argument });
+          } else {
+            definition.starts.push({ task: argument.name, node: argument, kind: name, sequential: name === 'ExitTo' });
+          }
+        });
+      } else if (name === 'Precedes') {
+        taskArguments.forEach(argument => {
+          reference(argument.name, argument, name);
+          definition.starts.push({ task: argument.name, node: argument, kind: name, sequential: true });
+        });
+      } else if (name === 'Follows') {
+        taskArguments.forEach(argument => {
+          reference(argument.name, argument, name);
+          follows.push({ from: argument.name, task: definition.name, node: argument, kind: name });
+        });
+      } else if (name === 'StopAllTasks') {
+        definition.stops.push({ task: null, node });
+      } else {
+        definition.calls.push({ name, node });
+      }
+    }
+
+    (node.children || []).forEach(child => this.collect(child, definition, follows));
+  }
+
+  // Subs reachable from a task or sub through calls, including itself
+  functionsRunBy(name) {
+    const visited = new Set();
+    const visit = current => {
+      if (visited.has(current)) return;
+      const definition = this.tasks.get(current) || this.functions.get(current);
+      if (!definition) return;
+      visited.add(current);
+      definition.calls.forEach(call => visit(call.name));
+    };
+    visit(name);
+    return [...visited];
+  }
+
+  // Starts made by a task, directly or from the subs it calls
+  startsOf(name) {
+    return this.functionsRunBy(name).flatMap(current => {
+      const definition = this.tasks.get(current) || this.functions.get(current);
+      return definition.starts.map(start => ({ ...start, from: name, via: current }));
+    });
+  }
+
+  // Tasks that can run once `root` starts, in discovery order
+  reachableTasks(root = 'main') {
+    const reached = [];
+    const visit = name => {
+      if (reached.includes(name) || !this.tasks.has(name)) return;
+      reached.push(name);
+      this.startsOf(name).forEach(start => visit(start.task));
+    };
+    visit(root);
+    return reached;
+  }
+
+  // Whether `task` can only be started once `via` is running
+  startedOnlyThrough(task, via, root = 'main') {
+    if (task === via || root === via) return true;
+    const reached = new Set();
+    const visit = name => {
+      if (reached.has(name) || name === via || !this.tasks.has(name)) return;
+      reached.add(name);
+      this.startsOf(name).forEach(start => visit(start.task));
+    };
+    visit(root);
+    return !reached.has(task);
+  }
+
+  // Every edge that starts `task`, from any running task
+  startersOf(task, running = this.reachableTasks()) {
+    return running.flatMap(name => this.startsOf(name).filter(start => start.task === task));
+  }
+
+  // Two running tasks overlap unless one is only ever scheduled for after the other ends
+  runConcurrently(a, b, running = this.reachableTasks()) {
+    if (a === b || !running.includes(a) || !running.includes(b)) return false;
+    const onlyAfter = (later, earlier) => {
+      const starters = this.startersOf(later, running);
+      return starters.length > 0 && starters.every(start => start.sequential && start.from === earlier);
+    };
+    return !onlyAfter(a, b) && !onlyAfter(b, a);
+  }
+
+  // Start edges between tasks, with the subs they go through, for rendering
+  edges() {
+    const edges = [];
+    this.tasks.forEach((definition, name) => {
+      this.startsOf(name).forEach(start => {
+        const kind = !start.sequential ? 'start' : start.kind === 'ExitTo' ? 'exit to' : 'after';
+        edges.push({ from: name, to: start.task, kind, via: start.via });
+      });
+      this.functionsRunBy(name).forEach(current => {
+        const runner = this.tasks.get(current) || this.functions.get(current);
+        runner.stops.forEach(stop => edges.push({ from: name, to: stop.task, kind: 'stop', via: current }));
+      });
+    });
+    return edges.filter((edge, index) => edges.findIndex(other =>
+      other.from === edge.from && other.to === edge.to && other.kind === edge.kind) === index);
+  }
+
+  toMermaid() {
+    const id = name => (name === null ? 'all_tasks' : `task_${name}`);
+    const lines = ['flowchart LR'];
+    const running = this.reachableTasks();
+    this.tasks.forEach((definition, name) => {
+      lines.push(`  ${id(name)}${running.includes(name) ? `["${name}"]` : `(["${name} (never started)"])`}`);
+    });
+    const edges = this.edges();
+    if (edges.some(edge => edge.to === null)) lines.push(`  ${id(null)}{{"all tasks"}}`);
+    edges.forEach(edge => {
+      const label = edge.kind === 'start' ? '' : `|${edge.kind}|`;
+      lines.push(`  ${id(edge.from)} ${edge.kind === 'start' ? '-->' : '-.->'}${label} ${id(edge.to)}`);
+    });
+    return lines.join('\n');
+  }
+
+  toDot() {
+    const id = name => `"${name === null ? 'all tasks' : name}"`;
+    const lines = ['digraph tasks {', '  rankdir=LR;', '  node [shape=box];'];
+    const running = this.reachableTasks();
+    this.tasks.forEach((definition, name) => {
+      lines.push(`  ${id(name)}${running.includes(name) ? '' : ' [style=dashed, label="' + name + ' (never started)"]'};`);
+    });
+    this.edges().forEach(edge => {
+      const style = edge.kind === 'start' ? '' : ` [style=dashed, label="${edge.kind}"${edge.kind === 'stop' ? ', color=red' : ''}]`;
+      lines.push(`  ${id(edge.from)} -> ${id(edge.to)}${style};`);
+    });
+    lines.push('}');
+    return lines.join('\n');
+  }
+
+  concurrentPairs(root = 'main') {
+    const running = this.reachableTasks(root);
+    const pairs = [];
+    running.forEach((a, i) => {
+      running.slice(i + 1).forEach(b => {
+        if (this.runConcurrently(a, b, running)) pairs.push([a, b]);
+      });
+    });
+    return pairs;
+  }
+}
+
+module.exports = { TaskGraph };
@@ -0,0 +1,532 @@
+const fs = require('fs');
+const path = require('path');
+const { ApiSignatures } = require('./api-signatures');
+const { ApiDocs } = require('./api-docs');
+
+// Size in bytes and signedness of the NXC integer types
+const INTEGER_TYPES = {
+  'bool': { size: 1, signed: false },
+  'byte': { size: 1, signed: false },
+  'unsigned char': { size: 1, signed: false },
+  'char': { size: 1, signed: true },
+  'short': { size: 2, signed: true },
+  'unsigned short': { size: 2, signed: false },
+  'int': { size: 2, signed: true },
+  'unsigned int': { size: 2, signed: false },
+  'long': { size: 4, signed: true },
+  'unsigned long': { size: 4, signed: false }
+};
+
+const UNKNOWN = { name: 'unknown', dims: 0 };
+
+// Infers expression types and checks assignments, initializers and returns.
+// Types are { name, dims, constant? }; 'unknown' and 'variant' are never reported.
+class TypeChecker {
+  constructor() {
+    this.builtInConstants = new Set();
+    this.apiSignatures = new ApiSignatures();
+    // Return types of API functions; anything missing is not checked
+    this.returnTypes = new ApiDocs().returnTypes();
+    this.loadConstants();
+  }
+
+  loadConstants() {
+    try {
+      const constantsPath = path.join(__dirname, '../../utils/nxc_constants.txt');
+      fs.readFileSync(constantsPath, 'utf8').split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('//'))
+        .forEach(constant => this.builtInConstants.add(constant));
+    } catch (error) {
+      console.warn('Could not load NXC constants for type checking:', error.message);
+    }
+  }
+
+  check(ast, options = {}) {
+    this.errors = [];
+    this.warnings = [];
+    this.structs = new Map(); // name -> Map(field -> type)
+    this.typedefs = new Map();
+    this.functions = new Map(); // name -> { returnType, parameters }
+    this.scopes = [new Map()];
+    this.currentFunction = null;
+    // Nodes whose inferred type the caller wants back, e.g. to declare a variable for a quick fix
+    this.inspected = new Map((options.inspect || []).map(node => [node, UNKNOWN]));
+
+    try {
+      (options.includedPrograms || []).forEach(program => this.declareTopLevel(program));
+      this.declareTopLevel(ast);
+      (ast && ast.body ? ast.body : []).forEach(item => this.checkTopLevel(item));
+    } catch (error) {
+      console.error('Error during type checking:', error);
+    }
+
+    return { errors: this.errors, warnings: this.warnings, types: this.inspected };
+  }
+
+  declareTopLevel(program) {
+    (program && program.body ? program.body : []).forEach(item => {
+      switch (item.ctorName) {
+        case 'StructDefinition': {
+          const fields = new Map();
+          (item.fields || []).forEach(field => {
+            (field.declarators || []).forEach(declarator => {
+              fields.set(declarator.name, this.typeOf(field.type, declarator.dimensions));
+            });
+          });
+          if (item.name) this.structs.set(item.name, fields);
+          this.declareAll(item, item.name);
+          break;
+        }
+        case 'EnumDeclaration':
+          (item.members || []).forEach(member => this.declare(member.name, { name: 'int', dims: 0, constant: true }));
+          if (item.name) this.typedefs.set(item.name, 'int');
+          this.declareAll(item, 'int');
+          break;
+        case 'TypedefDeclaration':
+          this.typedefs.set(item.name, item.type);
+          break;
+        case 'Declaration':
+          this.declareAll(item, item.type);
+          break;
+        case 'FunctionDefinition':
+        case 'FunctionPrototype':
+          this.functions.set(item.name, {
+            returnType: item.returnType === 'sub' ? 'void' : item.returnType,
+            parameters: item.parameters || []
+          });
+          break;
+      }
+    });
+  }
+
+  checkTopLevel(item) {
+    if (item.ctorName === 'Declaration') {
+      this.checkInitializers(item);
+    } else if (item.ctorName === 'FunctionDefinition' || item.ctorName === 'TaskDefinition') {
+      this.currentFunction = {
+        name: item.name,
+        isTask: item.ctorName === 'TaskDefinition',
+        returnType: item.ctorName === 'TaskDefinition' ? 'void' : this.functions.get(item.name).returnType
+      };
+      this.enterScope();
+      (item.parameters || []).forEach(parameter => {
+        if (parameter.name) this.declare(parameter.name, this.typeOf(parameter.type, parameter.dimensions));
+      });
+      this.checkStatement(item.body);
+      this.exitScope();
+      this.currentFunction = null;
+    }
+  }
+
+  checkStatement(node) {
+    if (!node || typeof node !== 'object') return;
+
+    switch (node.ctorName) {
+      case 'CompoundStatement':
+        this.enterScope();
+        (node.statements || []).forEach(statement => this.checkStatement(statement));
+        this.exitScope();
+        return;
+      case 'ForStatement':
+        this.enterScope();
+        if (node.init && node.init.ctorName === 'Declaration') {
+          this.checkStatement(node.init);
+        } else if (node.init) {
+          this.infer(node.init);
+        }
+        if (node.test) this.infer(node.test);
+        if (node.update) this.infer(node.update);
+        this.checkStatement(node.body);
+        this.exitScope();
+        return;
+      case 'Declaration':
+        this.checkInitializers(node);
+        this.declareAll(node, node.type);
+        return;
+      case 'ReturnStatement':
+        this.checkReturn(node);
+        return;
+      case 'ExpressionStatement':
+        this.infer(node.expression);
+        return;
+      case 'IfStatement':
+      case 'WhileStatement':
+      case 'UntilStatement':
+      case 'DoWhileStatement':
+        this.infer(node.test);
+        this.checkStatement(node.consequent || node.body);
+        this.checkStatement(node.alternate);
+        return;
+      case 'SwitchStatement':
+        this.infer(node.discriminant);
+        this.checkStatement(node.body);
+        return;
+      case 'RepeatStatement':
+        this.infer(node.count);
+        this.checkStatement(node.body);
+        return;
+      default:
+        (node.children || []).forEach(child => this.checkStatement(child));
+    }
+  }
+
+  checkInitializers(node) {
+    (node.declarators || []).forEach(declarator => {
+      if (declarator.init) this.checkInitializer(this.typeOf(node.type, declarator.dimensions), declarator.init, declarator);
+    });
+  }
+
+  checkInitializer(target, init, declarator) {
+    if (init.ctorName === 'InitializerList') {
+      // Arrays take one element per entry; struct initializers are not checked field by field
+      if (target.dims > 0) {
+        const element = { ...target, dims: target.dims - 1 };
+        (init.elements || []).forEach(value => this.checkInitializer(element, value, declarator));
+      }
+      return;
+    }
+    if (init.ctorName === 'StringLiteral' && target.dims === 1 && ['byte', 'char', 'unsigned char'].includes(target.name)) {
+      return;
+    }
+    this.checkAssignable(target, this.infer(init), init, `initialize '${declarator.name}'`);
+  }
+
+  checkReturn(node) {
+    const fn = this.currentFunction;
+    if (!fn) return;
+
+    if (fn.returnType === 'void') {
+      if (node.argument) {
+        this.addError(fn.isTask ? `Task '${fn.name}' cannot return a value` : `Void function '${fn.name}' cannot return a value`, node.argument);
+        this.infer(node.argument);
+      }
+      return;
+    }
+    if (!node.argument) {
+      this.addError(`Function '${fn.name}' must return a ${fn.returnType} value`, node);
+      return;
+    }
+    this.checkAssignable(this.typeOf(fn.returnType), this.infer(node.argument), node.argument, `return from '${fn.name}'`);
+  }
+
+  // Reports errors for incompatible kinds and warnings for lossy numeric conversions.
+  // Arguments skip the integer narrowing warning: the API takes bytes where programs pass ints.
+  checkAssignable(target, source, node, context, options = {}) {
+    if (this.isUnknown(target) || this.isUnknown(source)) return;
+
+    const targetName = this.describe(target);
+    const sourceName = this.describe(source);
+
+    if (target.dims !== source.dims) {
+      this.addError(`Cannot ${context}: ${sourceName} is not compatible with ${targetName}`, node);
+      return;
+    }
+    if (target.name === 'mutex' && !options.argument) {
+      this.addError(`Cannot ${context}: a mutex cannot be assigned`, node);
+      return;
+    }
+    if (this.isString(target) !== this.isString(source)) {
+      this.addError(`Cannot ${context}: ${sourceName} is not compatible with ${targetName}`, node);
+      return;
+    }
+    if (this.isStruct(target) || this.isStruct(source) || target.name === 'mutex' || source.name === 'mutex') {
+      if (target.name !== source.name) {
+        this.addError(`Cannot ${context}: ${sourceName} is not compatible with ${targetName}`, node);
+      }
+      return;
+    }
+
+    if (!this.isNumeric(target) || !this.isNumeric(source) || target.name === 'bool') return;
+
+    if (source.name === 'float' && target.name !== 'float') {
+      this.addWarning(`Implicit conversion from float to ${targetName} truncates the fractional part`, node);
+    } else if (!source.constant && !options.argument && INTEGER_TYPES[source.name] && INTEGER_TYPES[target.name] &&
+      INTEGER_TYPES[source.name].size > INTEGER_TYPES[target.name].size) {
+      this.addWarning(`Implicit conversion from ${sourceName} to ${targetName} may lose data`, node);
+    }
+  }
+
+  infer(node) {
+    const type = this.inferNode(node);
+    if (this.inspected.has(node)) this.inspected.set(node, type);
+    return type;
+  }
+
+  inferNode(node) {
+    if (!node || typeof node !== 'object') return UNKNOWN;
+
+    switch (node.ctorName) {
+      case 'NumberLiteral':
+        return { name: node.isFloat ? 'float' : (Math.abs(node.value) > 32767 ? 'long' : 'int'), dims: 0, constant: true };
+      case 'CharLiteral':
+        return { name: 'char', dims: 0, constant: true };
+      case 'StringLiteral':
+        return { name: 'string', dims: 0, constant: true };
+      case 'BooleanLiteral':
+        return { name: 'bool', dims: 0, constant: true };
+      case 'Identifier':
+        return this.lookup(node.name);
+      case 'SequenceExpression':
+        return (node.expressions || node.children || []).map(expression => this.infer(expression)).pop() || UNKNOWN;
+      case 'AssignmentExpression':
+        return this.inferAssignment(node);
+      case 'ConditionalExpression': {
+        this.infer(node.test);
+        const consequent = this.infer(node.consequent);
+        const alternate = this.infer(node.alternate);
+        return this.isNumeric(consequent) && this.isNumeric(alternate) ? this.commonType(consequent, alternate) : consequent;
+      }
+      case 'BinaryExpression':
+        return this.inferBinary(node);
+      case 'UnaryExpression':
+        return this.inferUnary(node);
+      case 'UpdateExpression': {
+        const type = this.infer(node.argument);
+        this.checkArithmeticOperand(type, node.operator, node.argument);
+        return { ...type, constant: false };
+      }
+      case 'CastExpression':
+        this.infer(node.argument);
+        return this.typeOf(node.type);
+      case 'IndexExpression': {
+        const object = this.infer(node.object);
+        this.infer(node.index);
+        if (object.dims > 0) return { name: object.name, dims: object.dims - 1 };
+        return this.isString(object) ? { name: 'byte', dims: 0 } : UNKNOWN;
+      }
+      case 'MemberExpression': {
+        const object = this.infer(node.object);
+        const fields = this.structs.get(object.name);
+        return fields && object.dims === 0 && fields.has(node.property) ? fields.get(node.property) : UNKNOWN;
+      }
+      case 'CallExpression':
+        return this.inferCall(node);
+      default:
+        (node.children || []).forEach(child => this.infer(child));
+        return UNKNOWN;
+    }
+  }
+
+  inferAssignment(node) {
+    const target = this.infer(node.left);
+    const value = this.infer(node.right);
+
+    if (node.operator === '=') {
+      this.checkAssignable(target, value, node.right, `assign to '${this.nameOf(node.left)}'`);
+      return target;
+    }
+
+    // Compound assignment behaves like the binary operator followed by '='
+    const operator = node.operator.slice(0, -1);
+    const result = this.checkOperands(operator, target, value, node);
+    if (result && !this.isUnknown(result)) {
+      this.checkAssignable(target, { ...result, constant: value.constant && result.name === value.name }, node.right, `assign to '${this.nameOf(node.left)}'`);
+    }
+    return target;
+  }
+
+  inferBinary(node) {
+    const left = this.infer(node.left);
+    const right = this.infer(node.right);
+    const result = this.checkOperands(node.operator, left, right, node);
+    return result || UNKNOWN;
+  }
+
+  // Returns the result type, or null after reporting an error
+  checkOperands(operator, left, right, node) {
+    const logical = ['&&', '||'].includes(operator);
+    const comparison = ['==', '!=', '<', '>', '<=', '>='].includes(operator);
+
+    if (logical) return { name: 'bool', dims: 0 };
+
+    if (left.name === 'mutex' || right.name === 'mutex') {
+      this.addError(`Operator '${operator}' cannot be applied to a mutex`, node);
+      return null;
+    }
+    if (this.isUnknown(left) || this.isUnknown(right)) {
+      return comparison ? { name: 'bool', dims: 0 } : UNKNOWN;
+    }
+
+    const leftString = this.isString(left);
+    const rightString = this.isString(right);
+    if (leftString || rightString) {
+      if (leftString !== rightString) {
+        this.addError(`Cannot mix ${this.describe(left)} and ${this.describe(right)} with '${operator}'`, node);
+        return null;
+      }
+      if (comparison) return { name: 'bool', dims: 0 };
+      if (operator === '+') return { name: 'string', dims: 0 };
+      this.addError(`Operator '${operator}' cannot be applied to strings`, node);
+      return null;
+    }
+
+    if (this.isStruct(left) || this.isStruct(right) || left.dims > 0 || right.dims > 0) {
+      if (comparison && left.name === right.name && left.dims === right.dims) return { name: 'bool', dims: 0 };
+      this.addError(`Operator '${operator}' cannot be applied to ${this.describe(left)} and ${this.describe(right)}`, node);
+      return null;
+    }
+
+    if (comparison) return { name: 'bool', dims: 0 };
+    return this.commonType(left, right);
+  }
+
+  inferUnary(node) {
+    const type = this.infer(node.argument);
+    if (node.operator === '!') return { name: 'bool', dims: 0 };
+    this.checkArithmeticOperand(type, node.operator, node.argument);
+    return type;
+  }
+
+  checkArithmeticOperand(type, operator, node) {
+    if (type.name === 'mutex') {
+      this.addError(`Operator '${operator}' cannot be applied to a mutex`, node);
+    } else if (this.isString(type)) {
+      this.addError(`Operator '${operator}' cannot be applied to a string`, node);
+    }
+  }
+
+  inferCall(node) {
+    const name = node.callee && node.callee.ctorName === 'Identifier' ? node.callee.name : null;
+    const args = (node.arguments || []).map(argument => this.infer(argument));
+    if (!name || this.lookupVariable(name)) return UNKNOWN;
+
+    const parameterAt = this.parametersOf(name);
+    if (parameterAt) {
+      args.forEach((type, index) => {
+        const parameter = parameterAt(index);
+        if (!parameter) return;
+        this.checkAssignable(this.typeOf(parameter.type, parameter.dimensions), type, node.arguments[index],
+          `pass argument ${index + 1} to '${name}'`, { argument: true });
+      });
+    }
+
+    if (this.functions.has(name)) {
+      return this.typeOf(this.functions.get(name).returnType);
+    }
+    if (this.returnTypes.has(name)) {
+      return this.typeOf(this.returnTypes.get(name));
+    }
+    return UNKNOWN;
+  }
+
+  // User functions take precedence over API functions of the same name
+  parametersOf(name) {
+    if (this.functions.has(name)) {
+      const { parameters } = this.functions.get(name);
+      return index => parameters[index];
+    }
+    const signature = this.apiSignatures.get(name);
+    return signature ? index => ApiSignatures.parameterAt(signature, index) : null;
+  }
+
+  // Usual arithmetic conversions: float wins, then the wider integer; constants adopt the other side
+  commonType(left, right) {
+    if (left.constant !== right.constant) {
+      const variable = left.constant ? right : left;
+      const constant = left.constant ? left : right;
+      return constant.name === 'float' ? { name: 'float', dims: 0 } : { ...variable, constant: false };
+    }
+    if (left.name === 'float' || right.name === 'float') return { name: 'float', dims: 0, constant: left.constant && right.constant };
+
+    const leftInfo = INTEGER_TYPES[left.name];
+    const rightInfo = INTEGER_TYPES[right.name];
+    if (!leftInfo || !rightInfo) return UNKNOWN;
+    const wider = leftInfo.size >= rightInfo.size ? left : right;
+    return { name: wider.name === 'bool' ? 'int' : wider.name, dims: 0, constant: left.constant && right.constant };
+  }
+
+  typeOf(typeName, dimensions = []) {
+    let name = typeName || 'unknown';
+    const seen = new Set();
+    while (this.typedefs && this.typedefs.has(name) && !seen.has(name)) {
+      seen.add(name);
+      name = this.typedefs.get(name);
+    }
+    return { name, dims: Array.isArray(dimensions) ? dimensions.length : (dimensions || 0) };
+  }
+
+  declareAll(node, typeName) {
+    (node.declarators || []).forEach(declarator => {
+      this.declare(declarator.name, this.typeOf(typeName, declarator.dimensions));
+    });
+  }
+
+  declare(name, type) {
+    if (name) this.scopes[this.scopes.length - 1].set(name, type);
+  }
+
+  lookupVariable(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+    }
+    return null;
+  }
+
+  lookup(name) {
+    const variable = this.lookupVariable(name);
+    if (variable) return variable;
+    if (this.builtInConstants.has(name)) return { name: 'int', dims: 0, constant: true };
+    return UNKNOWN;
+  }
+
+  enterScope() {
+    this.scopes.push(new Map());
+  }
+
+  exitScope() {
+    this.scopes.pop();
+  }
+
+  isUnknown(type) {
+    return !type || type.name === 'unknown' || type.name === 'variant';
+  }
+
+  isNumeric(type) {
+    return type.dims === 0 && (type.name === 'float' || Boolean(INTEGER_TYPES[type.name]));
+  }
+
+  isString(type) {
+    return type.name === 'string' && type.dims === 0;
+  }
+
+  isStruct(type) {
+    return this.structs.has(type.name);
+  }
+
+  describe(type) {
+    return `${type.name}${'[]'.repeat(type.dims)}`;
+  }
+
+  nameOf(node) {
+    if (!node) return '?';
+    if (node.ctorName === 'Identifier') return node.name;
+    if (node.ctorName === 'MemberExpression') return `${this.nameOf(node.object)}.${node.property}`;
+    if (node.ctorName === 'IndexExpression') return `${this.nameOf(node.object)}[]`;
+    return 'expression';
+  }
+
+  addError(message, node) {
+    this.errors.push(this.createDiagnostic(message, node, 'error'));
+  }
+
+  addWarning(message, node) {
+    this.warnings.push(this.createDiagnostic(message, node, 'warning'));
+  }
+
+  createDiagnostic(message, node, severity) {
+    return {
+      message,
+      line: node.line || 0,
+      column: node.column || 0,
+      severity,
+      source: 'type-checker',
+      range: node.endLine === undefined ? undefined : {
+        start: { line: node.line, character: node.column },
+        end: { line: node.endLine, character: node.endColumn }
+      }
+    };
+  }
+}
+
+module.exports = { TypeChecker };
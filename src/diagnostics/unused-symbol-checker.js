@@ -0,0 +1,168 @@
+// Finds locals, parameters, globals, subs and #define macros that are never used.
+// Names are resolved scope by scope, so a local that shadows a global does not hide
+// an unused global. A variable that is only ever assigned with `=` counts as unused,
+// except a reference parameter, whose caller reads the value.
+// Globals, subs and macros are only reported in programs with a `main` task: in a
+// header they are meant for the files that include it.
+class UnusedSymbolChecker {
+  analyze(ast, graph) {
+    this.warnings = [];
+    this.symbols = [];
+    this.scopes = [new Map()];
+
+    try {
+      const body = ast && ast.body ? ast.body : [];
+      const isProgram = body.some(item => item.ctorName === 'TaskDefinition' && item.name === 'main');
+      body.forEach(item => {
+        if (item.ctorName === 'TaskDefinition' || item.ctorName === 'FunctionDefinition') {
+          this.walkDefinition(item);
+        } else {
+          this.walk(item, 'global');
+        }
+      });
+
+      this.symbols.forEach(symbol => {
+        if (symbol.read || (symbol.kind === 'global' && !isProgram)) return;
+        // Setting a reference parameter is how a sub hands back its result
+        if (symbol.kind === 'parameter' && symbol.node.isReference && symbol.written) return;
+        this.report(symbol);
+      });
+      if (isProgram && graph) this.checkSubs(graph);
+    } catch (error) {
+      console.error('Error during unused symbol check:', error);
+    }
+
+    return { errors: [], warnings: this.warnings };
+  }
+
+  // Macros defined in this file that were never expanded or tested; positions are in the original source
+  checkMacros(ast, preprocessed) {
+    const body = ast && ast.body ? ast.body : [];
+    if (!body.some(item => item.ctorName === 'TaskDefinition' && item.name === 'main')) return [];
+
+    const warnings = [];
+    (preprocessed.directives || []).forEach(directive => {
+      if (directive.directive !== 'define' || !directive.active || !directive.name || preprocessed.usedMacros.has(directive.name)) return;
+      const column = directive.nameColumn === undefined ? directive.column : directive.nameColumn;
+      warnings.push(this.createDiagnostic(`Macro '${directive.name}' is defined but never used`, {
+        line: directive.line,
+        column,
+        endLine: directive.line,
+        endColumn: column + directive.name.length
+      }, 'warning'));
+    });
+    return warnings;
+  }
+
+  checkSubs(graph) {
+    const called = new Set();
+    [...graph.tasks.values(), ...graph.functions.values()].forEach(definition => {
+      definition.calls.forEach(call => {
+        if (call.name !== definition.name) called.add(call.name);
+      });
+    });
+
+    graph.functions.forEach((definition, name) => {
+      if (definition.included || called.has(name)) return;
+      const kind = definition.node.returnType === 'sub' ? 'Sub' : 'Function';
+      this.warnings.push(this.createDiagnostic(`${kind} '${name}' is never called`, definition.node.nameRange || definition.node, 'warning'));
+    });
+  }
+
+  walkDefinition(definition) {
+    this.scopes.push(new Map());
+    (definition.parameters || []).forEach(parameter => {
+      (parameter.children || []).forEach(child => this.walk(child));
+      this.declare(parameter, 'parameter', definition);
+    });
+    this.walk(definition.body, 'local');
+    this.scopes.pop();
+  }
+
+  walk(node, kind = 'local') {
+    if (!node || typeof node !== 'object') return;
+
+    switch (node.ctorName) {
+      case 'Declaration':
+      case 'StructDefinition':
+      case 'EnumDeclaration':
+        // Struct fields are not variables; enum members are constants
+        if (node.ctorName === 'EnumDeclaration') (node.members || []).forEach(member => this.walk(member.value));
+        (node.declarators || []).forEach(declarator => {
+          (declarator.children || []).forEach(child => this.walk(child));
+          this.declare(declarator, kind);
+        });
+        return;
+      case 'CompoundStatement':
+      case 'ForStatement':
+        this.scopes.push(new Map());
+        (node.children || []).forEach(child => this.walk(child));
+        this.scopes.pop();
+        return;
+      case 'AssignmentExpression':
+        if (node.operator === '=' && node.left && node.left.ctorName === 'Identifier') {
+          this.walk(node.right);
+          const symbol = this.resolve(node.left.name);
+          if (symbol) symbol.written = true;
+          return;
+        }
+        break;
+      case 'Identifier': {
+        const symbol = this.resolve(node.name);
+        if (symbol) symbol.read = true;
+        return;
+      }
+      case 'AsmStatement':
+        (node.code.match(/[A-Za-z_]\w*/g) || []).forEach(name => {
+          const symbol = this.resolve(name);
+          if (symbol) symbol.read = true;
+        });
+        return;
+      default:
+        break;
+    }
+
+    (node.children || []).forEach(child => this.walk(child));
+  }
+
+  declare(node, kind, owner = null) {
+    const symbol = { name: node.name, node, kind, owner, read: false, written: false };
+    this.scopes[this.scopes.length - 1].set(node.name, symbol);
+    this.symbols.push(symbol);
+  }
+
+  resolve(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+    }
+    return null;
+  }
+
+  report(symbol) {
+    const range = symbol.node.nameRange || symbol.node;
+    if (symbol.kind === 'parameter') {
+      this.warnings.push(this.createDiagnostic(`Parameter '${symbol.name}' of '${symbol.owner.name}' is never used`, range, 'hint'));
+      return;
+    }
+    const what = symbol.kind === 'global' ? 'Global variable' : 'Variable';
+    const how = symbol.written ? 'is assigned but never used' : 'is declared but never used';
+    this.warnings.push(this.createDiagnostic(`${what} '${symbol.name}' ${how}`, range, 'warning'));
+  }
+
+  createDiagnostic(message, node, severity) {
+    return {
+      message,
+      line: node.line || 0,
+      column: node.column || 0,
+      severity,
+      source: 'unused-symbols',
+      unnecessary: true,
+      range: node.endLine === undefined ? undefined : {
+        start: { line: node.line, character: node.column },
+        end: { line: node.endLine, character: node.endColumn }
+      }
+    };
+  }
+}
+
+module.exports = { UnusedSymbolChecker };
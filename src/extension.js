@@ -1,13 +1,30 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { DiagnosticManager } = require('./diagnostics/diagnostic-manager');
 const { NXCFormatter } = require('./formatter/nxc-formatter');
+const { NXCConfig } = require('./config/nxc-config');
+const { WorkspaceIndex } = require('./symbols/workspace-index');
+const { ReferenceFinder } = require('./symbols/reference-finder');
+const { QuickFixes } = require('./diagnostics/quick-fixes');
+const { ApiDocs } = require('./diagnostics/api-docs');
+const { HeaderImporter } = require('./diagnostics/header-importer');
+
+const SYMBOL_FILES_GLOB = '**/*.{nxc,h,nxh}';
+const FIX_ALL_KIND = vscode.CodeActionKind.SourceFixAll.append('nxc');
 
 class NXCExtension {
   constructor() {
     this.diagnosticManager = null;
     this.formatter = new NXCFormatter();
+    this.config = new NXCConfig();
+    this.workspaceIndex = new WorkspaceIndex();
+    this.referenceFinder = new ReferenceFinder(this.workspaceIndex);
+    this.quickFixes = new QuickFixes();
+    this.apiDocs = new ApiDocs();
+    this.headerImporter = new HeaderImporter();
+    this.indexedHeaderPath = '';
     this.cache = { 
       functions: new Map(), 
       constants: new Set(), 
@@ -27,6 +44,7 @@ class NXCExtension {
 
       // Build symbol index
       this.buildIndex(context);
+      this.buildWorkspaceIndex();
 
       // Register language providers
       this.registerLanguageProviders(context);
@@ -94,13 +112,67 @@ class NXCExtension {
       }
     });
 
-    context.subscriptions.push(completionProvider, hoverProvider, signatureProvider, formattingProvider, rangeFormattingProvider);
+    // Re-indent the current line when a block or statement ends and on Enter
+    const onTypeFormattingProvider = vscode.languages.registerOnTypeFormattingEditProvider('nxc', {
+      provideOnTypeFormattingEdits: (document, position, ch, options) => {
+        return this.provideOnTypeFormattingEdits(document, position, ch, options);
+      }
+    }, '}', ';', '\n');
+
+    // Go to Definition for user symbols, across #include'd files
+    const definitionProvider = vscode.languages.registerDefinitionProvider('nxc', {
+      provideDefinition: (document, position) => {
+        return this.provideDefinition(document, position);
+      }
+    });
+
+    // Workspace symbol search (Ctrl+T)
+    const workspaceSymbolProvider = vscode.languages.registerWorkspaceSymbolProvider({
+      provideWorkspaceSymbols: (query) => {
+        return this.provideWorkspaceSymbols(query);
+      }
+    });
+
+    // Find All References, scope-aware and across #include'd files
+    const referenceProvider = vscode.languages.registerReferenceProvider('nxc', {
+      provideReferences: (document, position, referenceContext) => {
+        return this.provideReferences(document, position, referenceContext);
+      }
+    });
+
+    // Rename symbol (F2)
+    const renameProvider = vscode.languages.registerRenameProvider('nxc', {
+      prepareRename: (document, position) => {
+        return this.prepareRename(document, position);
+      },
+      provideRenameEdits: (document, position, newName) => {
+        return this.provideRenameEdits(document, position, newName);
+      }
+    });
+
+    // Outline view and breadcrumbs
+    const documentSymbolProvider = vscode.languages.registerDocumentSymbolProvider('nxc', {
+      provideDocumentSymbols: (document) => {
+        return this.provideDocumentSymbols(document);
+      }
+    });
+
+    // Quick fixes for diagnostics, one at a time or for the whole file
+    const codeActionProvider = vscode.languages.registerCodeActionsProvider('nxc', {
+      provideCodeActions: (document, range, codeActionContext) => {
+        return this.provideCodeActions(document, range, codeActionContext);
+      }
+    }, { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix, FIX_ALL_KIND] });
+
+    context.subscriptions.push(completionProvider, hoverProvider, signatureProvider, formattingProvider, rangeFormattingProvider, onTypeFormattingProvider,
+      definitionProvider, workspaceSymbolProvider, referenceProvider, renameProvider, documentSymbolProvider, codeActionProvider);
   }
 
   setupDocumentEvents(context) {
     // Analyze documents when opened
     const onDidOpenTextDocument = vscode.workspace.onDidOpenTextDocument(document => {
       if (document.languageId === 'nxc') {
+        this.updateWorkspaceIndex(document);
         this.diagnosticManager.analyzeDocument(document);
       }
     });
@@ -136,7 +208,13 @@ class NXCExtension {
       }
     });
 
-    context.subscriptions.push(onDidOpenTextDocument, onDidChangeTextDocument, onDidCloseTextDocument, onWillSaveTextDocument);
+    // Rule severities and the other nxc.* settings apply to every open document
+    const onConfigurationChanged = this.config.onConfigurationChanged(() => {
+      if (this.config.apiHeaderPath !== this.indexedHeaderPath) this.buildIndex(context);
+      this.diagnosticManager.reanalyzeAll();
+    });
+
+    context.subscriptions.push(onDidOpenTextDocument, onDidChangeTextDocument, onDidCloseTextDocument, onWillSaveTextDocument, onConfigurationChanged);
 
     // Analyze already open documents
     vscode.workspace.textDocuments.forEach(document => {
@@ -154,14 +232,16 @@ class NXCExtension {
 
     // Schedule new analysis
     this.analysisTimeout = setTimeout(() => {
+      this.updateWorkspaceIndex(document);
       this.diagnosticManager.analyzeDocument(document);
     }, 500); // 500ms debounce
   }
 
   registerCommands(context) {
     // Command to rebuild index
-    const rebuildIndexCommand = vscode.commands.registerCommand('nxc.rebuildIndex', () => {
+    const rebuildIndexCommand = vscode.commands.registerCommand('nxc.rebuildIndex', async () => {
       this.buildIndex(context);
+      await this.buildWorkspaceIndex();
       vscode.window.showInformationMessage('NXC index rebuilt successfully');
     });
 
@@ -189,7 +269,67 @@ class NXCExtension {
       }
     });
 
-    context.subscriptions.push(rebuildIndexCommand, reparseCommand, clearDiagnosticsCommand, formatDocumentCommand);
+    const showTaskGraphCommand = vscode.commands.registerCommand('nxc.showTaskGraph', () => this.showTaskGraph(context));
+
+    context.subscriptions.push(rebuildIndexCommand, reparseCommand, clearDiagnosticsCommand, formatDocumentCommand, showTaskGraphCommand);
+  }
+
+  showTaskGraph(context) {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || editor.document.languageId !== 'nxc') {
+      vscode.window.showWarningMessage('Open an NXC file to show its task graph');
+      return;
+    }
+
+    const graph = this.diagnosticManager.buildTaskGraph(editor.document);
+    if (graph.tasks.size === 0) {
+      vscode.window.showInformationMessage(`${path.basename(editor.document.fileName)} declares no tasks`);
+      return;
+    }
+
+    const format = this.config.taskGraphFormat === 'dot' ? 'dot' : 'mermaid';
+    const source = format === 'dot' ? graph.toDot() : graph.toMermaid();
+    // mermaid.js ships with the extension, so the graph is drawn offline
+    const mermaidDirectory = vscode.Uri.file(path.join(context.extensionPath, 'node_modules', 'mermaid', 'dist'));
+    const panel = vscode.window.createWebviewPanel(
+      'nxcTaskGraph',
+      `Task Graph: ${path.basename(editor.document.fileName)}`,
+      vscode.ViewColumn.Beside,
+      { enableScripts: format === 'mermaid', localResourceRoots: [mermaidDirectory] }
+    );
+    const mermaidScript = panel.webview.asWebviewUri(vscode.Uri.joinPath(mermaidDirectory, 'mermaid.min.js'));
+    panel.webview.html = this.renderTaskGraph(source, format, panel.webview, mermaidScript);
+  }
+
+  // Mermaid graphs are drawn with mermaid.js; DOT is shown as text to paste into Graphviz.
+  // Only the scripts carrying this page's nonce may run.
+  renderTaskGraph(source, format, webview, mermaidScript) {
+    const escaped = source.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const diagram = format === 'mermaid'
+      ? `<pre class="mermaid">${escaped}</pre>
+  <script nonce="${nonce}" src="${mermaidScript}"></script>
+  <script nonce="${nonce}">
+    mermaid.initialize({ startOnLoad: true, theme: document.body.classList.contains('vscode-dark') ? 'dark' : 'default' });
+  </script>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">
+  <style>
+    body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+    pre.source { background: var(--vscode-textCodeBlock-background); padding: 8px; overflow: auto; }
+  </style>
+</head>
+<body>
+  ${diagram}
+  <h3>${format === 'dot' ? 'DOT' : 'Mermaid'} source</h3>
+  <pre class="source">${escaped}</pre>
+</body>
+</html>`;
   }
 
   setupFileWatchers(context) {
@@ -218,6 +358,55 @@ class NXCExtension {
         }
       }
     });
+
+    // Keep the workspace symbol index in sync with files changed outside the editor
+    const symbolWatcher = vscode.workspace.createFileSystemWatcher(SYMBOL_FILES_GLOB);
+    symbolWatcher.onDidCreate(uri => this.indexFileFromDisk(uri.fsPath));
+    symbolWatcher.onDidChange(uri => this.indexFileFromDisk(uri.fsPath));
+    symbolWatcher.onDidDelete(uri => this.workspaceIndex.removeFile(uri.fsPath));
+    context.subscriptions.push(symbolWatcher);
+
+    const lintWatcher = vscode.workspace.createFileSystemWatcher('**/.nxclintrc');
+    const reanalyze = () => this.diagnosticManager.reanalyzeAll();
+    lintWatcher.onDidCreate(reanalyze);
+    lintWatcher.onDidChange(reanalyze);
+    lintWatcher.onDidDelete(reanalyze);
+    context.subscriptions.push(lintWatcher);
+  }
+
+  async buildWorkspaceIndex() {
+    console.log('Building workspace symbol index...');
+    this.workspaceIndex.clear();
+
+    try {
+      const files = await vscode.workspace.findFiles(SYMBOL_FILES_GLOB, '**/node_modules/**');
+      files.forEach(uri => this.indexFileFromDisk(uri.fsPath));
+      vscode.workspace.textDocuments.forEach(document => this.updateWorkspaceIndex(document));
+      console.log(`Workspace index built: ${this.workspaceIndex.files.size} files, ${this.workspaceIndex.allSymbols().length} symbols`);
+    } catch (error) {
+      console.error('Error building workspace index:', error);
+    }
+  }
+
+  indexOptions() {
+    return { includePaths: this.config.includePaths, defines: this.config.defines };
+  }
+
+  // Open documents win over the copy on disk
+  indexFileFromDisk(filePath) {
+    const isOpen = vscode.workspace.textDocuments.some(document => document.uri.scheme === 'file' && document.uri.fsPath === filePath);
+    if (isOpen || !WorkspaceIndex.isIndexable(filePath)) return;
+
+    try {
+      this.workspaceIndex.indexFile(filePath, fs.readFileSync(filePath, 'utf8'), this.indexOptions());
+    } catch (error) {
+      this.workspaceIndex.removeFile(filePath);
+    }
+  }
+
+  updateWorkspaceIndex(document) {
+    if (document.uri.scheme !== 'file' || !WorkspaceIndex.isIndexable(document.uri.fsPath)) return null;
+    return this.workspaceIndex.indexFile(document.uri.fsPath, document.getText(), this.indexOptions());
   }
 
   buildIndex(context) {
@@ -226,13 +415,17 @@ class NXCExtension {
     this.cache.functions.clear();
     this.cache.constants.clear();
     this.cache.keywords.clear();
+    this.apiDocs = new ApiDocs();
     
     const utilsPath = path.join(context.extensionPath, 'utils');
     
     try {
+      // Header documentation goes in first so that the API list below picks it up
+      const headers = this.importHeaders();
       this.parseKeywords(path.join(utilsPath, 'nxc_keywords.txt'));
       this.parseConstants(path.join(utilsPath, 'nxc_constants.txt'));
       this.parseApi(path.join(utilsPath, 'nxc_api.txt'));
+      if (headers) this.addHeaderSymbols(headers);
       this.parseTemplates(path.join(utilsPath, 'NXC_templates.txt'));
       
       console.log(`Index built: ${this.cache.functions.size} functions, ${this.cache.constants.size} constants, ${this.cache.keywords.size} keywords`);
@@ -242,6 +435,38 @@ class NXCExtension {
     }
   }
 
+  // The API as declared by the installed compiler, when nxc.api.headerPath points at its headers
+  importHeaders() {
+    const headerPath = this.config.apiHeaderPath;
+    this.indexedHeaderPath = headerPath;
+    if (!headerPath) return null;
+
+    const folders = vscode.workspace.workspaceFolders || [];
+    const directory = path.isAbsolute(headerPath) || folders.length === 0 ? headerPath : path.join(folders[0].uri.fsPath, headerPath);
+    if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+      vscode.window.showWarningMessage(`NXC header directory not found: ${directory}`);
+      return null;
+    }
+
+    const headers = this.headerImporter.importDirectory(directory);
+    headers.functions.forEach((entry, name) => this.apiDocs.addFunction(name, { ...entry.doc, returns: entry.returns }));
+    headers.constants.forEach((entry, name) => this.apiDocs.addConstant(name, entry));
+    console.log(`Imported ${headers.functions.size} functions and ${headers.constants.size} constants from ${headers.files.length} headers in ${directory}`);
+    return headers;
+  }
+
+  // Prototypes replace the signatures of utils/nxc_api.txt; macros only add functions it lacks,
+  // since their parameter names (_port, _pwr) say less
+  addHeaderSymbols(headers) {
+    headers.functions.forEach((entry, name) => {
+      if (this.cache.keywords.has(name) || this.cache.types.has(name)) return;
+      if (entry.isMacro && this.cache.functions.has(name)) return;
+      const signature = `${name}(${entry.parameters.join(', ')})`;
+      this.cache.functions.set(name, this.functionEntry(name, entry.parameters, entry.returns ? `${entry.returns} ${signature}` : signature));
+    });
+    headers.constants.forEach((entry, name) => this.cache.constants.add(name));
+  }
+
   parseKeywords(filePath) {
     if (!fs.existsSync(filePath)) return;
     
@@ -292,20 +517,7 @@ class NXCExtension {
         if (this.cache.keywords.has(name) || this.cache.types.has(name)) return;
         
         const paramList = params.length ? params.split(',').map(p => p.trim()) : [];
-        const paramNames = paramList.map(param => {
-          const cleaned = param.replace(/=.*$/, '').replace(/\[.*\]/, '').trim();
-          const parts = cleaned.split(/\s+/);
-          return parts[parts.length - 1] || param;
-        });
-        
-        this.cache.functions.set(name, {
-          name, 
-          signature: `(${params})`, 
-          params: paramNames, 
-          rawParams: paramList,
-          fullSignature: trimmed,
-          documentation: this.generateDocumentation(name, paramList)
-        });
+        this.cache.functions.set(name, this.functionEntry(name, paramList, trimmed));
       });
     } catch (error) {
       console.warn(`Erro ao ler ${filePath}:`, error);
@@ -341,11 +553,64 @@ class NXCExtension {
     }
   }
 
-  generateDocumentation(functionName, params) {
-    const paramDocs = params.length > 0 ? 
-      `\n\n**Parameters:**\n${params.map(p => `- \`${p}\``).join('\n')}` : '';
+  functionEntry(name, paramList, fullSignature) {
+    const paramNames = paramList.map(param => {
+      const cleaned = param.replace(/=.*$/, '').replace(/\[.*\]/, '').trim();
+      const parts = cleaned.split(/[\s&]+/);
+      return parts[parts.length - 1] || param;
+    });
     
-    return `NXC Function: \`${functionName}\`${paramDocs}`;
+    return {
+      name, 
+      signature: `(${paramList.join(', ')})`, 
+      params: paramNames, 
+      rawParams: paramList,
+      fullSignature,
+      documentation: this.generateDocumentation(name, paramList, paramNames)
+    };
+  }
+
+  generateDocumentation(functionName, params, paramNames = []) {
+    const doc = this.apiDocs.getFunction(functionName);
+    if (!doc) {
+      const paramDocs = params.length > 0 ? 
+        `\n\n**Parameters:**\n${params.map(p => `- \`${p}\``).join('\n')}` : '';
+      return `NXC Function: \`${functionName}\`${paramDocs}`;
+    }
+
+    const sections = [doc.description];
+    if (params.length > 0) {
+      const paramDocs = params.map((param, index) => {
+        const description = (doc.parameters || {})[paramNames[index]];
+        return description ? `- \`${param}\` — ${description}` : `- \`${param}\``;
+      });
+      sections.push(`**Parameters:**\n${paramDocs.join('\n')}`);
+    }
+    if (doc.returns || doc.returnDescription) {
+      const type = doc.returns ? `\`${doc.returns}\`` : '';
+      sections.push(`**Returns:** ${[type, doc.returnDescription].filter(Boolean).join(' — ')}`);
+    }
+    if (doc.firmware) sections.push(`**Firmware:** ${doc.firmware}`);
+    if (doc.example) sections.push(`**Example:**\n\`\`\`nxc\n${doc.example}\n\`\`\``);
+    return sections.join('\n\n');
+  }
+
+  constantDocumentation(name) {
+    const doc = this.apiDocs.getConstant(name);
+    if (!doc) return null;
+
+    const sections = [];
+    if (doc.description) sections.push(doc.description);
+    if (doc.group) sections.push(`**Group:** ${doc.group}`);
+    if (doc.value !== undefined) sections.push(`**Value:** \`${doc.value}\``);
+    return sections.join('\n\n');
+  }
+
+  keywordDocumentation(name) {
+    const doc = this.apiDocs.getKeyword(name);
+    if (!doc) return null;
+
+    return doc.example ? `${doc.description}\n\n\`\`\`nxc\n${doc.example}\n\`\`\`` : doc.description;
   }
 
   provideCompletionItems(document, position) {
@@ -355,6 +620,8 @@ class NXCExtension {
     // Add keywords
     for (const keyword of this.cache.keywords) {
       const item = new vscode.CompletionItem(keyword, vscode.CompletionItemKind.Keyword);
+      const documentation = this.keywordDocumentation(keyword);
+      if (documentation) item.documentation = new vscode.MarkdownString(documentation);
       item.range = range;
       item.sortText = `1_${keyword}`; // High priority
       items.push(item);
@@ -396,6 +663,11 @@ class NXCExtension {
       }
       
       const item = new vscode.CompletionItem(constant, vscode.CompletionItemKind.Constant);
+      const doc = this.apiDocs.getConstant(constant);
+      if (doc) {
+        item.detail = doc.value !== undefined ? `${doc.group} (${doc.value})` : doc.group;
+        item.documentation = new vscode.MarkdownString(this.constantDocumentation(constant));
+      }
       item.range = range;
       item.sortText = `4_${constant}`;
       items.push(item);
@@ -424,7 +696,11 @@ class NXCExtension {
     // Check if it's a constant
     if (this.cache.constants.has(word)) {
       const markdown = new vscode.MarkdownString();
-      markdown.appendCodeblock(`${word} (constant)`, 'nxc');
+      const doc = this.apiDocs.getConstant(word);
+      markdown.appendCodeblock(doc && doc.value !== undefined ? `#define ${word} ${doc.value}` : `${word} (constant)`, 'nxc');
+      if (doc) {
+        markdown.appendMarkdown('\n\n' + this.constantDocumentation(word));
+      }
       return new vscode.Hover(markdown, range);
     }
     
@@ -432,12 +708,171 @@ class NXCExtension {
     if (this.cache.keywords.has(word)) {
       const markdown = new vscode.MarkdownString();
       markdown.appendCodeblock(`${word} (keyword)`, 'nxc');
+      const documentation = this.keywordDocumentation(word);
+      if (documentation) {
+        markdown.appendMarkdown('\n\n' + documentation);
+      }
       return new vscode.Hover(markdown, range);
     }
     
     return undefined;
   }
 
+  provideDefinition(document, position) {
+    const range = document.getWordRangeAtPosition(position, /[A-Za-z_][A-Za-z0-9_]*/);
+    if (!range) return null;
+
+    const word = document.getText(range);
+    const entry = this.updateWorkspaceIndex(document);
+    if (!entry) {
+      return this.workspaceIndex.findDefinitions(word).map(symbol => this.toLocation(symbol));
+    }
+
+    // Locals and macro parameters resolve through their scope; globals by name
+    const declaration = this.referenceFinder.findDeclaration(entry.filePath, position.line, position.character);
+    if (declaration) {
+      return [new vscode.Location(vscode.Uri.file(declaration.filePath), this.toRange(declaration.range))];
+    }
+    return this.workspaceIndex.findDefinitions(word, entry.filePath).map(symbol => this.toLocation(symbol));
+  }
+
+  provideReferences(document, position, referenceContext) {
+    const entry = this.updateWorkspaceIndex(document);
+    if (!entry) return [];
+
+    const references = this.referenceFinder.findReferences(entry.filePath, position.line, position.character, {
+      includeDeclaration: referenceContext ? referenceContext.includeDeclaration : true
+    });
+    return references.map(reference => new vscode.Location(vscode.Uri.file(reference.filePath), this.toRange(reference.range)));
+  }
+
+  provideCodeActions(document, range, codeActionContext) {
+    const sourceCode = document.getText();
+    const only = codeActionContext.only;
+    const fileDiagnostics = (this.diagnosticManager.diagnosticCollection.get(document.uri) || []).map(diagnostic => this.toFixable(diagnostic));
+    const actions = [];
+
+    if (!only || only.contains(vscode.CodeActionKind.QuickFix)) {
+      const kinds = new Set();
+      codeActionContext.diagnostics.forEach(diagnostic => {
+        this.quickFixes.fixesFor(this.toFixable(diagnostic), sourceCode).forEach(fix => {
+          const action = this.toCodeAction(document, fix.title, vscode.CodeActionKind.QuickFix, fix.edits);
+          action.diagnostics = [diagnostic];
+          action.isPreferred = fix.preferred;
+          actions.push(action);
+          kinds.add(fix.kind);
+        });
+      });
+
+      // The same fix for every such problem in the file
+      kinds.forEach(kind => {
+        const edits = this.quickFixes.fixAll(fileDiagnostics, sourceCode, kind);
+        if (edits.length > 1) {
+          actions.push(this.toCodeAction(document, `${QuickFixes.fixAllTitle(kind)} in file`, vscode.CodeActionKind.QuickFix, edits));
+        }
+      });
+    }
+
+    // source.fixAll, e.g. from editor.codeActionsOnSave
+    if (only && only.contains(FIX_ALL_KIND)) {
+      const edits = this.quickFixes.fixAll(fileDiagnostics, sourceCode);
+      if (edits.length > 0) actions.push(this.toCodeAction(document, 'Fix all auto-fixable NXC problems', FIX_ALL_KIND, edits));
+    }
+
+    return actions;
+  }
+
+  toFixable(diagnostic) {
+    const code = diagnostic.code && typeof diagnostic.code === 'object' ? diagnostic.code.value : diagnostic.code;
+    return { message: diagnostic.message, rule: code, source: diagnostic.source, range: diagnostic.range };
+  }
+
+  toCodeAction(document, title, kind, edits) {
+    const action = new vscode.CodeAction(title, kind);
+    action.edit = new vscode.WorkspaceEdit();
+    edits.forEach(edit => action.edit.replace(document.uri, this.toRange(edit.range), edit.newText));
+    return action;
+  }
+
+  prepareRename(document, position) {
+    const entry = this.updateWorkspaceIndex(document);
+    if (!entry) {
+      throw new Error('Only saved NXC files can be renamed in');
+    }
+
+    const target = this.referenceFinder.prepareRename(entry.filePath, position.line, position.character, this.reservedNames());
+    return { range: this.toRange(target.range), placeholder: target.name };
+  }
+
+  provideRenameEdits(document, position, newName) {
+    const entry = this.updateWorkspaceIndex(document);
+    if (!entry) return null;
+
+    const edits = this.referenceFinder.rename(entry.filePath, position.line, position.character, newName, this.reservedNames());
+    const workspaceEdit = new vscode.WorkspaceEdit();
+    edits.forEach((ranges, filePath) => {
+      ranges.forEach(range => workspaceEdit.replace(vscode.Uri.file(filePath), this.toRange(range), newName));
+    });
+    return workspaceEdit;
+  }
+
+  // Names a user symbol must not take: API functions, constants and keywords
+  reservedNames() {
+    return new Set([...this.cache.functions.keys(), ...this.cache.constants, ...this.cache.keywords]);
+  }
+
+  provideDocumentSymbols(document) {
+    const entry = this.updateWorkspaceIndex(document) ||
+      this.workspaceIndex.analyze(null, document.getText(), this.indexOptions());
+    if (!entry) return [];
+
+    const toDocumentSymbol = symbol => {
+      const documentSymbol = new vscode.DocumentSymbol(
+        symbol.name,
+        symbol.detail,
+        this.toSymbolKind(symbol.kind),
+        this.toRange(symbol.range),
+        this.toRange(symbol.selectionRange)
+      );
+      documentSymbol.children = symbol.children.map(toDocumentSymbol);
+      return documentSymbol;
+    };
+    return this.workspaceIndex.outline(entry).map(toDocumentSymbol);
+  }
+
+  provideWorkspaceSymbols(query) {
+    return this.workspaceIndex.search(query).map(symbol => new vscode.SymbolInformation(
+      symbol.name,
+      this.toSymbolKind(symbol.kind),
+      symbol.containerName || path.basename(symbol.filePath),
+      this.toLocation(symbol)
+    ));
+  }
+
+  toLocation(symbol) {
+    return new vscode.Location(vscode.Uri.file(symbol.filePath), this.toRange(symbol.selectionRange));
+  }
+
+  toRange(range) {
+    return new vscode.Range(range.start.line, range.start.character, range.end.line, range.end.character);
+  }
+
+  toSymbolKind(kind) {
+    const kinds = {
+      task: vscode.SymbolKind.Function,
+      function: vscode.SymbolKind.Function,
+      variable: vscode.SymbolKind.Variable,
+      struct: vscode.SymbolKind.Struct,
+      field: vscode.SymbolKind.Field,
+      enum: vscode.SymbolKind.Enum,
+      enumMember: vscode.SymbolKind.EnumMember,
+      typedef: vscode.SymbolKind.TypeParameter,
+      macro: vscode.SymbolKind.Constant,
+      region: vscode.SymbolKind.Namespace
+    };
+    return kinds[kind] !== undefined ? kinds[kind] : vscode.SymbolKind.Variable;
+  }
+
   provideSignatureHelp(document, position) {
     const line = document.lineAt(position.line).text.substring(0, position.character);
     const callMatch = /([A-Za-z_][A-Za-z0-9_]*)\s*\(([^()]*)$/.exec(line);
@@ -453,8 +888,10 @@ class NXCExtension {
     signature.documentation = new vscode.MarkdownString(func.documentation);
     
     // Add parameter information
-    func.rawParams.forEach(param => {
-      signature.parameters.push(new vscode.ParameterInformation(param.trim()));
+    const doc = this.apiDocs.getFunction(functionName);
+    func.rawParams.forEach((param, index) => {
+      const description = doc ? (doc.parameters || {})[func.params[index]] : undefined;
+      signature.parameters.push(new vscode.ParameterInformation(param.trim(), description));
     });
     
     const help = new vscode.SignatureHelp();
@@ -531,6 +968,15 @@ class NXCExtension {
     }
   }
 
+  provideOnTypeFormattingEdits(document, position, ch, options) {
+    try {
+      return this.formatter.formatOnType(document, position, ch, options);
+    } catch (error) {
+      console.error('Error formatting on type:', error);
+      return [];
+    }
+  }
+
   deactivate() {
     console.log('Deactivating NXC extension...');
     
@@ -7,10 +7,26 @@ try {
   vscode = null;
 }
 
+const { NXCLexer } = require('../diagnostics/nxc-lexer');
+
+const OPERAND_TYPES = new Set(['identifier', 'number', 'string', 'char']);
+// Operators that are unary when nothing they could apply to comes before them
+const UNARY_OPERATORS = new Set(['-', '+', '&', '*']);
+const BINARY_OPERATORS = new Set([
+  '=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=',
+  '==', '!=', '<', '>', '<=', '>=', '&&', '||',
+  '+', '-', '*', '/', '%', '&', '|', '^', '<<', '>>', '?'
+]);
+// Keywords followed by a condition: `if (x)`, or `if(x)` without spaceBeforeParen
+const CONTROL_KEYWORDS = new Set(['if', 'for', 'repeat', 'switch', 'until', 'while']);
+// Roles written with a space on both sides; ':' is the one of `a ? b : c`
+const BINARY_ROLES = new Set(['binary', '?', ':']);
+
 class NXCFormatter {
   constructor() {
     this.indentSize = 4;
     this.useSpaces = true;
+    this.lexer = new NXCLexer();
   }
 
   formatDocument(document, options) {
@@ -34,278 +50,654 @@ class NXCFormatter {
   formatRange(document, range, options) {
     if (!vscode) throw new Error('VS Code context required for formatRange');
 
-    const text = document.getText(range);
-    const formattedText = this.formatCode(text, options);
+    // Whole lines, from the start of a comment, directive or asm block the range begins in
+    const code = document.getText();
+    const endLine = range.end.character === 0 && range.end.line > range.start.line ? range.end.line - 1 : range.end.line;
+    const startLine = Math.min(this.firstLineOf(code, range.start.line), endLine);
+    const lineRange = new vscode.Range(startLine, 0, endLine, document.lineAt(endLine).text.length);
+
+    // The code above the range decides the indentation it starts at
+    const text = document.getText(lineRange);
+    const formattedText = this.formatCode(text, options, code.slice(0, document.offsetAt(lineRange.start)));
 
     if (formattedText === text) {
       return [];
     }
 
-    return [vscode.TextEdit.replace(range, formattedText)];
+    return [vscode.TextEdit.replace(lineRange, formattedText)];
+  }
+
+  // Re-indents the line of `position` after '}', ';' or Enter
+  formatOnType(document, position, ch, options) {
+    if (!vscode) throw new Error('VS Code context required for formatOnType');
+
+    const code = document.getText();
+    if (this.firstLineOf(code, position.line) !== position.line) return [];
+
+    const line = document.lineAt(position.line);
+    const current = line.text.match(/^[ \t]*/)[0];
+    const indent = this.indentOf(line.text, options, code.slice(0, document.offsetAt(line.range.start)));
+    if (indent === current) return [];
+
+    return [vscode.TextEdit.replace(new vscode.Range(position.line, 0, position.line, current.length), indent)];
+  }
+
+  // The indentation the formatter gives a line that follows `before`. An empty line gets
+  // the indentation of a statement written there.
+  indentOf(text, options, before) {
+    const formatted = this.formatCode(text.trim() || ';', options, before);
+    return formatted.match(/^[ \t]*/)[0];
   }
 
-  formatCode(code, options = {}) {
-    // Get formatting options
-    let indentSize = 4;
-    let useSpaces = true;
+  // The line where the comment, directive or asm block around the start of `lineNumber`
+  // begins, or `lineNumber` itself when it starts outside of them
+  firstLineOf(code, lineNumber) {
+    const lineStart = code.split('\n').slice(0, lineNumber).reduce((offset, text) => offset + text.length + 1, 0);
+    for (const tokens of this.splitLines(code)) {
+      const token = tokens.find(candidate => candidate.start < lineStart && candidate.end >= lineStart);
+      if (token) return token.line;
+      if (tokens.length > 0 && tokens[0].start >= lineStart) break;
+    }
+    return lineNumber;
+  }
 
-    if (vscode) {
-      const config = vscode.workspace.getConfiguration('nxc.formatting');
-      indentSize = options.tabSize || config.get('indentSize', 4);
-      useSpaces = options.insertSpaces !== undefined ? options.insertSpaces : config.get('useSpaces', true);
-    } else {
-      indentSize = options.tabSize || 4;
-      useSpaces = options.insertSpaces !== undefined ? options.insertSpaces : true;
+  // `before` is the text in front of `code`: the indentation and open parentheses at its
+  // end carry over into `code`, so a range is formatted as part of its file
+  formatCode(code, options = {}, before = '') {
+    const style = this.settings(options);
+    this.style = style;
+    const state = {
+      // Open blocks and control statements still waiting for the end of their body
+      frames: [],
+      parenDepth: 0,
+      // The control statement whose condition is being read
+      header: null,
+      expectDoWhile: false,
+      lastToken: null,
+      // Open parentheses of earlier lines; lines inside them line up after the parenthesis
+      parens: [],
+      blankLines: 0,
+      afterTopLevelBlock: false
+    };
+
+    if (before) {
+      this.format(before.replace(/\r?\n$/, ''), style, state);
+      // Blank lines above `code` are not part of it
+      state.blankLines = 0;
+      state.afterTopLevelBlock = false;
     }
+    return this.format(code, style, state);
+  }
+
+  format(code, style, state) {
+    const indentChar = style.useSpaces ? ' '.repeat(style.indentSize) : '\t';
 
-    const indentChar = useSpaces ? ' '.repeat(indentSize) : '\t';
+    let lines = this.placeBraces(this.splitLines(code), style.braceStyle);
+    let output = [];
 
-    let lines = code.split(/\r?\n/);
-    let formattedLines = [];
-    let indentLevel = 0;
-    let inMultiLineComment = false;
-    let inPreprocessor = false;
-    let needsUnindentAfterStatement = false;
+    const pushBlankLines = () => {
+      const normalized = state.afterTopLevelBlock && style.blankLinesBetweenFunctions >= 0;
+      const count = normalized ? style.blankLinesBetweenFunctions : state.blankLines;
+      for (let i = 0; i < count; i++) output.push('');
+      state.blankLines = 0;
+      state.afterTopLevelBlock = false;
+    };
 
     for (let i = 0; i < lines.length; i++) {
-      let line = lines[i];
-      let originalLine = line;
-      let trimmedLine = line.trim();
+      let tokens = lines[i];
 
-      // Skip empty lines but preserve them
-      if (trimmedLine === '') {
-        formattedLines.push('');
+      // Blank lines are kept, except between top-level blocks where the style decides
+      if (tokens.length === 0) {
+        state.blankLines++;
         continue;
       }
+      pushBlankLines();
 
-      // Handle multi-line comments
-      if (inMultiLineComment) {
-        if (trimmedLine.includes('*/')) {
-          inMultiLineComment = false;
-        }
-        formattedLines.push(this.indentLine(line, indentLevel, indentChar));
-        continue;
+      // A block closed at the end of a line of code, as in `break; }`, gets its `}` on a line of its own
+      const close = this.closingBraceIndex(tokens, state.frames);
+      if (close !== -1) {
+        lines.splice(i + 1, 0, tokens.slice(close));
+        tokens = tokens.slice(0, close);
       }
 
-      if (trimmedLine.startsWith('/*')) {
-        if (!trimmedLine.includes('*/')) {
-          inMultiLineComment = true;
-        }
-        formattedLines.push(this.indentLine(line, indentLevel, indentChar));
+      // Preprocessor directives start at column 0; only the body of a continued #define is re-indented
+      if (tokens[0].type === 'directive') {
+        output.push({ directive: this.formatDirective(tokens.map(token => token.value).join(' '), indentChar) });
+        state.parens = [];
         continue;
       }
 
-      // Handle preprocessor directives
-      if (trimmedLine.startsWith('#')) {
-        inPreprocessor = true;
-        formattedLines.push(trimmedLine); // Preprocessor directives start at column 0
-        continue;
-      }
+      const continuation = state.parens.length > 0;
+      const top = state.parens[state.parens.length - 1];
+      const codeTokens = tokens.filter(token => token.type !== 'comment');
+      const level = codeTokens.length > 0 ? this.lineLevel(state, codeTokens[0]) : this.levelOf(state.frames);
+      const indent = continuation ? top.indent + ' '.repeat(top.offset) : indentChar.repeat(level);
 
-      // Handle single-line comments
-      if (trimmedLine.startsWith('//')) {
-        formattedLines.push(this.indentLine(line, indentLevel, indentChar));
+      // Comment lines follow the indentation of the code around them
+      if (codeTokens.length === 0) {
+        output.push({ text: indent + this.formatLine(tokens), comment: null });
         continue;
       }
 
-      // Handle unindent after single statements
-      if (needsUnindentAfterStatement && !this.isControlStructure(trimmedLine) &&
-        !trimmedLine.startsWith('}') && trimmedLine.endsWith(';')) {
-        indentLevel = Math.max(0, indentLevel - 1);
-        needsUnindentAfterStatement = false;
-      }
+      let end = tokens.length;
+      while (tokens[end - 1].type === 'comment') end--;
+      const frame = state.frames[state.frames.length - 1];
+      const initializer = Boolean(frame && frame.kind === 'initializer');
+      state.parens = this.emitCode(output, tokens.slice(0, end), tokens.slice(end), indent, state.parens, initializer);
+      // A line that ends a statement or block cannot be inside a call; recover from a missing ')'
+      if (['{', '}', ';'].includes(codeTokens[codeTokens.length - 1].value)) state.parens = [];
+
+      codeTokens.forEach(token => this.advance(state, token));
+      // The `};` of a struct ends a declaration and keeps the blank lines written after it
+      state.afterTopLevelBlock = state.frames.length === 0 && !continuation && codeTokens[codeTokens.length - 1].value !== ';' &&
+        (codeTokens[0].value === '}' || codeTokens.some((token, index) => this.isBlockBrace(codeTokens, index)));
+    }
 
-      // Calculate indentation changes
-      let lineIndentChange = this.calculateIndentChange(trimmedLine, i > 0 ? lines[i - 1].trim() : '');
-      let preIndentChange = lineIndentChange.pre;
-      let postIndentChange = lineIndentChange.post;
+    // Blank lines at the end of the file stay as they are
+    state.afterTopLevelBlock = false;
+    pushBlankLines();
 
-      // Apply pre-indent change (for closing braces, etc.)
-      indentLevel = Math.max(0, indentLevel + preIndentChange);
+    if (style.alignDefines) this.alignDefines(output);
+    if (style.alignTrailingComments) this.alignTrailingComments(output);
 
-      // Format the line
-      let formattedLine = this.formatLine(trimmedLine);
-      formattedLine = this.indentLine(formattedLine, indentLevel, indentChar);
+    return output.map(entry => {
+      if (typeof entry === 'string') return entry;
+      if (entry.directive !== undefined) return entry.directive;
+      return entry.comment === null ? entry.text : `${entry.text}${' '.repeat(entry.padding || 1)}${entry.comment}`;
+    }).join('\n');
+  }
 
-      formattedLines.push(formattedLine);
+  // VS Code settings under nxc.formatting, overridden by the options passed in; tabSize
+  // and insertSpaces are the names VS Code uses in its FormattingOptions
+  settings(options = {}) {
+    const config = vscode ? vscode.workspace.getConfiguration('nxc.formatting') : { get: (key, fallback) => fallback };
+    const option = (key, fallback) => (options[key] !== undefined ? options[key] : config.get(key, fallback));
+
+    return {
+      indentSize: options.tabSize !== undefined ? options.tabSize : config.get('indentSize', 4),
+      useSpaces: options.insertSpaces !== undefined ? options.insertSpaces : config.get('useSpaces', true),
+      braceStyle: option('braceStyle', 'kr'),
+      spaceBeforeParen: option('spaceBeforeParen', true),
+      alignTrailingComments: option('alignTrailingComments', true),
+      alignDefines: option('alignDefines', true),
+      blankLinesBetweenFunctions: option('blankLinesBetweenFunctions', 1),
+      wrapColumn: option('wrapColumn', 0)
+    };
+  }
 
-      // Apply post-indent change (for opening braces, etc.)
-      indentLevel = Math.max(0, indentLevel + postIndentChange);
+  // Writes one line of code, wrapped after the commas of an argument list when it is
+  // longer than the wrap column. Statements that share such a line go on lines of their
+  // own first; a line with a block such as `{ a(); b(); }` is not wrapped, since its
+  // statements cannot be split apart at one indentation. Returns the parentheses still
+  // open at its end.
+  emitCode(output, tokens, trailing, indent, parens, initializer = false) {
+    const columns = [];
+    const code = this.formatLine(tokens, columns, initializer);
+    const stack = [...parens];
+    const breaks = [];
+    let braces = 0;
+    let statementEnd = null;
+
+    tokens.forEach((token, index) => {
+      if (token.type !== 'operator') return;
+      if (token.value === '(') stack.push({ indent, offset: columns[index] + 1 });
+      if (token.value === ')') stack.pop();
+      if (token.value === '{') braces++;
+      if (token.value === '}') braces--;
+      if (token.value === ',' && stack.length > 0 && index < tokens.length - 1) breaks.push({ index, stack: [...stack] });
+      // The semicolons of a for header are inside parentheses
+      if (token.value === ';' && stack.length === 0 && index < tokens.length - 1 && !statementEnd) statementEnd = { index, braces };
+    });
 
-      // Check if we need to unindent after next statement
-      if (this.isControlStructure(trimmedLine) && !trimmedLine.includes('{')) {
-        needsUnindentAfterStatement = true;
-      }
+    const limit = this.style.wrapColumn;
+    const width = this.width(indent);
+    const tooLong = limit > 0 && width + code.length > limit && !code.includes('\n');
+    if (tooLong && statementEnd && statementEnd.braces === 0 && parens.length === 0) {
+      this.emitCode(output, tokens.slice(0, statementEnd.index + 1), [], indent, parens, initializer);
+      return this.emitCode(output, tokens.slice(statementEnd.index + 1), trailing, indent, [], initializer);
+    }
+    if (tooLong && !statementEnd && breaks.length > 0) {
+      // Break at the last comma that still fits, or at the first one if none does
+      const fitting = breaks.filter(entry => width + columns[entry.index] + 1 <= limit);
+      const cut = fitting.length > 0 ? fitting[fitting.length - 1] : breaks[0];
+      output.push({ text: indent + this.formatLine(tokens.slice(0, cut.index + 1), [], initializer), comment: null });
+      const open = cut.stack[cut.stack.length - 1];
+      return this.emitCode(output, tokens.slice(cut.index + 1), trailing, open.indent + ' '.repeat(open.offset), cut.stack, initializer);
     }
 
-    return formattedLines.join('\n');
+    output.push({
+      text: indent + code,
+      comment: trailing.length > 0 ? this.formatLine(trailing) : null,
+      // Measured like `text`, with tabs as wide as an indentation level
+      column: trailing.length > 0 ? this.width(trailing[0].prefix) : 0
+    });
+    return stack;
   }
 
-  calculateIndentChange(line, previousLine = '') {
-    let pre = 0;
-    let post = 0;
-
-    // Closing braces decrease indent before the line
-    if (line.startsWith('}')) {
-      pre = -1;
-    }
+  width(text) {
+    return text.replace(/\t/g, ' '.repeat(this.style.indentSize)).length;
+  }
 
-    // Opening braces increase indent after the line
-    if (line.includes('{')) {
-      // Count opening and closing braces
-      const openBraces = (line.match(/\{/g) || []).length;
-      const closeBraces = (line.match(/\}/g) || []).length;
-      post += openBraces - closeBraces;
-    }
+  // K&R pulls a brace on its own line up to the line before it, and `else` up to the
+  // brace that closes the if; Allman does the opposite
+  placeBraces(lines, braceStyle) {
+    const placed = [];
 
-    // Handle case/default statements
-    if (line.startsWith('case ') || line.startsWith('default:')) {
-      if (line.endsWith(':')) {
-        post = 1;
+    lines.forEach(tokens => {
+      if (braceStyle === 'allman') {
+        placed.push(...this.splitBraces(tokens));
+        return;
       }
-    }
-
-    // Handle else statements without braces
-    if (line.startsWith('else') && !line.includes('{')) {
-      // If previous line was a single statement after if, we need to unindent first
-      if (previousLine && !previousLine.includes('{') && !previousLine.startsWith('}')) {
-        pre = -1;
+      const previous = placed[placed.length - 1];
+      if (previous && this.joinsPrevious(previous, tokens)) {
+        placed[placed.length - 1] = [...previous, ...tokens];
+        return;
       }
-    }
-
-    // Handle single statements after control structures
-    if (!this.isControlStructure(line) && !line.startsWith('}') &&
-      !line.startsWith('case ') && !line.startsWith('default:') &&
-      !line.includes('{') && !line.startsWith('//') &&
-      !line.startsWith('#') && line.endsWith(';') &&
-      previousLine && this.isControlStructure(previousLine) && !previousLine.includes('{')) {
-      // This is a single statement after a control structure without braces
-      // It should be unindented after execution
-      post = -1;
-    }
+      placed.push(tokens);
+    });
 
-    return { pre, post };
+    return placed;
   }
 
-  isControlStructure(line) {
-    const controlKeywords = [
-      'if', 'else', 'while', 'for', 'do', 'switch', 'task', 'sub'
-    ];
+  joinsPrevious(previous, tokens) {
+    if (previous.length === 0 || tokens.length === 0 || previous[0].type === 'directive') return false;
+    if (previous.some(token => token.type === 'comment' || token.type === 'raw')) return false;
+    const last = previous[previous.length - 1];
+    if (tokens[0].type === 'keyword' && tokens[0].value === 'else') {
+      return previous.length === 1 && last.type === 'operator' && last.value === '}';
+    }
+    if (last.type === 'operator' && [';', '{', '}', ','].includes(last.value)) return false;
 
-    return controlKeywords.some(keyword => {
-      const regex = new RegExp(`^${keyword}\\b`);
-      return regex.test(line);
-    });
+    const code = tokens.filter(token => token.type !== 'comment');
+    return code.length === 1 && tokens[0] === code[0] && code[0].type === 'operator' && code[0].value === '{';
   }
 
-  formatLine(line) {
-    // Remove extra whitespace
-    line = line.replace(/\s+/g, ' ').trim();
-
-    // Format operators with proper spacing
-    line = this.formatOperators(line);
-
-    // Format function calls and declarations
-    line = this.formatFunctions(line);
-
-    // Format control structures
-    line = this.formatControlStructures(line);
-
-    // Format semicolons
-    line = this.formatSemicolons(line);
-
-    // Format commas
-    line = this.formatCommas(line);
+  splitBraces(tokens) {
+    if (tokens.length === 0 || tokens[0].type === 'directive') return [tokens];
+    if (tokens[0].type === 'operator' && tokens[0].value === '}' && tokens[1] && tokens[1].value === 'else') {
+      return [[tokens[0]], ...this.splitBraces(tokens.slice(1))];
+    }
 
-    return line;
+    let end = tokens.length - 1;
+    while (end > 0 && tokens[end].type === 'comment') end--;
+    // Initializers such as `= {` stay where they are
+    if (end > 0 && this.isBlockBrace(tokens, end)) {
+      return [tokens.slice(0, end), tokens.slice(end)];
+    }
+    return [tokens];
   }
 
-  formatOperators(line) {
-    // Handle increment/decrement operators first (avoid breaking ++ and --)
-    line = line.replace(/\+\+/g, '§PLUSPLUS§');
-    line = line.replace(/--/g, '§MINUSMINUS§');
+  // Consecutive `#define NAME value` lines get their values in one column
+  alignDefines(output) {
+    this.alignRuns(output, entry => {
+      if (!entry || entry.directive === undefined || entry.directive.includes('\n')) return null;
+      const match = entry.directive.match(/^(#\s*define\s+\w+(?:\([^)]*\))?)(\s+)(\S.*)$/);
+      if (!match) return null;
+      return {
+        width: match[1].length,
+        column: match[1].length + match[2].length,
+        apply: column => {
+          entry.directive = match[1] + ' '.repeat(column - match[1].length) + match[3];
+        }
+      };
+    });
+  }
 
-    // Assignment operators
-    line = line.replace(/\s*([=!<>]=?|\+=|-=|\*=|\/=|%=|\|=|&=|\^=|<<=|>>=)\s*/g, ' $1 ');
+  // Trailing comments of consecutive lines start in one column
+  alignTrailingComments(output) {
+    this.alignRuns(output, entry => {
+      if (!entry || entry.comment === undefined || entry.comment === null || entry.text.includes('\n')) return null;
+      const width = this.width(entry.text);
+      return {
+        width,
+        column: entry.column,
+        apply: column => {
+          entry.padding = column - width;
+        }
+      };
+    });
+  }
 
-    // Arithmetic operators (but not ++ or --)
-    line = line.replace(/\s*([+\-*/%])\s*/g, ' $1 ');
+  // The column of a run is the one its lines already share when the code fits before it,
+  // otherwise one space after the longest line
+  alignRuns(output, describe) {
+    let run = [];
+    const flush = () => {
+      if (run.length === 0) return;
+      const column = Math.max(Math.max(...run.map(item => item.width)) + 1, Math.min(...run.map(item => item.column)));
+      run.forEach(item => item.apply(column));
+      run = [];
+    };
+
+    output.forEach(entry => {
+      const item = describe(entry);
+      if (item) {
+        run.push(item);
+      } else {
+        flush();
+      }
+    });
+    flush();
+  }
 
-    // Logical operators
-    line = line.replace(/\s*(&&|\|\|)\s*/g, ' $1 ');
+  // The tokens of each line, without whitespace. Block comments and directives continued
+  // with '\' stay one token; the body of an asm block becomes a single 'raw' token so
+  // that it is copied as written. Comments carry the text in front of them on their line,
+  // from which trailing comments get the column they were written at.
+  splitLines(code) {
+    const tokens = this.lexer.tokenize(code);
+    const lines = [[]];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === 'newline') {
+        lines.push([]);
+        continue;
+      }
+      if (token.type === 'whitespace') continue;
+      if (token.type === 'comment') {
+        lines[lines.length - 1].push({ ...token, prefix: code.slice(code.lastIndexOf('\n', token.start - 1) + 1, token.start) });
+        continue;
+      }
+      lines[lines.length - 1].push(token);
+
+      if (token.type === 'keyword' && token.value === 'asm') {
+        const open = tokens.findIndex((candidate, index) => index > i && this.lexer.isSignificant(candidate));
+        if (open === -1 || tokens[open].value !== '{') continue;
+        const close = this.matchingBrace(tokens, open);
+        const end = close === -1 ? code.length : tokens[close].start;
+        const raw = { type: 'raw', value: code.slice(tokens[open].end, end), start: tokens[open].end, end, line: tokens[open].line };
+        lines[lines.length - 1].push(tokens[open], raw);
+        if (close === -1) break;
+        lines[lines.length - 1].push(tokens[close]);
+        i = close;
+      }
+    }
 
-    // Bitwise operators
-    line = line.replace(/\s*([&|^~])\s*/g, ' $1 ');
+    return lines;
+  }
 
-    // Shift operators
-    line = line.replace(/\s*(<<|>>)\s*/g, ' $1 ');
+  matchingBrace(tokens, open) {
+    let depth = 0;
+    for (let i = open; i < tokens.length; i++) {
+      if (tokens[i].type !== 'operator') continue;
+      if (tokens[i].value === '{') depth++;
+      if (tokens[i].value === '}' && --depth === 0) return i;
+    }
+    return -1;
+  }
 
-    // Restore increment/decrement operators
-    line = line.replace(/§PLUSPLUS§/g, '++');
-    line = line.replace(/§MINUSMINUS§/g, '--');
+  // The index of a `}` that closes a block opened on an earlier line, when code comes
+  // before it on its line; -1 otherwise. Initializers such as `{1,\n 2}` are left alone.
+  closingBraceIndex(tokens, frames) {
+    if (tokens[0].type === 'directive') return -1;
+    let depth = 0;
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+      if (token.type !== 'operator') continue;
+      if (token.value === '{') depth++;
+      if (token.value === '}' && --depth < 0) {
+        const blocks = frames.filter(frame => frame.type === 'block');
+        const block = blocks[blocks.length - 1];
+        const afterCode = tokens.slice(0, index).some(candidate => candidate.type !== 'comment');
+        return afterCode && block && block.kind !== 'initializer' ? index : -1;
+      }
+    }
+    return -1;
+  }
 
-    // Fix spacing around parentheses in expressions
-    line = line.replace(/\s*\(\s*/g, '(');
-    line = line.replace(/\s*\)\s*/g, ')');
+  // An opening brace that starts a block; `= {1, 2}` and nested braces are initializers.
+  // A brace at the start of a line inside an initializer is one too
+  isBlockBrace(tokens, index, initializer = false) {
+    const token = tokens[index];
+    if (token.type !== 'operator' || token.value !== '{') return false;
+    const previous = tokens.slice(0, index).reverse().find(candidate => candidate.type !== 'comment');
+    return previous ? !['=', ',', '{', '('].includes(previous.value) : !initializer;
+  }
 
-    // Fix spacing around brackets
-    line = line.replace(/\s*\[\s*/g, '[');
-    line = line.replace(/\s*\]\s*/g, ']');
+  // Indentation level of a line that starts with `first`: a closing brace goes back to
+  // the level of its block, an Allman brace to the level of its statement, and case
+  // labels one level into the switch
+  lineLevel(state, first) {
+    const frames = state.frames;
+    const top = frames[frames.length - 1];
+    if (first.type === 'operator' && first.value === '}') {
+      const block = frames.map(frame => frame.type).lastIndexOf('block');
+      // `case 1: {` closes at the level of its label
+      const label = block >= 0 && frames[block].kind === 'case' ? 1 : 0;
+      return this.levelOf(frames.slice(0, Math.max(block, 0))) - label;
+    }
+    if (first.type === 'operator' && first.value === '{' && top && top.type === 'header' && top.fresh) {
+      return this.levelOf(frames) - 1;
+    }
+    // An Allman `{` after `case 1:` goes at the level of the label, like its `}`
+    if (first.type === 'operator' && first.value === '{' && top && top.caseLabel && state.lastToken && state.lastToken.value === ':') {
+      return this.levelOf(frames) - 1;
+    }
+    if ((first.value === 'case' || first.value === 'default') && first.type === 'keyword' && top && top.type === 'block') {
+      return this.levelOf(frames.slice(0, -1)) + 1;
+    }
+    return this.levelOf(frames);
+  }
 
-    return line;
+  // Statements after a case label are one level deeper than the label; a block opened on
+  // the label line takes the place of that level
+  levelOf(frames) {
+    return frames.reduce((level, frame) => level + (frame.kind === 'case' ? 0 : frame.caseLabel ? 2 : 1), 0);
   }
 
-  formatFunctions(line) {
-    // Function calls: remove space before parentheses
-    line = line.replace(/([a-zA-Z_][a-zA-Z0-9_]*)\s+\(/g, '$1(');
+  // Follows the statement grammar of nxc-parser.js one token at a time. A control
+  // statement (if, else, while, until, for, repeat, switch, do) pushes a 'header' frame
+  // once its condition is read; the frame becomes a block if its body starts with '{' and
+  // is popped when a braceless body ends.
+  advance(state, token) {
+    const frames = state.frames;
+    const top = frames[frames.length - 1];
+    const value = token.type === 'operator' || token.type === 'keyword' ? token.value : null;
+
+    if (top && top.type === 'header' && top.fresh) {
+      if (value === '{') {
+        frames[frames.length - 1] = { type: 'block', kind: top.kind };
+        state.lastToken = token;
+        return;
+      }
+      // `else if` continues the chain instead of nesting one level deeper
+      if (value === 'if' && top.kind === 'else') {
+        frames.pop();
+      } else {
+        top.fresh = false;
+      }
+    }
 
-    // Function parameters: space after commas
-    line = line.replace(/,\s*/g, ', ');
+    if (state.expectDoWhile && value !== 'while') state.expectDoWhile = false;
+
+    switch (value) {
+      case 'if':
+      case 'for':
+      case 'repeat':
+      case 'switch':
+      case 'until':
+        state.header = { kind: value, depth: state.parenDepth };
+        break;
+      case 'while':
+        // The while of do-while has no body
+        state.header = state.expectDoWhile ? null : { kind: value, depth: state.parenDepth };
+        state.expectDoWhile = false;
+        break;
+      case 'else':
+      case 'do':
+        frames.push({ type: 'header', kind: value, fresh: true });
+        break;
+      case 'case':
+      case 'default':
+        if (top && top.type === 'block') top.caseLabel = true;
+        break;
+      case '(':
+        state.parenDepth++;
+        break;
+      case ')':
+        state.parenDepth = Math.max(0, state.parenDepth - 1);
+        if (state.header && state.parenDepth === state.header.depth) {
+          frames.push({ type: 'header', kind: state.header.kind, fresh: true });
+          state.header = null;
+        }
+        break;
+      case '{': {
+        const previous = state.lastToken ? state.lastToken.value : null;
+        const inInitializer = top && top.kind === 'initializer' && [',', '{'].includes(previous);
+        const afterLabel = top && top.caseLabel && previous === ':';
+        frames.push({ type: 'block', kind: previous === '=' || inInitializer ? 'initializer' : afterLabel ? 'case' : 'block' });
+        state.parenDepth = 0;
+        state.header = null;
+        break;
+      }
+      case '}': {
+        while (frames.length > 0 && frames[frames.length - 1].type === 'header') frames.pop();
+        const block = frames.pop();
+        state.parenDepth = 0;
+        state.header = null;
+        if (block && block.kind === 'do') {
+          state.expectDoWhile = true;
+        } else if (block && block.kind !== 'initializer') {
+          this.endStatement(state);
+        }
+        break;
+      }
+      case ';':
+        // The semicolons of a for header do not end statements
+        if (state.parenDepth === 0) this.endStatement(state);
+        break;
+      default:
+        break;
+    }
+    state.lastToken = token;
+  }
 
-    return line;
+  // Ends the braceless bodies that the statement just finished completes; a do body still
+  // waits for its while
+  endStatement(state) {
+    const frames = state.frames;
+    while (frames.length > 0 && frames[frames.length - 1].type === 'header') {
+      if (frames.pop().kind === 'do') {
+        state.expectDoWhile = true;
+        return;
+      }
+    }
   }
 
-  formatControlStructures(line) {
-    // Control structures: space before opening parenthesis
-    const controlKeywords = ['if', 'while', 'for', 'switch'];
-    controlKeywords.forEach(keyword => {
-      const regex = new RegExp(`\\b${keyword}\\s*\\(`, 'g');
-      line = line.replace(regex, `${keyword} (`);
+  // The body of a #define continued with '\' is indented one level, plus the braces open
+  // in it; lines inside parentheses keep their alignment. Backslashes that were lined up
+  // stay lined up.
+  formatDirective(text, indentChar) {
+    const lines = text.replace(/[ \t]+$/, '').split(/\r?\n/);
+    if (lines.length === 1 || !/^#\s*define\b/.test(lines[0])) return lines.join('\n');
+
+    let braces = 0;
+    let parens = 0;
+    const parts = lines.map((line, index) => {
+      const match = line.match(/^(.*?)([ \t]*)(\\?)$/);
+      let content = match[1];
+      const tokens = this.lexer.significantTokens(index === 0 ? content.replace(/^#\s*define/, '') : content);
+      if (index > 0 && parens === 0) {
+        const closes = tokens.length > 0 && tokens[0].type === 'operator' && tokens[0].value === '}';
+        content = indentChar.repeat(1 + Math.max(0, braces - (closes ? 1 : 0))) + content.trim();
+      }
+      tokens.filter(token => token.type === 'operator').forEach(token => {
+        if (token.value === '{') braces++;
+        if (token.value === '}') braces = Math.max(0, braces - 1);
+        if (token.value === '(') parens++;
+        if (token.value === ')') parens = Math.max(0, parens - 1);
+      });
+      return { content, gap: match[2], backslash: match[3], column: match[1].length + match[2].length };
     });
 
-    // Function/task/sub declarations: space before opening parenthesis
-    const functionKeywords = ['task', 'sub'];
-    functionKeywords.forEach(keyword => {
-      const regex = new RegExp(`\\b${keyword}\\s+([a-zA-Z_][a-zA-Z0-9_]*)\\s*\\(`, 'g');
-      line = line.replace(regex, `${keyword} $1(`);
-    });
+    const continued = parts.filter(part => part.backslash);
+    const aligned = continued.length > 1 && continued.every(part => part.column === continued[0].column);
+    const column = Math.max(continued.length > 0 ? continued[0].column : 0, ...continued.map(part => part.content.length + 1));
+    return parts.map(part => {
+      if (!part.backslash) return part.content;
+      const gap = aligned ? ' '.repeat(column - part.content.length) : part.gap || ' ';
+      return part.content + gap + part.backslash;
+    }).join('\n');
+  }
 
-    // Opening brace on same line with space
-    line = line.replace(/\)\s*{/g, ') {');
-    line = line.replace(/\s*{\s*/g, ' {');
+  // Joins the tokens of one line with single spaces where the style wants them. Token
+  // values are never changed, so strings, chars, comments and asm bodies come out as
+  // they went in. The column of each token is recorded in `columns`; `initializer` tells
+  // that the line continues an initializer.
+  formatLine(tokens, columns = [], initializer = false) {
+    let text = '';
+    let previous = null;
+    let previousCode = null;
+    let ternaries = 0;
+    const braces = [];
+
+    tokens.forEach((token, index) => {
+      const current = { ...token, role: this.roleOf(token, previousCode, ternaries) };
+      if (current.role === '?') ternaries++;
+      if (current.role === ':') ternaries--;
+      // `= {1, 2}` is an initializer and stays tight
+      if (current.role === '{') {
+        current.initializer = !this.isBlockBrace(tokens, index, initializer);
+        braces.push(current.initializer);
+      }
+      if (current.role === '}') current.initializer = braces.pop() || false;
 
-    // Handle else statements
-    line = line.replace(/}\s*else\s*{/g, '} else {');
-    line = line.replace(/}\s*else\s+/g, '} else ');
+      if (previous) text += this.spaceBetween(previous, current);
+      columns.push(text.length);
+      text += token.value;
+      previous = current;
+      if (token.type !== 'comment') previousCode = current;
+    });
 
-    return line;
+    return text;
   }
 
-  formatSemicolons(line) {
-    // Remove space before semicolons
-    line = line.replace(/\s*;/g, ';');
+  // What a token does in its line: operators are 'binary', 'prefix', 'postfix' or
+  // 'label' (the colon after case and labels); punctuation is its own value
+  roleOf(token, previous, ternaries) {
+    if (token.type !== 'operator') return token.type;
+    const value = token.value;
+    const afterOperand = previous !== null && this.isOperand(previous);
+
+    if (value === '++' || value === '--') return afterOperand ? 'postfix' : 'prefix';
+    if (value === '!' || value === '~') return 'prefix';
+    if (UNARY_OPERATORS.has(value) && !afterOperand) return 'prefix';
+    if (value === ':') return ternaries > 0 ? ':' : 'label';
+    if (BINARY_OPERATORS.has(value)) return value === '?' ? '?' : 'binary';
+    return value;
+  }
 
-    // Handle return statements - add space after return keyword
-    line = line.replace(/\breturn\s*([^;])/g, 'return $1');
-    line = line.replace(/\breturn\s*;/g, 'return;');
+  isOperand(token) {
+    return OPERAND_TYPES.has(token.type) || token.role === 'postfix' ||
+      token.value === ')' || token.value === ']' || token.value === 'true' || token.value === 'false';
+  }
 
-    return line;
+  spaceBetween(previous, token) {
+    const space = this.spacing(previous, token);
+    // `- -x` must not become `--x`
+    if (space === '' && previous.type === 'operator' && token.type === 'operator') {
+      const joined = this.lexer.tokenize(previous.value + token.value);
+      if (joined[0].value !== previous.value) return ' ';
+    }
+    return space;
   }
 
-  formatCommas(line) {
-    // Space after commas, no space before
-    line = line.replace(/\s*,\s*/g, ', ');
-    return line;
+  spacing(previous, token) {
+    if (previous.role === 'raw' || token.role === 'raw') return '';
+    if (previous.role === 'comment' || token.role === 'comment') return ' ';
+    if (BINARY_ROLES.has(previous.role) || BINARY_ROLES.has(token.role)) return ' ';
+    if ([',', ';', ')', ']', '.', '->', 'postfix', 'label'].includes(token.role)) return '';
+    if (['(', '[', '.', '->', 'prefix'].includes(previous.role)) return '';
+    if (token.role === '[') return '';
+    // Calls and declarations keep the parenthesis on the name: `foo(x)` but `if (x)`
+    if (token.role === '(') {
+      if (CONTROL_KEYWORDS.has(previous.value)) return this.style && !this.style.spaceBeforeParen ? '' : ' ';
+      return previous.type === 'identifier' || previous.value === ')' || previous.value === ']' ? '' : ' ';
+    }
+    if (previous.role === '{' && (previous.initializer || token.role === '}')) return '';
+    if (token.role === '}' && token.initializer) return '';
+    return ' ';
   }
 
   indentLine(line, level, indentChar) {
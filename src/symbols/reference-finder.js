@@ -0,0 +1,326 @@
+const path = require('path');
+const { NXCLexer } = require('../diagnostics/nxc-lexer');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Scope-aware occurrences of user symbols. Every identifier in the original
+// text, including directives and inactive #if branches, is bound to a key:
+//   local:<file>:<line>:<column>  a parameter or block-local variable
+//   param:<file>:<line>:<column>  a parameter of a function-like macro
+//   field:<name>                  a struct field
+//   global:<name>                 anything declared at file level, or a macro
+// Globals are shared between files connected through #include.
+class ReferenceFinder {
+  constructor(index) {
+    this.index = index;
+    this.lexer = new NXCLexer();
+  }
+
+  // The occurrence under a position, or null when there is no identifier there
+  occurrenceAt(filePath, line, character) {
+    const occurrences = this.getOccurrences(filePath);
+    return occurrences.find(occurrence => occurrence.range.start.line === line &&
+      character >= occurrence.range.start.character && character <= occurrence.range.end.character) || null;
+  }
+
+  findReferences(filePath, line, character, options = {}) {
+    const includeDeclaration = options.includeDeclaration !== false;
+    const target = this.occurrenceAt(filePath, line, character);
+    if (!target) return [];
+
+    const files = target.key.startsWith('global:') || target.key.startsWith('field:')
+      ? this.connectedFiles(filePath, target.name)
+      : [filePath];
+
+    return files
+      .flatMap(file => this.getOccurrences(file))
+      .filter(occurrence => occurrence.key === target.key && (includeDeclaration || !occurrence.isDeclaration));
+  }
+
+  // The declaration an occurrence is bound to, nearest file first
+  findDeclaration(filePath, line, character) {
+    const target = this.occurrenceAt(filePath, line, character);
+    if (!target) return null;
+    if (target.isDeclaration) return target;
+
+    const files = target.key.startsWith('global:') || target.key.startsWith('field:')
+      ? this.index.visibleFiles(filePath)
+      : [filePath];
+    for (const file of files) {
+      const declaration = this.getOccurrences(file).find(occurrence => occurrence.key === target.key && occurrence.isDeclaration);
+      if (declaration) return declaration;
+    }
+    return null;
+  }
+
+  // Throws when the symbol under the cursor cannot be renamed
+  prepareRename(filePath, line, character, reservedNames = new Set()) {
+    const target = this.occurrenceAt(filePath, line, character);
+    if (!target) {
+      throw new Error('Nothing to rename here');
+    }
+    if (!this.findDeclaration(filePath, line, character)) {
+      throw new Error(reservedNames.has(target.name)
+        ? `Cannot rename built-in '${target.name}'`
+        : `Cannot rename '${target.name}': its declaration was not found in the workspace`);
+    }
+    return target;
+  }
+
+  // Returns Map(filePath -> [range]) with every occurrence to replace
+  rename(filePath, line, character, newName, reservedNames = new Set()) {
+    const target = this.prepareRename(filePath, line, character, reservedNames);
+
+    if (!IDENTIFIER.test(newName)) {
+      throw new Error(`'${newName}' is not a valid identifier`);
+    }
+    if (this.lexer.isKeyword(newName) || reservedNames.has(newName)) {
+      throw new Error(`'${newName}' is a keyword or built-in name`);
+    }
+
+    const references = this.findReferences(filePath, line, character);
+    const clash = this.findClash(target, newName, references);
+    if (clash) {
+      throw new Error(`'${newName}' is already declared at ${clash}`);
+    }
+
+    const edits = new Map();
+    references.forEach(reference => {
+      if (!edits.has(reference.filePath)) edits.set(reference.filePath, []);
+      edits.get(reference.filePath).push(reference.range);
+    });
+    return edits;
+  }
+
+  // A rename must not capture, or be captured by, another symbol with the new name
+  findClash(target, newName, references) {
+    const location = occurrence => `${path.basename(occurrence.filePath)}:${occurrence.range.start.line + 1}`;
+    const files = [...new Set(references.map(reference => reference.filePath))];
+
+    for (const file of files) {
+      const occurrences = this.getOccurrences(file);
+      const others = occurrences.filter(occurrence => occurrence.name === newName);
+
+      if (target.key.startsWith('global:')) {
+        const global = others.find(occurrence => occurrence.isDeclaration && occurrence.key.startsWith('global:'));
+        if (global) return location(global);
+        // A local with the new name would capture references inside its scope
+        const scopes = this.getScopes(file);
+        const captured = references.find(reference => reference.filePath === file &&
+          this.resolveLocal(scopes, newName, reference.range.start.line, reference.range.start.character));
+        if (captured) return location(captured);
+      } else if (target.key.startsWith('local:')) {
+        const binding = this.getScopes(file).flatMap(scope => scope.bindings).find(b => b.key === target.key);
+        const conflict = others.find(occurrence => {
+          if (occurrence.isDeclaration) return occurrence.scopeId === binding.scopeId;
+          // The renamed local would hide a use of the other name
+          return occurrence.key.startsWith('global:') &&
+            this.compare(occurrence.range.start, binding.visibleFrom) >= 0 && this.compare(occurrence.range.start, binding.visibleTo) <= 0;
+        });
+        if (conflict) return location(conflict);
+      } else {
+        const conflict = others.find(occurrence => occurrence.isDeclaration && occurrence.key.split(':')[0] === target.key.split(':')[0]);
+        if (conflict) return location(conflict);
+      }
+    }
+    return null;
+  }
+
+  // Files that can see a global `name` used from `filePath`
+  connectedFiles(filePath, name) {
+    const visible = this.index.visibleFiles(filePath);
+    const definitions = this.index.findDefinitions(name, filePath).filter(symbol => visible.includes(symbol.filePath));
+    const definingFiles = definitions.length > 0 ? definitions.map(symbol => symbol.filePath) : visible;
+
+    const files = [...this.index.files.keys()].filter(file => {
+      return this.index.visibleFiles(file).some(visibleFile => definingFiles.includes(visibleFile));
+    });
+    return files.includes(filePath) ? files : [filePath, ...files];
+  }
+
+  getOccurrences(filePath) {
+    const entry = this.index.getFile(filePath);
+    if (!entry) return [];
+    if (!entry.occurrences) {
+      entry.occurrences = this.collectOccurrences(entry);
+    }
+    return entry.occurrences;
+  }
+
+  getScopes(filePath) {
+    const entry = this.index.getFile(filePath);
+    if (!entry) return [];
+    if (!entry.scopes) {
+      entry.scopes = this.collectScopes(entry);
+    }
+    return entry.scopes;
+  }
+
+  collectOccurrences(entry) {
+    const scopes = this.getScopes(entry.filePath);
+    const declarations = new Map(); // "line:column" -> { key, scopeId }
+    const declare = (range, key, scopeId = null) => declarations.set(`${range.start.line}:${range.start.character}`, { key, scopeId });
+
+    this.index.getSymbols(entry.filePath).forEach(symbol => {
+      declare(symbol.selectionRange, symbol.kind === 'field' ? `field:${symbol.name}` : `global:${symbol.name}`);
+    });
+    scopes.forEach(scope => scope.bindings.forEach(binding => declare(binding.range, binding.key, binding.scopeId)));
+
+    const occurrences = [];
+    const tokens = this.lexer.tokenize(entry.text);
+    let previous = null;
+
+    tokens.forEach(token => {
+      if (token.type === 'directive') {
+        occurrences.push(...this.collectDirectiveOccurrences(token, entry.filePath, declarations));
+      } else if (token.type === 'identifier') {
+        const range = this.tokenRange(token.line, token.column, token.value);
+        const declaration = declarations.get(`${token.line}:${token.column}`);
+        let key = declaration ? declaration.key : null;
+        let scopeId = declaration ? declaration.scopeId : null;
+
+        if (!key && previous && (previous.value === '.' || previous.value === '->')) {
+          key = `field:${token.value}`;
+        }
+        if (!key) {
+          const binding = this.resolveLocal(scopes, token.value, token.line, token.column);
+          if (binding) {
+            key = binding.key;
+            scopeId = binding.scopeId;
+          }
+        }
+        if (!key) key = `global:${token.value}`;
+
+        occurrences.push({ name: token.value, key, scopeId, filePath: entry.filePath, range, isDeclaration: Boolean(declaration) });
+      }
+
+      if (this.lexer.isSignificant(token)) previous = token;
+    });
+
+    return occurrences;
+  }
+
+  // Identifiers inside #define, #ifdef, #if, #undef...; macro parameters are local to the macro
+  collectDirectiveOccurrences(token, filePath, declarations) {
+    const parts = this.lexer.tokenize(`;${token.value}`).slice(1).filter(part => part.type === 'identifier');
+    const absolute = part => (part.line === 0
+      ? { line: token.line, column: token.column + part.column - 1 }
+      : { line: token.line + part.line, column: part.column });
+
+    const directive = parts.length > 0 ? parts[0].value : '';
+    if (!['define', 'undef', 'ifdef', 'ifndef', 'if', 'elif'].includes(directive)) return [];
+
+    const occurrences = [];
+    const parameters = new Map();
+    const text = token.value;
+
+    parts.slice(1).forEach((part, index) => {
+      const { line, column } = absolute(part);
+      const range = this.tokenRange(line, column, part.value);
+      if (part.value === 'defined') return;
+
+      let key = `global:${part.value}`;
+      let isDeclaration = false;
+      if (directive === 'define' && index === 0) {
+        isDeclaration = Boolean(declarations.get(`${line}:${column}`));
+        // Parameters follow the name directly, without a space
+        const afterName = text.slice(text.indexOf(part.value, text.indexOf('define') + 6) + part.value.length);
+        if (afterName.startsWith('(')) {
+          afterName.slice(1, afterName.indexOf(')')).split(',').map(p => p.trim()).filter(Boolean).forEach(name => {
+            parameters.set(name, null);
+          });
+        }
+      } else if (parameters.has(part.value)) {
+        if (parameters.get(part.value) === null) {
+          parameters.set(part.value, `param:${filePath}:${line}:${column}`);
+          isDeclaration = true;
+        }
+        key = parameters.get(part.value);
+      }
+
+      occurrences.push({ name: part.value, key, scopeId: null, filePath, range, isDeclaration });
+    });
+
+    return occurrences;
+  }
+
+  // Parameters and block-local variables of each task and function, with the
+  // region of the original text in which each one is visible
+  collectScopes(entry) {
+    const { program, preprocessed, filePath } = entry;
+    const scopes = [];
+    const map = (line, column, bias) => {
+      const position = preprocessed.mapPosition(line, column, bias);
+      return { line: position.line, character: position.column };
+    };
+    const rangeOf = node => ({ start: map(node.line, node.column, 'start'), end: map(node.endLine, node.endColumn, 'end') });
+
+    (program && program.body ? program.body : []).forEach((item, itemIndex) => {
+      if (item.ctorName !== 'TaskDefinition' && item.ctorName !== 'FunctionDefinition') return;
+
+      const scope = { name: item.name, range: rangeOf(item), bindings: [] };
+      let blockCount = 0;
+      const bind = (name, nameRange, visibleFrom, visibleTo, scopeId) => {
+        const range = rangeOf(nameRange);
+        scope.bindings.push({
+          name,
+          range,
+          visibleFrom: visibleFrom || range.start,
+          visibleTo,
+          scopeId,
+          key: `local:${filePath}:${range.start.line}:${range.start.character}`
+        });
+      };
+
+      const functionEnd = scope.range.end;
+      const functionScopeId = `${itemIndex}:0`;
+      (item.parameters || []).forEach(parameter => {
+        if (parameter.name && parameter.nameRange) bind(parameter.name, parameter.nameRange, scope.range.start, functionEnd, functionScopeId);
+      });
+
+      const walk = (node, blockEnd, scopeId) => {
+        if (!node || typeof node !== 'object') return;
+        if (node.ctorName === 'CompoundStatement' || node.ctorName === 'ForStatement') {
+          blockEnd = rangeOf(node).end;
+          // The function body shares its scope with the parameters
+          scopeId = node === item.body ? functionScopeId : `${itemIndex}:${++blockCount}`;
+        }
+        if (node.ctorName === 'Declaration') {
+          (node.declarators || []).forEach(declarator => {
+            if (declarator.name && declarator.nameRange) bind(declarator.name, declarator.nameRange, null, blockEnd, scopeId);
+          });
+        }
+        (node.children || []).forEach(child => walk(child, blockEnd, scopeId));
+      };
+      walk(item.body, functionEnd, functionScopeId);
+
+      scopes.push(scope);
+    });
+
+    return scopes;
+  }
+
+  // The innermost local binding of `name` visible at a position
+  resolveLocal(scopes, name, line, character) {
+    const position = { line, character };
+    let best = null;
+    scopes.forEach(scope => {
+      scope.bindings.forEach(binding => {
+        if (binding.name !== name) return;
+        if (this.compare(position, binding.visibleFrom) < 0 || this.compare(position, binding.visibleTo) > 0) return;
+        if (!best || this.compare(binding.visibleFrom, best.visibleFrom) >= 0) best = binding;
+      });
+    });
+    return best;
+  }
+
+  compare(a, b) {
+    return a.line === b.line ? a.character - b.character : a.line - b.line;
+  }
+
+  tokenRange(line, column, value) {
+    return { start: { line, character: column }, end: { line, character: column + value.length } };
+  }
+}
+
+module.exports = { ReferenceFinder };
@@ -0,0 +1,201 @@
+// Turns a parsed program into the user symbols it declares. Positions come from
+// the preprocessed code and are mapped back to the original file.
+class SymbolCollector {
+  collect(program, preprocessed, filePath) {
+    this.preprocessed = preprocessed;
+    this.filePath = filePath;
+    const symbols = [];
+
+    (program && program.body ? program.body : []).forEach(node => {
+      switch (node.ctorName) {
+        case 'TaskDefinition':
+          symbols.push(this.createSymbol(node.name, 'task', node, node.nameRange, { detail: `task ${node.name}()` }));
+          break;
+        case 'FunctionDefinition':
+          symbols.push(this.createSymbol(node.name, 'function', node, node.nameRange, {
+            detail: this.formatSignature(node),
+            returnType: node.returnType,
+            parameters: node.parameters
+          }));
+          break;
+        case 'Declaration':
+          symbols.push(...this.collectDeclarators(node));
+          break;
+        case 'StructDefinition':
+          symbols.push(this.collectStruct(node));
+          symbols.push(...this.collectDeclarators(node, node.name));
+          break;
+        case 'EnumDeclaration':
+          symbols.push(this.collectEnum(node));
+          symbols.push(...this.collectDeclarators(node, node.name ? `enum ${node.name}` : 'enum'));
+          break;
+        case 'TypedefDeclaration':
+          symbols.push(this.createSymbol(node.name, 'typedef', node, node.nameRange, { detail: `typedef ${node.type}` }));
+          break;
+      }
+    });
+
+    symbols.push(...this.collectMacros());
+    return symbols.filter(symbol => symbol.name);
+  }
+
+  // Document outline: symbols in source order, nested inside the #if regions that contain them
+  collectOutline(program, preprocessed, filePath) {
+    const symbols = this.collect(program, preprocessed, filePath);
+    const items = [
+      ...this.collectRegions(preprocessed).map(region => ({ symbol: region, isRegion: true })),
+      ...symbols.map(symbol => ({ symbol, isRegion: false }))
+    ].sort((a, b) => {
+      const startA = a.symbol.range.start;
+      const startB = b.symbol.range.start;
+      return startA.line - startB.line || startA.character - startB.character ||
+        Number(b.isRegion) - Number(a.isRegion) || b.symbol.range.end.line - a.symbol.range.end.line;
+    });
+
+    const ends = (a, b) => a.line - b.line || a.character - b.character;
+    const roots = [];
+    const stack = [];
+    items.forEach(item => {
+      const { range } = item.symbol;
+      while (stack.length > 0 && ends(stack[stack.length - 1].symbol.range.end, range.end) < 0) stack.pop();
+      // Regions hold anything; a task or sub only holds the regions inside it
+      const parent = [...stack].reverse().find(container => container.isRegion || item.isRegion);
+      (parent ? parent.symbol.children : roots).push(item.symbol);
+      stack.push(item);
+    });
+    return roots;
+  }
+
+  // One region per #if/#elif/#else branch
+  collectRegions(preprocessed) {
+    const regions = [];
+    preprocessed.conditionalBlocks.forEach(block => {
+      block.branches.forEach((branch, index) => {
+        const next = block.branches[index + 1];
+        const endLine = next ? next.line - 1 : block.endLine;
+        regions.push({
+          name: `#${branch.directive} ${branch.condition}`.trim(),
+          kind: 'region',
+          filePath: this.filePath,
+          range: {
+            start: { line: branch.line, character: 0 },
+            end: { line: endLine, character: this.lineLength(endLine) }
+          },
+          selectionRange: {
+            start: { line: branch.line, character: 0 },
+            end: { line: branch.line, character: this.lineLength(branch.line) }
+          },
+          detail: branch.active ? '' : 'inactive',
+          containerName: null,
+          children: []
+        });
+      });
+    });
+    return regions;
+  }
+
+  collectDeclarators(node, type = node.type) {
+    return (node.declarators || []).map(declarator => this.createSymbol(declarator.name, 'variable', declarator, declarator.nameRange, {
+      detail: `${node.isConst ? 'const ' : ''}${type} ${declarator.name}${this.formatDimensions(declarator.dimensions)}`,
+      type
+    }));
+  }
+
+  collectStruct(node) {
+    const fields = [];
+    (node.fields || []).forEach(field => {
+      fields.push(...this.collectDeclarators(field).map(symbol => ({ ...symbol, kind: 'field', containerName: node.name })));
+    });
+    return this.createSymbol(node.name, 'struct', node, node.nameRange, { detail: `struct ${node.name}`, children: fields });
+  }
+
+  collectEnum(node) {
+    const members = (node.members || []).map(member => this.createSymbol(member.name, 'enumMember', member, member.nameRange, {
+      detail: member.value && member.value.raw ? `${member.name} = ${member.value.raw}` : member.name,
+      containerName: node.name || 'enum'
+    }));
+    return this.createSymbol(node.name || '(anonymous enum)', 'enum', node, node.nameRange || node, {
+      detail: node.name ? `enum ${node.name}` : 'enum',
+      children: members
+    });
+  }
+
+  // #define names come from the directives of this file only
+  collectMacros() {
+    return this.preprocessed.directives
+      .filter(directive => directive.directive === 'define' && directive.name)
+      .map(directive => {
+        const parameters = directive.parameters ? `(${directive.parameters.join(', ')})` : '';
+        const nameStart = { line: directive.line, character: directive.nameColumn };
+        return {
+          name: directive.name,
+          kind: 'macro',
+          filePath: this.filePath,
+          range: {
+            start: { line: directive.line, character: directive.column },
+            end: { line: directive.endLine, character: this.lineLength(directive.endLine) }
+          },
+          selectionRange: { start: nameStart, end: { line: directive.line, character: directive.nameColumn + directive.name.length } },
+          detail: `#define ${directive.name}${parameters} ${directive.value}`.trim(),
+          containerName: null,
+          children: []
+        };
+      });
+  }
+
+  createSymbol(name, kind, node, nameNode, extra = {}) {
+    return {
+      name,
+      kind,
+      filePath: this.filePath,
+      range: this.mapRange(node),
+      selectionRange: this.mapRange(nameNode || node),
+      detail: '',
+      containerName: null,
+      children: [],
+      ...extra
+    };
+  }
+
+  formatSignature(node) {
+    const specifiers = (node.specifiers || []).map(specifier => `${specifier} `).join('');
+    const parameters = (node.parameters || []).map(parameter => this.formatParameter(parameter)).join(', ');
+    return `${specifiers}${node.returnType || 'sub'} ${node.name}(${parameters})`;
+  }
+
+  formatParameter(parameter) {
+    const dimensions = this.formatDimensions(parameter.dimensions);
+    const defaultValue = parameter.defaultValue && parameter.defaultValue.raw ? ` = ${parameter.defaultValue.raw}` : '';
+    return `${parameter.isConst ? 'const ' : ''}${parameter.type}${parameter.isReference ? ' &' : ' '}${parameter.name}${dimensions}${defaultValue}`;
+  }
+
+  // Sizes as written, so `int grid[ROWS][10]` keeps its macro names
+  formatDimensions(dimensions) {
+    return (dimensions || []).map(size => `[${size ? this.sourceText(size) : ''}]`).join('');
+  }
+
+  sourceText(node) {
+    const { start, end } = this.mapRange(node);
+    const lines = this.preprocessed.source.split('\n').slice(start.line, end.line + 1);
+    if (lines.length === 0) return '';
+    lines[lines.length - 1] = lines[lines.length - 1].slice(0, end.character);
+    lines[0] = lines[0].slice(start.character);
+    return lines.join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  mapRange(node) {
+    const start = this.preprocessed.mapPosition(node.line, node.column, 'start');
+    const end = this.preprocessed.mapPosition(node.endLine, node.endColumn, 'end');
+    return {
+      start: { line: start.line, character: start.column },
+      end: { line: end.line, character: end.column }
+    };
+  }
+
+  lineLength(line) {
+    const lines = this.preprocessed.source.split('\n');
+    return lines[line] ? lines[line].replace(/\r$/, '').length : 0;
+  }
+}
+
+module.exports = { SymbolCollector };
@@ -0,0 +1,131 @@
+const path = require('path');
+const { NXCParser } = require('../diagnostics/nxc-parser');
+const { NXCPreprocessor } = require('../diagnostics/nxc-preprocessor');
+const { SymbolCollector } = require('./symbol-collector');
+
+// Index of the symbols declared in the workspace's own .nxc and header files.
+// Entries are keyed by absolute file path and replaced whenever a file changes.
+class WorkspaceIndex {
+  constructor(options = {}) {
+    this.parser = new NXCParser();
+    this.preprocessor = new NXCPreprocessor(options);
+    this.collector = new SymbolCollector();
+    this.files = new Map(); // filePath -> { text, program, preprocessed, symbols, includes }
+  }
+
+  indexFile(filePath, text, options = {}) {
+    const existing = this.files.get(filePath);
+    if (existing && existing.text === text) {
+      return existing;
+    }
+
+    const entry = this.analyze(filePath, text, options);
+    if (entry) {
+      this.files.set(filePath, entry);
+    } else {
+      this.files.delete(filePath);
+    }
+    return entry;
+  }
+
+  // Parses a file without adding it to the index; untitled documents use this directly
+  analyze(filePath, text, options = {}) {
+    try {
+      const preprocessed = this.preprocessor.process(text, { ...options, filePath });
+      const { ast } = this.parser.parse(preprocessed.code, { recover: true });
+      return {
+        filePath,
+        text,
+        program: ast,
+        preprocessed,
+        symbols: this.collector.collect(ast, preprocessed, filePath),
+        includes: preprocessed.includes.map(include => include.resolvedPath).filter(Boolean)
+      };
+    } catch (error) {
+      console.warn(`Could not index ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  outline(entry) {
+    return this.collector.collectOutline(entry.program, entry.preprocessed, entry.filePath);
+  }
+
+  removeFile(filePath) {
+    this.files.delete(filePath);
+  }
+
+  clear() {
+    this.files.clear();
+  }
+
+  getFile(filePath) {
+    return this.files.get(filePath) || null;
+  }
+
+  // Top-level symbols plus struct fields and enum members
+  getSymbols(filePath) {
+    const entry = this.files.get(filePath);
+    if (!entry) return [];
+    return entry.symbols.flatMap(symbol => [symbol, ...symbol.children]);
+  }
+
+  allSymbols() {
+    return [...this.files.keys()].flatMap(filePath => this.getSymbols(filePath));
+  }
+
+  // Files visible from `filePath`: itself and everything it includes, transitively
+  visibleFiles(filePath) {
+    const visible = [];
+    const visit = current => {
+      if (visible.includes(current)) return;
+      visible.push(current);
+      const entry = this.files.get(current);
+      if (entry) entry.includes.forEach(visit);
+    };
+    visit(filePath);
+    return visible;
+  }
+
+  // Definitions of `name`, nearest first: the file itself, its includes, then the rest of the workspace
+  findDefinitions(name, fromFile = null) {
+    const matches = this.allSymbols().filter(symbol => symbol.name === name);
+    if (!fromFile) return matches;
+
+    const visible = this.visibleFiles(fromFile);
+    const visibleMatches = matches.filter(symbol => visible.includes(symbol.filePath));
+    if (visibleMatches.length > 0) {
+      return visibleMatches.sort((a, b) => visible.indexOf(a.filePath) - visible.indexOf(b.filePath));
+    }
+    return matches;
+  }
+
+  // Case-insensitive fuzzy match: the query letters must appear in order
+  search(query, limit = 500) {
+    const needle = query.toLowerCase();
+    const scored = [];
+
+    this.allSymbols().forEach(symbol => {
+      const name = symbol.name.toLowerCase();
+      let position = 0;
+      for (const char of needle) {
+        position = name.indexOf(char, position);
+        if (position === -1) return;
+        position++;
+      }
+      const score = name === needle ? 0 : name.startsWith(needle) ? 1 : name.includes(needle) ? 2 : 3;
+      scored.push({ symbol, score });
+    });
+
+    return scored
+      .sort((a, b) => a.score - b.score || a.symbol.name.length - b.symbol.name.length || a.symbol.name.localeCompare(b.symbol.name))
+      .slice(0, limit)
+      .map(entry => entry.symbol);
+  }
+
+  static isIndexable(filePath) {
+    return ['.nxc', '.h', '.nxh'].includes(path.extname(filePath).toLowerCase());
+  }
+}
+
+module.exports = { WorkspaceIndex };
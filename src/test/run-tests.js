@@ -0,0 +1,155 @@
+// Checks that run outside VS Code, from `bun run build.js --test`
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { DiagnosticManager } = require('../diagnostics/diagnostic-manager');
+const { QuickFixes } = require('../diagnostics/quick-fixes');
+const { NXCCli } = require('../cli/nxc-cli');
+const { NXCFormatter } = require('../formatter/nxc-formatter');
+const { NXCParser } = require('../diagnostics/nxc-parser');
+
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// The analyzers report their progress on the console; keep only the test results
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+function diagnose(sourceCode) {
+  return quietly(() => new DiagnosticManager().collectDiagnostics(sourceCode));
+}
+
+// Edits are 0-based and must not overlap; apply them from the end of the text backwards
+function applyEdits(sourceCode, edits) {
+  const lines = sourceCode.split('\n');
+  const offset = position => lines.slice(0, position.line).reduce((sum, line) => sum + line.length + 1, 0) + position.character;
+  return [...edits]
+    .sort((a, b) => offset(b.range.start) - offset(a.range.start))
+    .reduce((text, edit) => text.slice(0, offset(edit.range.start)) + edit.newText + text.slice(offset(edit.range.end)), sourceCode);
+}
+
+test('an undefined variable reported by the analysis can be declared', () => {
+  const sourceCode = 'task main()\n{\n  int y = 1;\n  zz = y;\n}\n';
+  const diagnostic = diagnose(sourceCode).find(candidate => candidate.rule === 'undefined-symbol');
+  assert.ok(diagnostic, 'no undefined-symbol diagnostic');
+  assert.strictEqual(diagnostic.message, "Variable 'zz' is not defined");
+
+  const fix = new QuickFixes().fixesFor(diagnostic, sourceCode).find(candidate => candidate.kind === 'declare');
+  assert.ok(fix, 'no declare fix');
+  assert.strictEqual(fix.title, "Declare 'int zz'");
+  assert.strictEqual(applyEdits(sourceCode, fix.edits), 'task main()\n{\n  int zz;\n  int y = 1;\n  zz = y;\n}\n');
+  assert.deepStrictEqual(diagnose(applyEdits(sourceCode, fix.edits)).filter(candidate => candidate.severity === 'error'), []);
+});
+
+test('rules listed in nxc-enable come back on after a bare nxc-disable', () => {
+  const sourceCode = [
+    '/* nxc-disable */',
+    'task main()',
+    '{',
+    '  int a;',
+    '  /* nxc-enable unused-variable */',
+    '  int b;',
+    '  Wiat(1);',
+    '  /* nxc-enable */',
+    '  Wiat(2);',
+    '}',
+    ''
+  ].join('\n');
+  const reported = diagnose(sourceCode).map(diagnostic => `${diagnostic.range.start.line}:${diagnostic.rule}`);
+  assert.deepStrictEqual(reported.sort(), ['5:unused-variable', '8:undefined-symbol']);
+});
+
+test('one problem seen by several checkers is reported once', () => {
+  const reported = sourceCode => diagnose(sourceCode).map(diagnostic => `${diagnostic.range.start.line}:${diagnostic.rule}: ${diagnostic.message}`);
+  assert.deepStrictEqual(reported('task main()\n{\n  int x = (1 + 2;\n  x++;\n}\n'), [
+    "2:unbalanced-brackets: Syntax error: missing ')'"
+  ]);
+  assert.deepStrictEqual(reported('task main()\n{\n  StartTask(shrt);\n}\n'), [
+    "2:undefined-task: Task 'shrt' is not defined"
+  ]);
+});
+
+test('a task lost to a syntax error is not reported as undefined', () => {
+  const sourceCode = 'task worker(int) {\n  Wait(1);\n}\ntask main()\n{\n  start worker;\n}\n';
+  const reported = diagnose(sourceCode).filter(diagnostic => diagnostic.source === 'task-checker');
+  assert.deepStrictEqual(reported.map(diagnostic => diagnostic.message), []);
+});
+
+test('an unconfigured port suggests the setup call its read function needs', () => {
+  const sourceCode = 'task main()\n{\n  int distance = SensorUS(IN_4);\n  int touched = Sensor(IN_1);\n  NumOut(0, 0, distance + touched);\n}\n';
+  const messages = diagnose(sourceCode).filter(diagnostic => diagnostic.rule === 'unconfigured-sensor').map(diagnostic => diagnostic.message);
+  assert.deepStrictEqual(messages, [
+    'Sensor port IN_4 is read before it is configured: call SetSensorLowspeed(IN_4) first',
+    'Sensor port IN_1 is read before it is configured: call SetSensorTouch(IN_1), SetSensorLight(IN_1) or another SetSensor function first'
+  ]);
+});
+
+test('the format command rejects an indent size that is not a positive number', () => {
+  ['0', '-2', '2.5', 'four'].forEach(size => {
+    let errors = '';
+    const cli = new NXCCli({ write: () => {} }, { write: text => { errors += text; } });
+    assert.strictEqual(cli.run(['format', '--indent-size', size, 'src/test/test.nxc']), 2, `--indent-size ${size}`);
+    assert.ok(errors.includes('--indent-size needs a positive number'), errors);
+  });
+});
+
+test('a parser that saw the text before an edit builds the same tree as a new one', () => {
+  const parser = new NXCParser();
+  const versions = [
+    'int speed;\ntask main()\n{\n  speed = 50;\n  OnFwd(OUT_A, speed);\n}\n',
+    'int speed;\ntask main()\n{\n  speed = 50 + 25;\n  OnFwd(OUT_A, speed);\n}\n',
+    'int speed;\ntask main()\n{\n  speed = (50 + 25;\n  OnFwd(OUT_A, speed);\n}\n',
+    '// power\nint speed;\ntask main()\n{\n  speed = (50 + 25;\n  OnFwd(OUT_A, speed);\n}\n',
+    '// power\nint speed;\ntask main()\n{\n  speed = 50 + 25;\n  OnFwd(OUT_A, speed);\n}\n'
+  ];
+  const summary = result => JSON.stringify({ success: result.success, ast: result.ast, errors: result.errors });
+  versions.forEach((sourceCode, index) => {
+    const reparsed = quietly(() => parser.parse(sourceCode, { recover: true }));
+    assert.strictEqual(summary(reparsed), summary(quietly(() => new NXCParser().parse(sourceCode, { recover: true }))), `version ${index}`);
+  });
+});
+
+// The format-*.nxc fixtures are written the way the formatter writes them
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, name), 'utf8');
+}
+
+test('the formatting fixtures come out of the formatter unchanged', () => {
+  fs.readdirSync(__dirname).filter(name => /^format-.*\.nxc$/.test(name)).forEach(name => {
+    const options = name.includes('allman') ? { braceStyle: 'allman' } : {};
+    assert.strictEqual(new NXCFormatter().formatCode(fixture(name), options), fixture(name), name);
+  });
+});
+
+test('a case block closed on the line of its break gets its brace on a line of its own', () => {
+  const formatted = fixture('format-case-block.nxc');
+  const compact = formatted.replace(/break;\n\s*\}/g, 'break; }');
+  assert.notStrictEqual(compact, formatted);
+  assert.strictEqual(new NXCFormatter().formatCode(compact), formatted);
+});
+
+function run() {
+  let failed = 0;
+  tests.forEach(({ name, fn }) => {
+    try {
+      fn();
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`  ✗ ${name}\n    ${error.message}`);
+    }
+  });
+  return failed;
+}
+
+module.exports = { run };